@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * doctor.js - 检查本机是否满足某个 Skill 声明的依赖
+ *
+ * 依赖来自 SKILL.md frontmatter 的 requires 块，以及来源 provenance.yaml 中的 requires.<id>
+ * （见 docs/skill-format.md）。
+ *
+ * 用法：
+ *   node scripts/doctor.js @lackeyjb/playwright   # 检查指定 skill
+ *   node scripts/doctor.js sora                   # id 唯一时可省略来源
+ *   node scripts/doctor.js @openai/sora --json    # 以 JSON 输出结果
+ *
+ * 退出码（与 README.md「退出码」一致）：
+ *   0  全部满足
+ *   2  参数错误（包括 id 对应多个来源）
+ *   3  skill 不存在，或有未满足的依赖
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./lib/frontmatter');
+const { mergeRequirements, hasRequirements, checkRequirements } = require('./lib/requirements');
+const { readProvenance } = require('./lib/provenance');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SKILLS_DIR = path.join(ROOT_DIR, 'skills');
+
+// ANSI colors
+const colors = {
+    reset: '\x1b[0m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m',
+    dim: '\x1b[2m',
+};
+
+let quiet = false;
+
+function log(msg, color = 'reset') {
+    if (quiet) return;
+    console.log(`${colors[color]}${msg}${colors.reset}`);
+}
+
+const EXIT_CODES = {
+    success: 0,
+    usage: 2,
+    notFound: 3,
+};
+
+const KIND_LABELS = {
+    npm: 'npm',
+    python: 'Python',
+    binaries: 'Binary',
+    env: 'Env',
+    network: 'Network',
+};
+
+function usageError(message) {
+    log(`✗ ${message}`, 'red');
+    log('Usage: node scripts/doctor.js <@source/id | id> [--json]', 'dim');
+    process.exit(EXIT_CODES.usage);
+}
+
+function parseArgs(args) {
+    const targets = args.filter((arg) => !arg.startsWith('-'));
+    const flags = args.filter((arg) => arg.startsWith('-'));
+
+    const unknown = flags.find((flag) => flag !== '--json');
+    if (unknown) usageError(`Unknown option: ${unknown}`);
+    if (targets.length !== 1) usageError('Specify exactly one skill');
+
+    return { target: targets[0], json: flags.includes('--json') };
+}
+
+/**
+ * 按 "@source/id" 或 "id" 查找 skill 目录
+ * @returns {Array<{ source: string, id: string, dir: string }>} 省略来源时可能有多个
+ */
+function findSkill(target) {
+    const match = target.match(/^@([^/]+)\/(.+)$/);
+    const sources = fs.existsSync(SKILLS_DIR)
+        ? fs.readdirSync(SKILLS_DIR).filter((name) => name.startsWith('@')).map((name) => name.slice(1))
+        : [];
+
+    const matches = [];
+    for (const source of sources) {
+        if (match && match[1] !== source) continue;
+        const id = match ? match[2] : target;
+        const dir = path.join(SKILLS_DIR, `@${source}`, id);
+        if (fs.existsSync(path.join(dir, 'SKILL.md'))) {
+            matches.push({ source, id, dir });
+        }
+    }
+    return matches;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    quiet = options.json;
+
+    const matches = findSkill(options.target);
+    if (matches.length !== 1) {
+        const reason = matches.length === 0
+            ? `Skill not found: ${options.target}`
+            : `Ambiguous id "${options.target}": ${matches.map((m) => `@${m.source}/${m.id}`).join(', ')}`;
+        if (options.json) {
+            console.log(JSON.stringify({ error: matches.length === 0 ? 'skillNotFound' : 'ambiguous', target: options.target }, null, 2));
+        }
+        log(`✗ ${reason}`, 'red');
+        process.exitCode = matches.length === 0 ? EXIT_CODES.notFound : EXIT_CODES.usage;
+        return;
+    }
+
+    const skill = matches[0];
+    const fullId = `@${skill.source}/${skill.id}`;
+    const parsed = parseFrontmatter(fs.readFileSync(path.join(skill.dir, 'SKILL.md'), 'utf-8'));
+    const provenance = readProvenance(path.join(SKILLS_DIR, `@${skill.source}`));
+    const requirements = mergeRequirements(parsed.data && parsed.data.requires, provenance.requires[skill.id]);
+    const results = checkRequirements(requirements, { skillDir: skill.dir });
+    const missing = results.filter((r) => r.ok === false);
+    const exitCode = missing.length > 0 ? EXIT_CODES.notFound : EXIT_CODES.success;
+    process.exitCode = exitCode;
+
+    if (options.json) {
+        console.log(JSON.stringify({ skill: fullId, declared: hasRequirements(requirements), requirements, results, exitCode }, null, 2));
+        return;
+    }
+
+    log(`\n🩺 SkillWisp Doctor: ${fullId}\n`, 'cyan');
+
+    if (!hasRequirements(requirements)) {
+        log('  No requirements declared (add a requires: block to SKILL.md or provenance.yaml, see docs/skill-format.md)\n', 'dim');
+        return;
+    }
+
+    for (const result of results) {
+        const label = `${KIND_LABELS[result.kind].padEnd(8)} ${result.name}`;
+        if (result.ok === null) {
+            log(`  ℹ ${label.padEnd(36)} ${result.detail}`, 'dim');
+        } else if (result.ok) {
+            log(`  ✓ ${label.padEnd(36)} ${result.detail}`, 'green');
+        } else {
+            log(`  ✗ ${label.padEnd(36)} ${result.detail}`, 'red');
+        }
+    }
+
+    if (missing.length > 0) {
+        log(`\n✗ ${missing.length} missing\n`, 'red');
+    } else {
+        log('\n✅ All requirements satisfied\n', 'green');
+    }
+}
+
+main();
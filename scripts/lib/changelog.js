@@ -0,0 +1,283 @@
+/**
+ * changelog.js - 比较两个目录快照，生成发布用的更新日志
+ *
+ * 快照格式（changelog --save 写出，也可以直接从 git ref 读取）：
+ *   {
+ *     "version": 1,
+ *     "skills": {
+ *       "@anthropic/pdf": {
+ *         "name": "pdf",
+ *         "description": "...",
+ *         "content": "<去掉 frontmatter 中 name 行后的 SKILL.md 的 blob id>",
+ *         "files": { "SKILL.md": "<git blob id>", "forms.md": "..." }
+ *       }
+ *     }
+ *   }
+ *
+ * 文件以 git blob id 记录，工作区与 git ref 的快照可以直接比较。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitFrontmatter, parseFrontmatter } = require('./frontmatter');
+const { isIgnored, walkFiles } = require('./skill-files');
+const { gitBlobId, listTree, showFile } = require('./git');
+const { sourceInfo, sortSources } = require('./sources');
+
+const SNAPSHOT_VERSION = 1;
+
+// 重命名判定：旧 id 与新 id 的文件（路径 + 内容，SKILL.md 不计 name 行）重合比例下限
+const RENAME_SIMILARITY = 0.5;
+
+function readMetadata(content) {
+    const data = parseFrontmatter(content).data || {};
+    const str = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    // 目录改名时 name 通常随之修改，SKILL.md 的其余部分不变
+    const { raw, body } = splitFrontmatter(content);
+    const withoutName = raw === null ? body : `${raw.replace(/^name:.*(\r?\n|$)/m, '')}\n---\n${body}`;
+
+    return { name: str(data.name), description: str(data.description), content: gitBlobId(Buffer.from(withoutName, 'utf-8')) };
+}
+
+/**
+ * 工作区快照
+ * @param {Array<{ source: string, id: string, path: string }>} skills - selectSkills() 的结果
+ */
+function snapshotFromSkills(skills) {
+    const result = {};
+    for (const skill of skills) {
+        const files = {};
+        for (const { file, abs } of walkFiles(path.dirname(skill.path))) {
+            files[file] = gitBlobId(fs.readFileSync(abs));
+        }
+        result[`@${skill.source}/${skill.id}`] = {
+            ...readMetadata(fs.readFileSync(skill.path, 'utf-8')),
+            files,
+        };
+    }
+    return { version: SNAPSHOT_VERSION, skills: result };
+}
+
+/**
+ * git ref 中的快照（ls-tree 取文件列表，git show 读取 SKILL.md）
+ * @param {string} cwd - 仓库根目录
+ * @param {string} ref
+ * @param {string} [skillsPath='skills'] - skills 目录相对仓库根目录的路径
+ * @returns {ReturnType<typeof snapshotFromSkills>|null} ref 不存在时返回 null
+ */
+function snapshotFromGit(cwd, ref, skillsPath = 'skills') {
+    const entries = listTree(cwd, ref, skillsPath);
+    if (entries === null) return null;
+
+    const bySkill = {};
+    for (const entry of entries) {
+        const parts = entry.path.slice(skillsPath.length + 1).split('/');
+        if (parts.length < 3 || !parts[0].startsWith('@')) continue;
+        const rest = parts.slice(2);
+        if (rest.some((name, i) => isIgnored(name, i === 0))) continue;
+
+        const key = `${parts[0]}/${parts[1]}`;
+        if (!bySkill[key]) bySkill[key] = {};
+        bySkill[key][rest.join('/')] = entry.blob;
+    }
+
+    const result = {};
+    for (const key of Object.keys(bySkill).sort()) {
+        const files = bySkill[key];
+        if (!files['SKILL.md']) continue;
+        const content = showFile(cwd, ref, `${skillsPath}/${key}/SKILL.md`) || '';
+        const sorted = {};
+        for (const file of Object.keys(files).sort()) sorted[file] = files[file];
+        result[key] = { ...readMetadata(content), files: sorted };
+    }
+    return { version: SNAPSHOT_VERSION, skills: result };
+}
+
+function changedFiles(before, after) {
+    const files = [];
+    for (const file of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (!(file in before)) files.push({ path: file, status: 'added' });
+        else if (!(file in after)) files.push({ path: file, status: 'removed' });
+        else if (before[file] !== after[file]) files.push({ path: file, status: 'modified' });
+    }
+    return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+function fileSimilarity(a, b) {
+    const setA = new Set(Object.entries(a).map(([file, blob]) => `${file}:${blob}`));
+    const setB = new Set(Object.entries(b).map(([file, blob]) => `${file}:${blob}`));
+    let shared = 0;
+    for (const item of setA) {
+        if (setB.has(item)) shared++;
+    }
+    const union = setA.size + setB.size - shared;
+    return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * 重命名的得分：SKILL.md 按去掉 name 行后的内容比较（旧快照没有 content 时按原文件）；
+ * 文件重合不够但 description 相同时也视为同一个 skill，前提是至少有一个文件完全相同，
+ * 否则只是恰好共用模板描述的一删一增
+ */
+function renameScore(a, b) {
+    const withContent = (skill) => (skill.content && skill.files['SKILL.md'] ? { ...skill.files, 'SKILL.md': skill.content } : skill.files);
+    const score = fileSimilarity(withContent(a), withContent(b));
+    if (score > 0 && score < RENAME_SIMILARITY && a.description && a.description === b.description) {
+        return RENAME_SIMILARITY;
+    }
+    return score;
+}
+
+function splitKey(key) {
+    const [, source, id] = key.match(/^@([^/]+)\/(.+)$/);
+    return { source, id };
+}
+
+/**
+ * 比较两个快照
+ *
+ * 同一来源中删除的 id 与新增的 id 文件重合度达到 RENAME_SIMILARITY（见 renameScore()）时视为重命名。
+ * 只有 SKILL.md 变化且 description 变了的 skill 只记为描述变更，不重复列入内容变更。
+ *
+ * @returns {Object<string, {
+ *   added: Array<{ id: string, description: string }>,
+ *   removed: Array<{ id: string }>,
+ *   renamed: Array<{ from: string, to: string }>,
+ *   described: Array<{ id: string, before: string, after: string }>,
+ *   changed: Array<{ id: string, files: Array<{ path: string, status: string }> }>
+ * }>} 按来源分组，只包含有变化的来源
+ */
+function compareSnapshots(previous, current) {
+    const before = previous.skills;
+    const after = current.skills;
+    const bySource = {};
+    const group = (source) => {
+        if (!bySource[source]) bySource[source] = { added: [], removed: [], renamed: [], described: [], changed: [] };
+        return bySource[source];
+    };
+
+    const addedKeys = Object.keys(after).filter((key) => !(key in before));
+    const removedKeys = Object.keys(before).filter((key) => !(key in after));
+    const pairs = [];
+
+    for (const oldKey of removedKeys) {
+        let best = null;
+        for (const newKey of addedKeys) {
+            if (splitKey(oldKey).source !== splitKey(newKey).source) continue;
+            if (pairs.some((pair) => pair.newKey === newKey)) continue;
+            const score = renameScore(before[oldKey], after[newKey]);
+            if (score >= RENAME_SIMILARITY && (!best || score > best.score)) best = { newKey, score };
+        }
+        if (best) pairs.push({ oldKey, newKey: best.newKey });
+    }
+
+    const comparePair = (source, fromKey, toKey, id) => {
+        const a = before[fromKey];
+        const b = after[toKey];
+        const descriptionChanged = a.description !== b.description;
+        if (descriptionChanged) {
+            group(source).described.push({ id, before: a.description, after: b.description });
+        }
+        // 重命名时只改了 name 行的 SKILL.md 不算内容变更
+        const files = changedFiles(a.files, b.files)
+            .filter((file) => !(file.path === 'SKILL.md' && file.status === 'modified' && a.content && a.content === b.content));
+        const onlyDescription = descriptionChanged && files.length === 1 && files[0].path === 'SKILL.md';
+        if (files.length > 0 && !onlyDescription) {
+            group(source).changed.push({ id, files });
+        }
+    };
+
+    for (const { oldKey, newKey } of pairs) {
+        const { source, id: from } = splitKey(oldKey);
+        const { id: to } = splitKey(newKey);
+        group(source).renamed.push({ from, to });
+        comparePair(source, oldKey, newKey, to);
+    }
+
+    const renamedFrom = new Set(pairs.map((pair) => pair.oldKey));
+    const renamedTo = new Set(pairs.map((pair) => pair.newKey));
+
+    for (const key of addedKeys.filter((k) => !renamedTo.has(k)).sort()) {
+        const { source, id } = splitKey(key);
+        group(source).added.push({ id, description: after[key].description });
+    }
+    for (const key of removedKeys.filter((k) => !renamedFrom.has(k)).sort()) {
+        const { source, id } = splitKey(key);
+        group(source).removed.push({ id });
+    }
+    for (const key of Object.keys(after).filter((k) => k in before).sort()) {
+        const { source, id } = splitKey(key);
+        comparePair(source, key, key, id);
+    }
+
+    const sorted = {};
+    for (const source of sortSources(Object.keys(bySource))) sorted[source] = bySource[source];
+    return sorted;
+}
+
+function oneLine(text, max = 160) {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * 生成 Markdown 更新日志
+ * @param {ReturnType<typeof compareSnapshots>} changes
+ * @param {object} options
+ * @param {string} options.from - 对比基准的说明（git ref 或快照文件）
+ */
+function renderChangelogMarkdown(changes, options) {
+    const out = [];
+    out.push('# 更新日志');
+    out.push('');
+    out.push(`<!-- 由 scripts/sync-stats.js changelog --from ${options.from} 生成 -->`);
+    out.push('');
+    out.push(`对比基准：\`${options.from}\``);
+    out.push('');
+
+    const sources = Object.keys(changes);
+    if (sources.length === 0) {
+        out.push('无变化。');
+        out.push('');
+    }
+
+    for (const source of sources) {
+        const { title } = sourceInfo(source);
+        const { added, removed, renamed, described, changed } = changes[source];
+        out.push(`## ${title}（@${source}）`);
+        out.push('');
+
+        const section = (heading, items, render) => {
+            if (items.length === 0) return;
+            out.push(`### ${heading}`);
+            out.push('');
+            for (const item of items) out.push(render(item));
+            out.push('');
+        };
+
+        section('新增', added, (s) => `- \`@${source}/${s.id}\`${s.description ? ` — ${oneLine(s.description)}` : ''}`);
+        section('移除', removed, (s) => `- \`@${source}/${s.id}\``);
+        section('重命名', renamed, (s) => `- \`@${source}/${s.from}\` → \`@${source}/${s.to}\``);
+        section('描述变更', described, (s) => `- \`@${source}/${s.id}\`：${oneLine(s.before) || '（空）'} → ${oneLine(s.after) || '（空）'}`);
+        section('内容变更', changed, (s) => {
+            const counts = ['added', 'modified', 'removed']
+                .map((status) => [status, s.files.filter((f) => f.status === status).length])
+                .filter(([, n]) => n > 0)
+                .map(([status, n]) => `${{ added: '新增', modified: '修改', removed: '删除' }[status]} ${n}`);
+            const shown = s.files.slice(0, 5).map((f) => `\`${f.path}\``).join('、');
+            const more = s.files.length > 5 ? ` 等 ${s.files.length} 个文件` : '';
+            return `- \`@${source}/${s.id}\`（${counts.join('，')}）：${shown}${more}`;
+        });
+    }
+
+    return out.join('\n').replace(/\n+$/, '\n');
+}
+
+module.exports = {
+    SNAPSHOT_VERSION,
+    snapshotFromSkills,
+    snapshotFromGit,
+    compareSnapshots,
+    renderChangelogMarkdown,
+};
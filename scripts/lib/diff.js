@@ -0,0 +1,101 @@
+/**
+ * diff.js - 生成写入前预览用的统一格式 diff
+ *
+ * 基于 LCS 的逐行比较，registry / 文档文件都只有几百行，无需更快的算法。
+ */
+
+/**
+ * 计算逐行编辑序列
+ * @returns {Array<{ type: ' '|'-'|'+', line: string }>}
+ */
+function diffLines(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (oldLines[i] === newLines[j]) {
+            ops.push({ type: ' ', line: oldLines[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ type: '-', line: oldLines[i++] });
+        } else {
+            ops.push({ type: '+', line: newLines[j++] });
+        }
+    }
+    while (i < n) ops.push({ type: '-', line: oldLines[i++] });
+    while (j < m) ops.push({ type: '+', line: newLines[j++] });
+
+    return ops;
+}
+
+/**
+ * 生成统一格式 diff 文本；内容相同时返回空字符串
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} [options]
+ * @param {string} [options.label='file'] - 文件名
+ * @param {number} [options.context=3] - 上下文行数
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+    if (oldText === newText) return '';
+
+    const label = options.label || 'file';
+    const context = options.context === undefined ? 3 : options.context;
+    const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+
+    // 为每个操作记录在新旧文件中的行号
+    let oldNo = 1;
+    let newNo = 1;
+    const numbered = ops.map((op) => {
+        const entry = { ...op, oldNo, newNo };
+        if (op.type !== '+') oldNo++;
+        if (op.type !== '-') newNo++;
+        return entry;
+    });
+
+    // 合并相邻变更为 hunk
+    const hunks = [];
+    let current = null;
+    numbered.forEach((op, index) => {
+        if (op.type === ' ') return;
+        const start = Math.max(0, index - context);
+        const end = Math.min(numbered.length, index + context + 1);
+        if (current && start <= current.end) {
+            current.end = end;
+        } else {
+            current = { start, end };
+            hunks.push(current);
+        }
+    });
+
+    const out = [`--- a/${label}`, `+++ b/${label}`];
+    for (const hunk of hunks) {
+        const slice = numbered.slice(hunk.start, hunk.end);
+        const oldCount = slice.filter((op) => op.type !== '+').length;
+        const newCount = slice.filter((op) => op.type !== '-').length;
+        out.push(`@@ -${slice[0].oldNo},${oldCount} +${slice[0].newNo},${newCount} @@`);
+        for (const op of slice) {
+            out.push(`${op.type}${op.line}`);
+        }
+    }
+
+    return out.join('\n');
+}
+
+module.exports = {
+    diffLines,
+    unifiedDiff,
+};
@@ -0,0 +1,193 @@
+/**
+ * doc-links.js - 检查 README.md / docs/skills.md 表格中的相对链接和安装命令
+ *
+ * 只看 Markdown 表格（表头行 + 分隔行 + 数据行），代码块中的表格忽略：
+ *
+ *   | [@lackeyjb/playwright-skill](skills/@lackeyjb/playwright-skill) | ... | `skillwisp install playwright-skill` |
+ *
+ * 链接指向 skills/@source/<id> 但目录不存在时，按以下规则找「唯一明显」的目标，--fix 时改写：
+ *   1. 同一来源 provenance.yaml 的 renames 把某个本地 id 映射到该名称
+ *   2. 同一来源中 frontmatter name 等于该名称的 skill
+ *   3. 去掉 -skill 后缀或 skill- 前缀后与某个 id 相同
+ *   4. 来源本身不存在时，只有一个来源有该 id
+ * 候选多于一个时只报告，不改写。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitRow } = require('./markdown');
+
+const LINK = /(!?)\[([^\]]*)\]\(\s*([^)\s]+)\s*\)/g;
+const INSTALL = /`skillwisp install ([^`\s]+)`/g;
+const SKILL_PATH = /^((?:\.\.\/)*skills\/)@([^/]+)\/([^/#?]+)(.*)$/;
+
+/**
+ * 找出文档中的全部表格行（不含表头与分隔行）
+ * @returns {Array<{ line: number, text: string, cells: string[] }>}
+ */
+function parseTableRows(content) {
+    const lines = content.split('\n');
+    const rows = [];
+    let inFence = false;
+    let inTable = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const text = lines[i];
+        if (/^\s*(`{3,}|~{3,})/.test(text)) {
+            inFence = !inFence;
+            inTable = false;
+            continue;
+        }
+        if (inFence) continue;
+
+        const isRow = text.trim().startsWith('|');
+        if (!isRow) {
+            inTable = false;
+            continue;
+        }
+        if (!inTable) {
+            const next = lines[i + 1] || '';
+            if (/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(next)) {
+                inTable = true;
+                i++;
+            }
+            continue;
+        }
+        rows.push({ line: i + 1, text, cells: splitRow(text) });
+    }
+
+    return rows;
+}
+
+/**
+ * 为不存在的 skills/@source/<id> 找唯一明显的目标 id
+ * @param {Array<{ source: string, id: string, name: string }>} skills
+ * @param {Object<string, Object<string, string>>} renamesBySource - 来源 -> provenance.yaml 的 renames
+ * @returns {string[]} 候选的 @source/id
+ */
+function linkCandidates(skills, renamesBySource, source, missingId) {
+    const inSource = skills.filter((skill) => skill.source === source);
+    const found = new Set();
+
+    if (inSource.length === 0) {
+        skills.filter((skill) => skill.id === missingId).forEach((skill) => found.add(`@${skill.source}/${skill.id}`));
+        return [...found];
+    }
+
+    const renames = renamesBySource[source] || {};
+    const stripped = missingId.replace(/-skill$/, '').replace(/^skill-/, '');
+    for (const skill of inSource) {
+        if (renames[skill.id] === missingId || skill.name === missingId || (stripped !== missingId && skill.id === stripped)) {
+            found.add(`@${skill.source}/${skill.id}`);
+        }
+    }
+    return [...found].sort();
+}
+
+/**
+ * 检查一个文档
+ * @param {string} file - 文档的绝对路径
+ * @param {string} content
+ * @param {object} context
+ * @param {Array<{ source: string, id: string, name: string }>} context.skills
+ * @param {Object<string, Object<string, string>>} context.renames
+ * @param {(target: string) => { status: string, skill: string|null, candidates: string[] }} context.resolve
+ *   resolve.js 的 resolveTarget，已绑定解析表
+ * @returns {Array<{ line: number, kind: 'link'|'install', target: string, message: string, fix: string|null }>}
+ *   fix 为改写后的目标（链接路径或安装参数），没有唯一目标时为 null
+ */
+function checkDocTables(file, content, context) {
+    const dir = path.dirname(file);
+    const problems = [];
+
+    for (const row of parseTableRows(content)) {
+        const fixedIds = new Map();
+
+        for (const cell of row.cells) {
+            for (const match of cell.matchAll(LINK)) {
+                const target = match[3];
+                if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('#') || target.startsWith('/')) continue;
+
+                const filePart = target.replace(/[#?].*$/, '');
+                let decoded = filePart;
+                try {
+                    decoded = decodeURIComponent(filePart);
+                } catch (e) {
+                    // 保留原样
+                }
+                if (fs.existsSync(path.resolve(dir, decoded))) continue;
+
+                let fix = null;
+                let hint = '';
+                const skillPath = target.match(SKILL_PATH);
+                if (skillPath) {
+                    const candidates = linkCandidates(context.skills, context.renames, skillPath[2], skillPath[3]);
+                    if (candidates.length === 1) {
+                        fix = `${skillPath[1]}${candidates[0]}${skillPath[4]}`;
+                        fixedIds.set(`@${skillPath[2]}/${skillPath[3]}`, candidates[0]);
+                    } else if (candidates.length > 1) {
+                        hint = ` (candidates: ${candidates.join(', ')})`;
+                    }
+                }
+                problems.push({ line: row.line, kind: 'link', target, message: `link target does not exist: ${target}${hint}`, fix });
+            }
+
+            for (const match of cell.matchAll(INSTALL)) {
+                const target = match[1];
+                const resolved = context.resolve(target);
+                if (resolved.status === 'ok') continue;
+
+                // 与同一行被改写的链接指向同一个不存在的 skill 时，一起改写；
+                // 原来写短名称、新 id 的短名称又无歧义时，继续用短名称
+                let fix = null;
+                const renamed = [...fixedIds.entries()].find(([from]) => from === target || from.split('/')[1] === target);
+                if (renamed) {
+                    const to = renamed[1];
+                    const short = to.split('/')[1];
+                    fix = !target.startsWith('@') && context.resolve(short).skill === to ? short : to;
+                }
+                const message = resolved.status === 'ambiguous'
+                    ? `install command is ambiguous: skillwisp install ${target} (${resolved.candidates.join(', ')})`
+                    : `install command names no skill: skillwisp install ${target}`;
+                problems.push({ line: row.line, kind: 'install', target, message, fix });
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * 把 fix 写回文档（只改动对应行中的链接目标、与旧 id 相同的链接文字和安装参数）
+ * @returns {string}
+ */
+function applyFixes(content, problems) {
+    const lines = content.split('\n');
+
+    for (const problem of problems) {
+        if (!problem.fix) continue;
+        const index = problem.line - 1;
+        let text = lines[index];
+
+        if (problem.kind === 'link') {
+            text = text.split(`](${problem.target})`).join(`](${problem.fix})`);
+            const from = problem.target.match(SKILL_PATH);
+            const to = problem.fix.match(SKILL_PATH);
+            if (from && to) {
+                text = text.split(`[@${from[2]}/${from[3]}]`).join(`[@${to[2]}/${to[3]}]`);
+            }
+        } else {
+            text = text.split(`\`skillwisp install ${problem.target}\``).join(`\`skillwisp install ${problem.fix}\``);
+        }
+        lines[index] = text;
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseTableRows,
+    linkCandidates,
+    checkDocTables,
+    applyFixes,
+};
@@ -0,0 +1,127 @@
+/**
+ * docs-tables.js - 生成 docs/skills.md 中各来源的 Skills 表格
+ *
+ * 只改写标记之间的内容，标记外手写的段落和表格原样保留：
+ *
+ *   <!-- skills-table:start -->
+ *   ...（自动生成）
+ *   <!-- skills-table:end -->
+ */
+
+const { sourceInfo, sortSources } = require('./sources');
+const { isUntranslated } = require('./i18n-scaffold');
+
+const START_MARKER = '<!-- skills-table:start -->';
+const END_MARKER = '<!-- skills-table:end -->';
+const NOTICE = '<!-- 由 scripts/sync-stats.js --fix 生成，请勿手动修改标记内的内容 -->';
+
+const MAX_DESCRIPTION_LENGTH = 80;
+
+/**
+ * 取描述的第一句并压缩为单行，供表格使用
+ */
+function shortDescription(text) {
+    const oneLine = String(text || '').replace(/\s+/g, ' ').trim();
+    const sentence = oneLine.match(/^(.+?[。！？]|.+?[.!?](?=\s|$))/);
+    let result = sentence ? sentence[1] : oneLine;
+
+    if (result.length > MAX_DESCRIPTION_LENGTH) {
+        result = result.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd() + '…';
+    }
+    return result.replace(/\.$/, '');
+}
+
+function escapeCell(text) {
+    return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * 读取标记内已有表格的描述，key 为安装命令中的 @source/id
+ * （registry 不可用时沿用人工整理过的描述，避免被英文 frontmatter 覆盖）
+ */
+function parseExistingDescriptions(content) {
+    const block = extractBlock(content);
+    const descriptions = {};
+    if (block === null) return descriptions;
+
+    for (const line of block.split('\n')) {
+        const match = line.match(/^\|\s*[^|]+\|\s*(.*?)\s*\|\s*`skillwisp install (@[^`\s]+)`\s*\|$/);
+        if (match) {
+            descriptions[match[2]] = match[1];
+        }
+    }
+    return descriptions;
+}
+
+function extractBlock(content) {
+    const start = content.indexOf(START_MARKER);
+    const end = content.indexOf(END_MARKER);
+    if (start === -1 || end === -1 || end < start) return null;
+    return content.slice(start + START_MARKER.length, end);
+}
+
+/**
+ * 生成标记内的全部内容
+ * @param {Object<string, Array>} statsBySource - collectStats() 的结果
+ * @param {object} [options]
+ * @param {(source: string, id: string) => ({ name?: string, description?: string }|null)} [options.translate] - zh-CN 翻译查询
+ * @param {Object<string, string>} [options.existing] - parseExistingDescriptions() 的结果
+ */
+function renderSkillTables(statsBySource, options = {}) {
+    const translate = options.translate || (() => null);
+    const existing = options.existing || {};
+    const sections = [];
+
+    for (const source of sortSources(Object.keys(statsBySource))) {
+        const { title, url } = sourceInfo(source);
+        const skills = [...statsBySource[source]].sort((a, b) => a.id.localeCompare(b.id));
+
+        const lines = [];
+        lines.push(url ? `## [${title}](${url})` : `## ${title}`);
+        lines.push('');
+        lines.push('| Skill | 描述 | 安装 |');
+        lines.push('|-------|------|------|');
+
+        for (const skill of skills) {
+            const fullId = `@${source}/${skill.id}`;
+            const translation = translate(source, skill.id);
+
+            // --write-i18n 生成的占位条目预填的是英文 frontmatter，不算翻译
+            let description;
+            if (!isUntranslated(translation, skill)) {
+                description = escapeCell(shortDescription(translation.description));
+            } else if (existing[fullId]) {
+                description = existing[fullId];
+            } else {
+                description = escapeCell(shortDescription(skill.description));
+            }
+
+            lines.push(`| ${skill.id} | ${description} | \`skillwisp install ${fullId}\` |`);
+        }
+
+        sections.push(lines.join('\n'));
+    }
+
+    return [NOTICE, '', sections.join('\n\n---\n\n'), '', '---'].join('\n');
+}
+
+/**
+ * 用新生成的内容替换标记之间的部分
+ * @returns {string|null} 新内容；文件中没有标记时返回 null
+ */
+function replaceBlock(content, generated) {
+    const start = content.indexOf(START_MARKER);
+    const end = content.indexOf(END_MARKER);
+    if (start === -1 || end === -1 || end < start) return null;
+
+    return content.slice(0, start + START_MARKER.length) + '\n' + generated + '\n' + content.slice(end);
+}
+
+module.exports = {
+    START_MARKER,
+    END_MARKER,
+    shortDescription,
+    parseExistingDescriptions,
+    renderSkillTables,
+    replaceBlock,
+};
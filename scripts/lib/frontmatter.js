@@ -0,0 +1,162 @@
+/**
+ * frontmatter.js - SKILL.md frontmatter 解析与格式校验
+ *
+ * 校验规则来自 docs/skill-format.md：
+ *   必填：name（小写连字符，且与目录名一致）、description
+ *   可选：author（string）、version（语义化版本）、tags / agents（string[]）、
+ *         requires（npm / python / binaries / env 为 string[]，network 为 boolean）
+ */
+
+const { parseYaml, YamlSyntaxError } = require('./yaml');
+
+const KEBAB_CASE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const REQUIRES_LISTS = ['npm', 'python', 'binaries', 'env'];
+
+// https://semver.org/#is-there-a-suggested-regular-expression-regex-to-check-a-semver-string
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+/**
+ * 拆分 frontmatter 与正文
+ * @returns {{ raw: string|null, body: string, bodyLine: number }} raw 为 --- 之间的文本（不存在时为 null），
+ *   bodyLine 为正文第一行的行号
+ */
+function splitFrontmatter(content) {
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/);
+    if (!match) {
+        return { raw: null, body: content, bodyLine: 1 };
+    }
+
+    const bodyLine = match[0].split('\n').length - (match[2] ? 0 : 1);
+    return { raw: match[1], body: content.slice(match[0].length), bodyLine };
+}
+
+/**
+ * 解析 SKILL.md 内容
+ * @returns {{ data: object|null, lines: Object<string, number>, body: string, bodyLine: number, error: YamlSyntaxError|null }}
+ */
+function parseFrontmatter(content) {
+    const { raw, body, bodyLine } = splitFrontmatter(content);
+    if (raw === null) {
+        return { data: null, lines: {}, body, bodyLine, error: null };
+    }
+
+    try {
+        // frontmatter 从文件第 2 行开始
+        const { value, lines } = parseYaml(raw, { lineOffset: 1 });
+        const data = value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+        const error = data ? null : new YamlSyntaxError('Frontmatter must be a mapping', 2);
+        return { data, lines, body, bodyLine, error };
+    } catch (e) {
+        if (!(e instanceof YamlSyntaxError)) throw e;
+        return { data: null, lines: {}, body, bodyLine, error: e };
+    }
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * 按 skill-format.md 校验 frontmatter
+ * @param {ReturnType<typeof parseFrontmatter>} parsed
+ * @param {string} skillId - 目录名
+ * @returns {Array<{ line: number, field: string, message: string }>}
+ */
+function validateFrontmatter(parsed, skillId) {
+    const issues = [];
+    const { data, lines, error } = parsed;
+
+    if (error) {
+        issues.push({ line: error.line || 1, field: '', message: `Invalid YAML: ${error.reason}` });
+        return issues;
+    }
+    if (!data) {
+        issues.push({ line: 1, field: '', message: 'Missing frontmatter (--- block at top of file)' });
+        return issues;
+    }
+
+    const lineOf = (field) => lines[field] || 1;
+    const add = (field, message) => issues.push({ line: lineOf(field), field, message });
+
+    // 必填字段
+    for (const field of ['name', 'description']) {
+        const value = data[field];
+        if (value === undefined || value === null) {
+            add(field, `Missing required field "${field}"`);
+        } else if (typeof value !== 'string') {
+            add(field, `"${field}" must be a string`);
+        } else if (value.trim() === '') {
+            add(field, `"${field}" must not be empty`);
+        }
+    }
+
+    if (typeof data.name === 'string' && data.name.trim() !== '') {
+        if (!KEBAB_CASE.test(data.name)) {
+            add('name', `"name" must be kebab-case, got "${data.name}"`);
+        } else if (data.name !== skillId) {
+            add('name', `"name" (${data.name}) does not match directory "${skillId}"`);
+        }
+    }
+
+    // 可选字段
+    if (data.author !== undefined && typeof data.author !== 'string') {
+        add('author', '"author" must be a string');
+    }
+
+    if (data.version !== undefined) {
+        if (typeof data.version !== 'string') {
+            add('version', '"version" must be a quoted semver string, e.g. "1.0.0"');
+        } else if (!SEMVER.test(data.version)) {
+            add('version', `"version" is not valid semver: "${data.version}"`);
+        }
+    }
+
+    for (const field of ['tags', 'agents']) {
+        if (data[field] !== undefined && !isStringList(data[field])) {
+            add(field, `"${field}" must be a list of strings`);
+        }
+    }
+
+    if (data.requires !== undefined) {
+        validateRequires(data.requires, add);
+    }
+
+    return issues;
+}
+
+/**
+ * 校验 requires 块
+ * @param {(field: string, message: string) => void} add
+ */
+function validateRequires(requires, add) {
+    if (!requires || typeof requires !== 'object' || Array.isArray(requires)) {
+        add('requires', '"requires" must be a mapping (npm, python, binaries, env, network)');
+        return;
+    }
+
+    for (const [key, value] of Object.entries(requires)) {
+        const field = `requires.${key}`;
+        if (REQUIRES_LISTS.includes(key)) {
+            if (!isStringList(value)) {
+                add(field, `"${field}" must be a list of strings`);
+            } else if (key === 'env') {
+                const invalid = value.find((name) => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name));
+                if (invalid) add(field, `"${field}" has an invalid variable name: "${invalid}"`);
+            }
+        } else if (key === 'network') {
+            if (typeof value !== 'boolean') {
+                add(field, `"${field}" must be true or false`);
+            }
+        } else {
+            add(field, `Unknown requirement "${key}" (expected ${[...REQUIRES_LISTS, 'network'].join(', ')})`);
+        }
+    }
+}
+
+module.exports = {
+    splitFrontmatter,
+    parseFrontmatter,
+    validateFrontmatter,
+    validateRequires,
+};
@@ -0,0 +1,100 @@
+/**
+ * git.js - 调用本地 git 读取提交信息
+ *
+ * 不在 git 仓库中或未安装 git 时返回 null，由调用方决定是否降级。
+ */
+
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+function git(args, cwd) {
+    try {
+        return execFileSync('git', args, {
+            cwd,
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            maxBuffer: 64 * 1024 * 1024,
+        });
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 与 git hash-object 相同的 blob id（不调用 git，工作区文件可与 ls-tree 的结果直接比较）
+ */
+function gitBlobId(buffer) {
+    return crypto.createHash('sha1')
+        .update(`blob ${buffer.length}\0`)
+        .update(buffer)
+        .digest('hex');
+}
+
+/**
+ * 最后一次修改 pathspec 的提交
+ * @returns {string|null} 完整 commit hash；没有提交记录时返回 null
+ */
+function lastCommit(cwd, pathspec) {
+    const out = git(['log', '-1', '--format=%H', '--', pathspec], cwd);
+    return out && out.trim() !== '' ? out.trim() : null;
+}
+
+/**
+ * 当前 HEAD 的提交
+ * @returns {string|null}
+ */
+function headCommit(cwd) {
+    const out = git(['rev-parse', 'HEAD'], cwd);
+    return out ? out.trim() : null;
+}
+
+/**
+ * from..to 之间修改过 pathspec 的提交数；from 不存在于仓库中时返回 null
+ */
+function countCommits(cwd, from, to, pathspec) {
+    const args = ['rev-list', '--count', `${from}..${to}`];
+    if (pathspec) args.push('--', pathspec);
+    const out = git(args, cwd);
+    return out === null ? null : parseInt(out.trim(), 10);
+}
+
+/**
+ * 解析为提交
+ * @returns {string|null} 完整 commit hash；ref 不存在时返回 null
+ */
+function resolveCommit(cwd, ref) {
+    const out = git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd);
+    return out ? out.trim() : null;
+}
+
+/**
+ * 列出 ref 中 pathspec 下的全部文件
+ * @returns {Array<{ path: string, blob: string }>|null}
+ */
+function listTree(cwd, ref, pathspec) {
+    const out = git(['ls-tree', '-r', '-z', ref, '--', pathspec], cwd);
+    if (out === null) return null;
+    return out.split('\0').filter(Boolean).map((line) => {
+        const [meta, file] = line.split('\t');
+        return { path: file, blob: meta.split(' ')[2] };
+    });
+}
+
+/**
+ * 读取 ref 中的文件内容（git show <ref>:<file>）
+ * @returns {string|null}
+ */
+function showFile(cwd, ref, file) {
+    return git(['show', `${ref}:${file}`], cwd);
+}
+
+module.exports = {
+    git,
+    gitBlobId,
+    lastCommit,
+    headCommit,
+    countCommits,
+    resolveCommit,
+    listTree,
+    showFile,
+};
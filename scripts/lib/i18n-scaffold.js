@@ -0,0 +1,192 @@
+/**
+ * i18n-scaffold.js - 读取 zh-CN.yaml 等翻译文件，为缺少翻译的 skill 生成占位条目
+ *
+ * 占位条目的布局：
+ *
+ *   skills:
+ *     anthropic:          # 2 空格：source
+ *       pdf:              # 4 空格：index.yaml 中的 id
+ *         # TODO: translate
+ *         name: pdf       # 6 空格：字段，预填英文 frontmatter
+ *         description: ...
+ *
+ * 只在文本层面插入/删除条目，其余内容（包括已有翻译和注释）保持不变。
+ */
+
+const { parseYaml, formatScalar } = require('./yaml');
+
+const TODO_MARKER = '# TODO: translate';
+
+const SOURCE_LINE = /^  ([a-z][a-z0-9-]*):$/;
+const SKILL_LINE = /^    ([a-z][a-z0-9.-]*):$/;
+
+function indentOf(line) {
+    return line.match(/^ */)[0].length;
+}
+
+function isBlank(line) {
+    return line.trim() === '';
+}
+
+/**
+ * 从 start 之后找到第一个缩进不大于 indent 的非空行，返回块的结束位置（不含尾随空行）
+ */
+function blockEnd(lines, start, indent) {
+    let end = start + 1;
+    while (end < lines.length && (isBlank(lines[end]) || indentOf(lines[end]) > indent)) end++;
+    while (end > start + 1 && isBlank(lines[end - 1])) end--;
+    return end;
+}
+
+/**
+ * 定位每个 source 及其下 skill 的行范围
+ */
+function locateEntries(lines) {
+    const sources = {};
+
+    lines.forEach((line, index) => {
+        const sourceMatch = line.match(SOURCE_LINE);
+        if (!sourceMatch) return;
+
+        const end = blockEnd(lines, index, 2);
+        const skills = {};
+        for (let i = index + 1; i < end; i++) {
+            const skillMatch = lines[i].match(SKILL_LINE);
+            if (skillMatch) {
+                skills[skillMatch[1]] = { start: i, end: blockEnd(lines, i, 4) };
+            }
+        }
+        sources[sourceMatch[1]] = { start: index, end, skills };
+    });
+
+    return sources;
+}
+
+/**
+ * 解析翻译文件：skills -> source -> skill-id -> { name, description }
+ *
+ * 字段按完整 YAML 解析（支持 `|`、`>` 块标量）；TODO 标记是注释，解析结果中没有，
+ * 另外按行找出带标记的占位条目，记 stub: true。
+ * @param {string} content - 文件内容
+ * @returns {Object<string, Object<string, { name?: string, description?: string, stub?: boolean }>>}
+ * @throws {YamlSyntaxError}
+ */
+function parseTranslations(content) {
+    content = content.replace(/\r\n/g, '\n');
+    const { value } = parseYaml(content);
+    const skills = value && typeof value.skills === 'object' && value.skills !== null ? value.skills : {};
+    const translations = {};
+
+    for (const [source, entries] of Object.entries(skills)) {
+        translations[source] = {};
+        for (const [id, fields] of Object.entries(entries && typeof entries === 'object' ? entries : {})) {
+            const entry = {};
+            for (const field of ['name', 'description']) {
+                if (!fields || typeof fields !== 'object' || !(field in fields)) continue;
+                entry[field] = fields[field] === null ? '' : String(fields[field]).trim();
+            }
+            translations[source][id] = entry;
+        }
+    }
+
+    const lines = content.split('\n');
+    for (const [source, block] of Object.entries(locateEntries(lines))) {
+        for (const [id, { start, end }] of Object.entries(block.skills)) {
+            const entry = translations[source] && translations[source][id];
+            if (entry && lines.slice(start + 1, end).some((line) => line.trim() === TODO_MARKER)) {
+                entry.stub = true;
+            }
+        }
+    }
+
+    return translations;
+}
+
+/**
+ * 渲染一个占位条目
+ * @param {{ id: string, name: string, description: string }} stub
+ */
+function renderStub(stub) {
+    return [
+        `    ${stub.id}:`,
+        `      ${TODO_MARKER}`,
+        `      name: ${formatScalar(stub.name || stub.id)}`,
+        `      description: ${formatScalar(stub.description || '')}`,
+    ];
+}
+
+/**
+ * 在翻译文件中添加占位条目、删除孤儿条目
+ * @param {string} content - zh-CN.yaml 原内容（文件不存在时为空字符串）
+ * @param {Array<{ source: string, id: string, name: string, description: string }>} stubs
+ * @param {Array<{ source: string, id: string }>} [removals]
+ * @returns {string} 新内容
+ */
+function scaffoldTranslations(content, stubs, removals = []) {
+    const lines = content === '' ? ['skills:'] : content.replace(/\n$/, '').split('\n');
+    const located = locateEntries(lines);
+
+    // 行号 -> 插在该行之前的内容；被删除的行号集合
+    const inserts = new Map();
+    const removed = new Set();
+    const newSources = {};
+
+    const insertBefore = (index, newLines) => {
+        if (!inserts.has(index)) inserts.set(index, []);
+        inserts.get(index).push(...newLines);
+    };
+
+    for (const stub of stubs) {
+        const block = located[stub.source];
+        if (block) {
+            insertBefore(block.end, renderStub(stub));
+        } else {
+            if (!newSources[stub.source]) newSources[stub.source] = [];
+            newSources[stub.source].push(...renderStub(stub));
+        }
+    }
+
+    for (const item of removals) {
+        const block = located[item.source];
+        const skill = block && block.skills[item.id];
+        if (!skill) continue;
+
+        for (let i = skill.start; i < skill.end; i++) removed.add(i);
+
+        // source 下的条目全部删除时，连同 source 行一起删除
+        const remaining = Object.values(block.skills).some((s) => !removed.has(s.start));
+        const gainsStubs = stubs.some((stub) => stub.source === item.source);
+        if (!remaining && !gainsStubs) {
+            for (let i = block.start; i < block.end; i++) removed.add(i);
+        }
+    }
+
+    const out = [];
+    for (let i = 0; i <= lines.length; i++) {
+        if (inserts.has(i)) out.push(...inserts.get(i));
+        if (i < lines.length && !removed.has(i)) out.push(lines[i]);
+    }
+
+    for (const source of Object.keys(newSources).sort()) {
+        out.push(`  ${source}:`, ...newSources[source]);
+    }
+
+    return out.join('\n') + '\n';
+}
+
+/**
+ * 条目是否仍未翻译：缺失、带 TODO 标记（parseTranslations() 记为 stub），或描述与英文 frontmatter 相同
+ * @param {{ description?: string, stub?: boolean }|null} translation - parseTranslations() 中的条目
+ * @param {{ description: string }} skill - 对应的 skill（英文 frontmatter）
+ */
+function isUntranslated(translation, skill) {
+    if (!translation || !translation.description) return true;
+    return Boolean(translation.stub) || translation.description === skill.description;
+}
+
+module.exports = {
+    TODO_MARKER,
+    parseTranslations,
+    scaffoldTranslations,
+    isUntranslated,
+};
@@ -0,0 +1,260 @@
+/**
+ * licenses.js - 识别每个 skill 的许可证，检查能否随本仓库再分发
+ *
+ * 许可证依次取自：
+ *   1. skill 目录下的 LICENSE / LICENSE.txt / LICENSE.md / COPYING（按正文识别）
+ *   2. frontmatter 的 license 字段（"MIT"，或 "Complete terms in LICENSE.txt" 这类指向文件的说明）
+ *   3. 来源 provenance.yaml 中的 license
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LICENSE_FILE = /^(licen[cs]e|copying)(\.(md|txt))?$/i;
+
+// 允许再分发，只需保留版权和许可声明
+const PERMISSIVE = ['MIT', 'Apache-2.0', 'BSD-2-Clause', 'BSD-3-Clause', 'ISC', '0BSD', 'Unlicense', 'CC0-1.0', 'CC-BY-4.0'];
+// 允许再分发，但衍生作品须沿用同一许可证，不能并入 MIT 授权
+const COPYLEFT = ['GPL-2.0', 'GPL-3.0', 'AGPL-3.0', 'LGPL-2.1', 'LGPL-3.0', 'MPL-2.0', 'CC-BY-SA-4.0'];
+const PROPRIETARY = 'Proprietary';
+
+// 按正文识别（顺序重要：LGPL / AGPL 的正文里也有 "GNU GENERAL PUBLIC LICENSE"）
+const TEXT_PATTERNS = [
+    ['Apache-2.0', /Apache License[\s,]+Version 2\.0/i],
+    ['AGPL-3.0', /GNU AFFERO GENERAL PUBLIC LICENSE\s+Version 3/i],
+    ['LGPL-3.0', /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i],
+    ['LGPL-2.1', /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i],
+    ['GPL-3.0', /GNU GENERAL PUBLIC LICENSE\s+Version 3/i],
+    ['GPL-2.0', /GNU GENERAL PUBLIC LICENSE\s+Version 2/i],
+    ['MPL-2.0', /Mozilla Public License,?\s+(Version|v\.?)\s*2\.0/i],
+    ['MIT', /Permission is hereby granted, free of charge, to any person obtaining a copy/i],
+    ['BSD-3-Clause', /Neither the name of .+ nor the names of its\s+contributors/i],
+    ['BSD-2-Clause', /Redistribution and use in source and binary forms, with or without\s+modification, are permitted/i],
+    ['ISC', /Permission to use, copy, modify, and\/or distribute this software for any\s+purpose with or without fee/i],
+    ['Unlicense', /This is free and unencumbered software released into the public domain/i],
+    ['CC0-1.0', /CC0 1\.0 Universal/i],
+];
+
+const SPDX_ALIASES = {
+    'mit': 'MIT',
+    'apache-2.0': 'Apache-2.0',
+    'apache 2.0': 'Apache-2.0',
+    'apache license 2.0': 'Apache-2.0',
+    'bsd-2-clause': 'BSD-2-Clause',
+    'bsd-3-clause': 'BSD-3-Clause',
+    'isc': 'ISC',
+    '0bsd': '0BSD',
+    'unlicense': 'Unlicense',
+    'cc0-1.0': 'CC0-1.0',
+    'cc-by-4.0': 'CC-BY-4.0',
+    'cc-by-sa-4.0': 'CC-BY-SA-4.0',
+    'gpl-2.0': 'GPL-2.0',
+    'gpl-3.0': 'GPL-3.0',
+    'agpl-3.0': 'AGPL-3.0',
+    'lgpl-2.1': 'LGPL-2.1',
+    'lgpl-3.0': 'LGPL-3.0',
+    'mpl-2.0': 'MPL-2.0',
+};
+
+/**
+ * 查找目录下的许可证文件（只看第一层）
+ * @returns {string|null} 绝对路径
+ */
+function findLicenseFile(dir) {
+    const name = fs.readdirSync(dir).sort().find((file) => LICENSE_FILE.test(file));
+    return name ? path.join(dir, name) : null;
+}
+
+/**
+ * 按正文识别许可证；"All rights reserved" 且没有开源授权条款的视为专有
+ * @returns {string|null} SPDX id、'Proprietary'，无法识别时为 null
+ */
+function identifyLicenseText(text) {
+    for (const [id, pattern] of TEXT_PATTERNS) {
+        if (pattern.test(text)) return id;
+    }
+    if (/all rights reserved/i.test(text)) return PROPRIETARY;
+    return null;
+}
+
+/**
+ * 解析 frontmatter 的 license 字段
+ * @returns {{ id: string|null, refersToFile: boolean }}
+ */
+function parseLicenseField(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return { id: null, refersToFile: false };
+    }
+
+    const text = value.trim();
+    const refersToFile = /licen[cs]e(\.txt|\.md)?\b.*\b(terms|text)|terms in licen[cs]e/i.test(text);
+    if (/^proprietary\b/i.test(text)) {
+        return { id: PROPRIETARY, refersToFile };
+    }
+
+    const alias = SPDX_ALIASES[text.toLowerCase()];
+    return { id: alias || (refersToFile ? null : text), refersToFile };
+}
+
+/**
+ * 从许可证文件中提取版权声明行（跳过 Apache 附录中的 "Copyright [yyyy]" 模板）
+ */
+function copyrightLines(text) {
+    const lines = text.split(/\r?\n/).map((line) => line.trim());
+    const found = lines.filter((line) => /^(copyright\s+(\(c\)\s*)?|©\s*|\(c\)\s*)\d{4}/i.test(line));
+    return [...new Set(found)];
+}
+
+/**
+ * 再分发分类
+ * @returns {'permissive'|'copyleft'|'proprietary'|'unknown'|'missing'}
+ */
+function classify(id) {
+    if (!id) return 'missing';
+    if (PERMISSIVE.includes(id)) return 'permissive';
+    if (COPYLEFT.includes(id)) return 'copyleft';
+    if (id === PROPRIETARY) return 'proprietary';
+    return 'unknown';
+}
+
+/**
+ * 确定单个 skill 的许可证
+ * @param {{ licenseFile: string|null, frontmatter: object }} skill
+ * @param {string} [sourceDefault] - provenance.yaml 中的 license
+ * @returns {{ license: string|null, origin: 'file'|'frontmatter'|'source'|null, category: string,
+ *   file: string|null, declared: string|null, copyright: string[], notes: string[] }}
+ */
+function resolveLicense(skill, sourceDefault = '') {
+    const declared = typeof skill.frontmatter.license === 'string' ? skill.frontmatter.license.trim() : null;
+    const field = parseLicenseField(declared);
+    const notes = [];
+
+    let fromFile = null;
+    let copyright = [];
+    if (skill.licenseFile) {
+        const text = fs.readFileSync(skill.licenseFile, 'utf-8');
+        fromFile = identifyLicenseText(text);
+        copyright = copyrightLines(text);
+        if (!fromFile) {
+            notes.push(`unrecognised license text in ${path.basename(skill.licenseFile)}`);
+        }
+    } else if (field.refersToFile) {
+        notes.push(`frontmatter refers to a license file that does not exist ("${declared}")`);
+    }
+
+    if (fromFile && field.id && field.id !== fromFile) {
+        notes.push(`frontmatter says ${field.id} but ${path.basename(skill.licenseFile)} is ${fromFile}`);
+    }
+
+    let license = null;
+    let origin = null;
+    if (fromFile) {
+        license = fromFile;
+        origin = 'file';
+    } else if (field.id) {
+        license = field.id;
+        origin = 'frontmatter';
+    } else if (sourceDefault) {
+        license = sourceDefault;
+        origin = 'source';
+    } else if (skill.licenseFile) {
+        // 有文件但识别不出来：交给人工判断
+        license = 'Unknown';
+        origin = 'file';
+    }
+
+    return {
+        license,
+        origin,
+        category: license === 'Unknown' ? 'unknown' : classify(license),
+        file: skill.licenseFile || null,
+        declared,
+        copyright,
+        notes,
+    };
+}
+
+const CATEGORY_LABELS = {
+    permissive: '可再分发',
+    copyleft: 'Copyleft（须沿用原许可证）',
+    proprietary: '专有，不可再分发',
+    unknown: '无法识别，需人工确认',
+    missing: '缺少许可证',
+};
+
+/**
+ * 生成 Markdown 报告
+ * @param {Array<{ source: string, id: string, repo: string, relFile: string|null } & ReturnType<typeof resolveLicense>>} entries
+ */
+function renderLicenseMarkdown(entries) {
+    const out = [];
+    const fullId = (e) => `@${e.source}/${e.id}`;
+
+    out.push('# Skills 许可证报告');
+    out.push('');
+    out.push('<!-- 由 scripts/sync-stats.js licenses --markdown 生成 -->');
+    out.push('');
+    out.push('本仓库以 MIT 许可证发布，但各 Skill 保留其上游许可证。');
+    out.push('');
+
+    out.push('## 概览');
+    out.push('');
+    out.push('| 许可证 | 分类 | Skills |');
+    out.push('|--------|------|--------|');
+    const byLicense = {};
+    for (const e of entries) {
+        const key = e.license || '（无）';
+        if (!byLicense[key]) byLicense[key] = { category: e.category, count: 0 };
+        byLicense[key].count++;
+    }
+    for (const [license, { category, count }] of Object.entries(byLicense).sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))) {
+        out.push(`| ${license} | ${CATEGORY_LABELS[category]} | ${count} |`);
+    }
+    out.push('');
+
+    const section = (title, items, describe) => {
+        out.push(`## ${title}`);
+        out.push('');
+        if (items.length === 0) {
+            out.push('无。');
+        } else {
+            for (const e of items) out.push(`- \`${fullId(e)}\`${describe(e)}`);
+        }
+        out.push('');
+    };
+
+    section('缺少许可证', entries.filter((e) => e.category === 'missing'), () => '');
+    section('与再分发冲突', entries.filter((e) => e.category === 'proprietary' || e.category === 'unknown'),
+        (e) => ` — ${e.license}${e.copyright.length > 0 ? `（${e.copyright[0]}）` : ''}`);
+    section('Copyleft', entries.filter((e) => e.category === 'copyleft'), (e) => ` — ${e.license}`);
+    section('需要核对', entries.filter((e) => e.notes.length > 0), (e) => ` — ${e.notes.join('；')}`);
+
+    out.push('## 署名');
+    out.push('');
+    out.push('随 Skills 一起分发时需要附带以下声明。');
+    out.push('');
+    for (const e of entries.filter((item) => item.category === 'permissive' || item.category === 'copyleft')) {
+        out.push(`### ${fullId(e)}`);
+        out.push('');
+        out.push(`- 许可证：${e.license}${e.origin === 'source' ? '（来源默认）' : ''}`);
+        if (e.repo) out.push(`- 上游：${e.repo}`);
+        if (e.relFile) out.push(`- 全文：\`${e.relFile}\``);
+        for (const line of e.copyright) out.push(`- ${line}`);
+        out.push('');
+    }
+
+    return out.join('\n').replace(/\n+$/, '\n');
+}
+
+module.exports = {
+    PERMISSIVE,
+    COPYLEFT,
+    PROPRIETARY,
+    findLicenseFile,
+    identifyLicenseText,
+    parseLicenseField,
+    copyrightLines,
+    classify,
+    resolveLicense,
+    renderLicenseMarkdown,
+};
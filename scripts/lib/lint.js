@@ -0,0 +1,189 @@
+/**
+ * lint.js - 检查 skill 目录内容（SKILL.md 正文与附带文件）
+ *
+ * 规则：
+ *   broken-link         SKILL.md 中的相对链接指向不存在的文件
+ *   missing-script      正文引用的 scripts/... 文件不存在（行内代码中的提及为 warning，示例行跳过）
+ *   file-size           单个文件超过大小上限
+ *   description-length  description 超过 agent 接受的长度
+ *   shebang             可执行文件缺少 #! 行（warning）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { walkFiles } = require('./skill-files');
+
+const DEFAULT_LIMITS = {
+    // Claude / Codex 等 agent 对 description 的上限
+    maxDescriptionLength: 1024,
+    maxFileSize: 1024 * 1024,
+};
+
+const SCRIPT_EXTENSIONS = ['py', 'js', 'mjs', 'cjs', 'ts', 'sh', 'rb'];
+
+const LINK_PATTERN = /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g;
+// 说明性的提及："Example: `scripts/rotate_pdf.py`"、"e.g. `scripts/foo.sh`"
+const EXAMPLE_LINE = /\b(?:e\.g\.|examples?|for instance|such as)\b/i;
+const INLINE_CODE = /`[^`]*`/g;
+const SCRIPT_PATTERN = new RegExp(
+    `(^|[^\\w./~$}-])((?:\\./)?(?:[\\w-]+/)*scripts/[\\w./-]+\\.(?:${SCRIPT_EXTENSIONS.join('|')}))(?![\\w/])`,
+    'g'
+);
+
+/**
+ * 把正文拆成行，标出代码块内的行（代码块里的 [x](y) 不是链接）
+ * @returns {Array<{ text: string, line: number, code: boolean }>}
+ */
+function bodyLines(body, bodyLine) {
+    let fence = null;
+    return body.split('\n').map((text, index) => {
+        const marker = text.match(/^\s*(`{3,}|~{3,})/);
+        let code = fence !== null;
+        if (marker) {
+            if (fence === null) {
+                fence = marker[1][0];
+            } else if (marker[1][0] === fence) {
+                fence = null;
+            }
+            code = true;
+        }
+        return { text, line: bodyLine + index, code };
+    });
+}
+
+/**
+ * 提取正文中的相对链接（忽略 URL、锚点、绝对路径和代码）
+ * @returns {Array<{ target: string, line: number }>}
+ */
+function findRelativeLinks(lines) {
+    const links = [];
+    for (const { text, line, code } of lines) {
+        if (code) continue;
+
+        const prose = text.replace(/`[^`]*`/g, '');
+        for (const match of prose.matchAll(LINK_PATTERN)) {
+            const target = match[1];
+            if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('#') || target.startsWith('/')) continue;
+
+            const file = target.replace(/[#?].*$/, '');
+            if (file === '') continue;
+            try {
+                links.push({ target: decodeURIComponent(file), line });
+            } catch (e) {
+                links.push({ target: file, line });
+            }
+        }
+    }
+    return links;
+}
+
+/**
+ * 提取正文（含代码块）中引用的 scripts/... 文件
+ *
+ * 代码块和正文里的路径是要运行的命令；散文中行内代码里的路径常常只是举例，
+ * 标记为 inline，示例行中的直接跳过。
+ * @returns {Array<{ target: string, line: number, inline: boolean }>}
+ */
+function findScriptReferences(lines) {
+    const refs = [];
+    for (const { text, line, code } of lines) {
+        const collect = (segment, inline) => {
+            for (const match of segment.matchAll(SCRIPT_PATTERN)) {
+                refs.push({ target: match[2].replace(/^\.\//, ''), line, inline });
+            }
+        };
+
+        if (code) {
+            collect(text, false);
+            continue;
+        }
+
+        collect(text.replace(INLINE_CODE, ' '), false);
+        if (EXAMPLE_LINE.test(text)) continue;
+        for (const [snippet] of text.matchAll(INLINE_CODE)) {
+            collect(snippet.slice(1, -1), true);
+        }
+    }
+    return refs;
+}
+
+/**
+ * 检查单个 skill
+ * @param {{ id: string, path: string, description: string }} skill - collectStats() 中的条目
+ * @param {object} [limits] - 覆盖 DEFAULT_LIMITS
+ * @returns {Array<{ rule: string, severity: 'error'|'warning', file: string, line: number|null, message: string }>}
+ */
+function lintSkill(skill, limits = {}) {
+    const { maxDescriptionLength, maxFileSize } = { ...DEFAULT_LIMITS, ...limits };
+    const skillDir = path.dirname(skill.path);
+    const findings = [];
+    const add = (rule, severity, file, line, message) => findings.push({ rule, severity, file, line, message });
+
+    const content = fs.readFileSync(skill.path, 'utf-8');
+    const parsed = parseFrontmatter(content);
+    const lines = bodyLines(parsed.body, parsed.bodyLine);
+    const exists = (target) => fs.existsSync(path.resolve(skillDir, target));
+
+    // 正文里的路径常带上游仓库的前缀（skills/pptx/ooxml/scripts/unpack.py），任一后缀存在即可
+    const scriptExists = (target) => {
+        const parts = target.split('/');
+        return parts.some((_, index) => exists(parts.slice(index).join('/')));
+    };
+
+    if (skill.description.length > maxDescriptionLength) {
+        add('description-length', 'error', 'SKILL.md', parsed.lines.description || 1,
+            `description is ${skill.description.length} characters (limit ${maxDescriptionLength})`);
+    }
+
+    for (const { target, line } of findRelativeLinks(lines)) {
+        if (!exists(target)) {
+            add('broken-link', 'error', 'SKILL.md', line, `link target not found: ${target}`);
+        }
+    }
+
+    const reported = new Set();
+    for (const { target, line, inline } of findScriptReferences(lines)) {
+        if (reported.has(target) || scriptExists(target)) continue;
+        reported.add(target);
+        add('missing-script', inline ? 'warning' : 'error', 'SKILL.md', line, `referenced script not found: ${target}`);
+    }
+
+    for (const { file, abs, size, mode } of walkFiles(skillDir)) {
+        if (size > maxFileSize) {
+            add('file-size', 'error', file, null,
+                `${formatSize(size)} exceeds limit of ${formatSize(maxFileSize)}`);
+        }
+
+        if (process.platform !== 'win32' && (mode & 0o111) !== 0 && !startsWithShebang(abs)) {
+            add('shebang', 'warning', file, 1, 'executable file has no #! line');
+        }
+    }
+
+    return findings;
+}
+
+function startsWithShebang(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const buffer = Buffer.alloc(2);
+        const read = fs.readSync(fd, buffer, 0, 2, 0);
+        return read === 2 && buffer.toString('latin1') === '#!';
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    findRelativeLinks,
+    findScriptReferences,
+    bodyLines,
+    lintSkill,
+};
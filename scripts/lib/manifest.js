@@ -0,0 +1,95 @@
+/**
+ * manifest.js - 计算每个 skill 的内容哈希，生成 skills/manifest.json
+ *
+ * skill 哈希 = sha256 of 逐行 "<文件 sha256>  <相对路径>\n"（与 sha256sum 输出格式相同，按路径字节序排列），
+ * 文本文件先把 CRLF 统一为 LF，保证 Windows 检出与 Linux 检出得到相同的哈希。
+ * 忽略的文件见 skill-files.js。
+ *
+ * 提交到仓库的 skills/manifest.json 不含 commit：写入时还不知道包含它的提交，
+ * 记录下来总会落后一个提交。发布时用 `manifest --json` 输出带 commit 的版本。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { walkFiles } = require('./skill-files');
+
+const MANIFEST_VERSION = 1;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * 读取文件并统一换行；前 8000 字节中有 NUL 的视为二进制文件，原样保留
+ */
+function normalizedContent(file) {
+    const buffer = fs.readFileSync(file);
+    if (buffer.subarray(0, 8000).includes(0)) {
+        return buffer;
+    }
+    return Buffer.from(buffer.toString('latin1').replace(/\r\n/g, '\n'), 'latin1');
+}
+
+/**
+ * 计算单个 skill 目录的哈希
+ * @returns {{ hash: string, size: number, files: Array<{ path: string, size: number, sha256: string }> }}
+ */
+function hashSkill(skillDir) {
+    const files = walkFiles(skillDir).map(({ file, abs }) => {
+        const content = normalizedContent(abs);
+        return { path: file, size: content.length, sha256: sha256(content) };
+    });
+
+    const listing = files.map((f) => `${f.sha256}  ${f.path}\n`).join('');
+    return {
+        hash: `sha256:${sha256(listing)}`,
+        size: files.reduce((sum, f) => sum + f.size, 0),
+        files,
+    };
+}
+
+/**
+ * 生成 manifest 对象（不含时间戳，内容不变时输出不变）
+ * @param {Array<{ source: string, id: string, path: string, version?: string }>} skills - selectSkills() 的结果
+ * @param {object} [options]
+ * @param {(skillDir: string) => string|null} [options.commitOf] - 最后修改该目录的提交；不传时不写 commit 字段
+ */
+function buildManifest(skills, options = {}) {
+    const { commitOf } = options;
+    const entries = {};
+
+    for (const skill of skills) {
+        const skillDir = path.dirname(skill.path);
+        const { hash, size, files } = hashSkill(skillDir);
+        const entry = { hash, size, version: skill.version || null };
+        if (commitOf) entry.commit = commitOf(skillDir);
+        entry.files = files;
+        entries[`@${skill.source}/${skill.id}`] = entry;
+    }
+
+    return { version: MANIFEST_VERSION, algorithm: 'sha256', skills: entries };
+}
+
+/**
+ * 比较两份 manifest 的哈希（commit 字段不参与比较）
+ * @returns {{ added: string[], removed: string[], changed: string[] }}
+ */
+function compareManifests(previous, current) {
+    const before = (previous && previous.skills) || {};
+    const after = current.skills;
+
+    return {
+        added: Object.keys(after).filter((key) => !before[key]),
+        removed: Object.keys(before).filter((key) => !after[key]),
+        changed: Object.keys(after).filter((key) => before[key] && before[key].hash !== after[key].hash),
+    };
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    normalizedContent,
+    hashSkill,
+    buildManifest,
+    compareManifests,
+};
@@ -0,0 +1,330 @@
+/**
+ * markdown.js - 把 SKILL.md 正文渲染为 HTML（供网站数据导出使用，不依赖第三方库）
+ *
+ * 支持 SKILL.md 中实际用到的语法：
+ *   标题（带 id 锚点）、段落、围栏代码块、引用、有序 / 无序列表（可嵌套，支持任务列表）、
+ *   GFM 表格、分隔线，以及行内代码、链接、图片、自动链接、粗体、斜体、删除线
+ *
+ * 正文来自上游仓库，原始 HTML 一律转义输出，链接只保留 http(s)、mailto、锚点和相对路径。
+ */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HR = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(\s+|$)/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * GitHub 风格的标题锚点：小写，去掉标点，空格换成 -（保留中文）
+ */
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/<[^>]*>/g, '')
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .trim()
+        .replace(/\s/g, '-');
+}
+
+function safeHref(href) {
+    const value = href.trim();
+    if (/^(https?:|mailto:|#)/i.test(value)) return value;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return null;
+    return value;
+}
+
+/**
+ * 渲染行内语法
+ * @param {string} text
+ * @param {object} context - 见 renderMarkdown 的 options
+ */
+function renderInline(text, context) {
+    const slots = [];
+    const hold = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+    const link = (href) => {
+        const safe = safeHref(href);
+        if (safe === null) return null;
+        return context.rewriteLink ? context.rewriteLink(safe) : safe;
+    };
+
+    let out = String(text)
+        // 行内代码优先，其中的内容不再解析
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(/<(https?:\/\/[^\s>]+)>/g, (m, url) => hold(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+
+    out = escapeHtml(out)
+        .replace(/!\[([^\]]*)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;[^&]*&quot;)?\s*\)/g, (m, alt, src) => {
+            const href = link(src.replace(/&amp;/g, '&'));
+            return href === null ? alt : hold(`<img src="${escapeHtml(href)}" alt="${alt}">`);
+        })
+        .replace(/\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;[^&]*&quot;)?\s*\)/g, (m, label, target) => {
+            const href = link(target.replace(/&amp;/g, '&'));
+            return href === null ? label : `<a href="${escapeHtml(href)}">${label}</a>`;
+        })
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    return out.replace(/\u0000(\d+)\u0000/g, (m, i) => slots[Number(i)]);
+}
+
+/**
+ * 拆分表格行的单元格（行内代码中的 | 与 \| 不算分隔符）
+ */
+function splitRow(line) {
+    const trimmed = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+    for (let i = 0; i < trimmed.length; i++) {
+        const ch = trimmed[i];
+        if (ch === '\\' && trimmed[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (ch === '`') {
+            inCode = !inCode;
+            cell += ch;
+        } else if (ch === '|' && !inCode) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function renderTable(header, separator, rows, context) {
+    const aligns = splitRow(separator).map((cell) => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+    });
+    const cellHtml = (tag, text, i) => {
+        const align = aligns[i] ? ` style="text-align:${aligns[i]}"` : '';
+        return `<${tag}${align}>${renderInline(text, context)}</${tag}>`;
+    };
+
+    const out = ['<table>', '<thead>', `<tr>${splitRow(header).map((c, i) => cellHtml('th', c, i)).join('')}</tr>`, '</thead>'];
+    if (rows.length > 0) {
+        out.push('<tbody>');
+        for (const row of rows) {
+            const cells = splitRow(row);
+            out.push(`<tr>${aligns.map((a, i) => cellHtml('td', cells[i] || '', i)).join('')}</tr>`);
+        }
+        out.push('</tbody>');
+    }
+    out.push('</table>');
+    return out.join('\n');
+}
+
+function isBlockStart(line, next) {
+    return FENCE.test(line) || HEADING.test(line) || HR.test(line) || QUOTE.test(line) || LIST_ITEM.test(line)
+        || (line.includes('|') && next !== undefined && TABLE_SEPARATOR.test(next) && next.includes('-'));
+}
+
+/**
+ * 按行解析块级结构
+ */
+function renderBlocks(lines, context) {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const indent = line.match(/^ */)[0].length;
+            const code = [];
+            i++;
+            while (i < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[i])) {
+                code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+                i++;
+            }
+            i++;
+            const lang = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            out.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}${code.length > 0 ? '\n' : ''}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            const base = slugify(heading[2].replace(/`/g, '')) || 'section';
+            const count = context.slugs.get(base) || 0;
+            context.slugs.set(base, count + 1);
+            const id = count === 0 ? base : `${base}-${count}`;
+            out.push(`<h${level} id="${escapeHtml(id)}">${renderInline(heading[2], context)}</h${level}>`);
+            context.headings.push({ level, id, text: heading[2].replace(/[`*_]/g, '') });
+            i++;
+            continue;
+        }
+
+        if (HR.test(line)) {
+            out.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim() !== '' && (QUOTE.test(lines[i]) || quoted.length > 0)) {
+                if (!QUOTE.test(lines[i]) && isBlockStart(lines[i], lines[i + 1])) break;
+                quoted.push(lines[i].replace(QUOTE, ''));
+                i++;
+            }
+            out.push(`<blockquote>\n${renderBlocks(quoted, context)}\n</blockquote>`);
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const rows = [];
+            let j = i + 2;
+            while (j < lines.length && lines[j].trim() !== '' && lines[j].includes('|')) {
+                rows.push(lines[j]);
+                j++;
+            }
+            out.push(renderTable(line, lines[i + 1], rows, context));
+            i = j;
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            const { html, next } = renderList(lines, i, context);
+            out.push(html);
+            i = next;
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !isBlockStart(lines[i], lines[i + 1]))) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        out.push(`<p>${renderInline(paragraph.join('\n'), context)}</p>`);
+    }
+
+    return out.join('\n');
+}
+
+/**
+ * 解析从 start 开始的一个列表（同一缩进、同一类型的连续条目）
+ * @returns {{ html: string, next: number }}
+ */
+function renderList(lines, start, context) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM);
+        if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+        const contentIndent = indent + match[2].length + Math.max(match[3].length, 1);
+        const body = [lines[i].slice(match[0].length)];
+        i++;
+
+        while (i < lines.length) {
+            const current = lines[i];
+            if (current.trim() === '') {
+                // 空行之后仍有缩进内容时属于同一条目
+                let j = i;
+                while (j < lines.length && lines[j].trim() === '') j++;
+                if (j < lines.length && lines[j].match(/^ */)[0].length >= contentIndent) {
+                    loose = true;
+                    for (; i < j; i++) body.push('');
+                    continue;
+                }
+                break;
+            }
+            const currentIndent = current.match(/^ */)[0].length;
+            if (currentIndent >= contentIndent) {
+                body.push(current.slice(contentIndent));
+            } else if (LIST_ITEM.test(current) || isBlockStart(current, lines[i + 1])) {
+                break;
+            } else {
+                // 懒惰续行
+                body.push(current.trim());
+            }
+            i++;
+        }
+
+        items.push(body);
+
+        // 条目之间有空行时列表为松散列表
+        let j = i;
+        while (j < lines.length && lines[j].trim() === '') j++;
+        const nextItem = j < lines.length && lines[j].match(LIST_ITEM);
+        if (j > i && nextItem && nextItem[1].length === indent && /\d/.test(nextItem[2]) === ordered) {
+            loose = true;
+            i = j;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const open = ordered && startNumber !== 1 ? `<ol start="${startNumber}">` : `<${tag}>`;
+
+    const rendered = items.map((body) => {
+        let checkbox = '';
+        const task = body[0].match(/^\[([ xX])\]\s+/);
+        if (task) {
+            checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+            body[0] = body[0].slice(task[0].length);
+        }
+
+        let html = renderBlocks(body, context);
+        if (!loose) {
+            // 紧凑列表不包 <p>
+            html = html.replace(/^<p>([\s\S]*?)<\/p>/, '$1').replace(/\n<p>([\s\S]*?)<\/p>$/, '\n$1');
+        }
+        return `<li>${checkbox}${html}</li>`;
+    });
+
+    return { html: `${open}\n${rendered.join('\n')}\n</${tag}>`, next: i };
+}
+
+/**
+ * 渲染 Markdown
+ * @param {string} markdown
+ * @param {object} [options]
+ * @param {(href: string) => string} [options.rewriteLink] - 改写链接和图片地址（如把相对路径指向上游仓库）
+ * @returns {{ html: string, headings: Array<{ level: number, id: string, text: string }> }}
+ */
+function renderMarkdown(markdown, options = {}) {
+    const context = { rewriteLink: options.rewriteLink, slugs: new Map(), headings: [] };
+    const lines = String(markdown).replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const html = renderBlocks(lines, context);
+    return { html: html ? `${html}\n` : '', headings: context.headings };
+}
+
+module.exports = {
+    escapeHtml,
+    slugify,
+    splitRow,
+    renderMarkdown,
+};
@@ -0,0 +1,198 @@
+/**
+ * overlap.js - 找出不同来源之间重复或高度相似的 skill
+ *
+ * 两类结果：
+ *   同名：同一个 id 出现在多个来源（@anthropic/pdf 与 @openai/pdf）
+ *   相似：名称、描述、正文的 shingle 集合 Jaccard 相似度加权后超过阈值
+ *
+ * 出现在超过 15% skill 中的 shingle（"skill"、"file" 这类）先去掉，否则所有 skill 两两都有底分。
+ *
+ * 分词复用 search.js，保证与搜索的归一化规则一致。
+ */
+
+const { tokenize } = require('./search');
+
+// 各部分的 shingle 长度与权重。正文用单词而不是多词 shingle：上游各自改写过，
+// 多词 shingle 只有原样复制时才有得分；名称权重低，"design"、"deploy" 这类词太宽泛
+const PARTS = {
+    name: { size: 1, weight: 0.1 },
+    description: { size: 1, weight: 0.3 },
+    body: { size: 1, weight: 0.6 },
+};
+
+const MAX_DOC_FREQUENCY = 0.15;
+const DEFAULT_THRESHOLD = 0.08;
+const SEE_ALSO_LIMIT = 3;
+
+/**
+ * 生成 k 词 shingle 集合
+ */
+function shingles(text, size) {
+    const tokens = tokenize(text);
+    const set = new Set();
+    if (tokens.length < size) {
+        if (tokens.length > 0) set.add(tokens.join(' '));
+        return set;
+    }
+    for (let i = 0; i + size <= tokens.length; i++) {
+        set.add(tokens.slice(i, i + size).join(' '));
+    }
+    return set;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let shared = 0;
+    for (const item of small) {
+        if (large.has(item)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 分析重复与相似
+ * @param {Array<{ id: string, source: string, name: string, description: string, body: string }>} skills
+ * @param {object} [options]
+ * @param {number} [options.threshold=0.08] - 加权相似度下限
+ * @returns {{
+ *   sameId: Array<{ id: string, skills: string[] }>,
+ *   similar: Array<{ a: string, b: string, score: number, parts: Object<string, number> }>,
+ *   seeAlso: Object<string, string[]>
+ * }} skill 以 @source/id 表示，similar 按得分降序
+ */
+function findOverlaps(skills, options = {}) {
+    const threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : options.threshold;
+    const fullId = (skill) => `@${skill.source}/${skill.id}`;
+
+    const byId = {};
+    for (const skill of skills) {
+        if (!byId[skill.id]) byId[skill.id] = [];
+        byId[skill.id].push(fullId(skill));
+    }
+    const sameId = Object.keys(byId).sort()
+        .filter((id) => byId[id].length > 1)
+        .map((id) => ({ id, skills: byId[id] }));
+
+    const sets = skills.map((skill) => {
+        const result = {};
+        for (const [part, { size }] of Object.entries(PARTS)) {
+            // 名称里也算上 id，vercel-react-best-practices 这类带前缀的 name 才能与同类匹配
+            const text = part === 'name' ? `${skill.id} ${skill.name}` : skill[part];
+            result[part] = shingles(text, size);
+        }
+        return result;
+    });
+
+    for (const part of Object.keys(PARTS)) {
+        const frequency = new Map();
+        for (const set of sets) {
+            for (const item of set[part]) frequency.set(item, (frequency.get(item) || 0) + 1);
+        }
+        const limit = Math.max(2, skills.length * MAX_DOC_FREQUENCY);
+        for (const set of sets) {
+            for (const item of [...set[part]]) {
+                if (frequency.get(item) > limit) set[part].delete(item);
+            }
+        }
+    }
+
+    const similar = [];
+    for (let i = 0; i < skills.length; i++) {
+        for (let j = i + 1; j < skills.length; j++) {
+            // 同一来源内的相似不算重复，来源自己会区分
+            if (skills[i].source === skills[j].source) continue;
+
+            const parts = {};
+            let score = 0;
+            for (const [part, { weight }] of Object.entries(PARTS)) {
+                parts[part] = round(jaccard(sets[i][part], sets[j][part]));
+                score += parts[part] * weight;
+            }
+            if (score >= threshold || skills[i].id === skills[j].id) {
+                similar.push({ a: fullId(skills[i]), b: fullId(skills[j]), score: round(score), parts });
+            }
+        }
+    }
+    similar.sort((x, y) => y.score - x.score || x.a.localeCompare(y.a) || x.b.localeCompare(y.b));
+
+    const seeAlso = {};
+    for (const pair of similar) {
+        for (const [from, to] of [[pair.a, pair.b], [pair.b, pair.a]]) {
+            if (!seeAlso[from]) seeAlso[from] = [];
+            if (seeAlso[from].length < SEE_ALSO_LIMIT) seeAlso[from].push(to);
+        }
+    }
+    const sortedSeeAlso = {};
+    for (const key of Object.keys(seeAlso).sort()) sortedSeeAlso[key] = seeAlso[key];
+
+    return { sameId, similar, seeAlso: sortedSeeAlso };
+}
+
+/**
+ * 生成 Markdown 报告
+ * @param {ReturnType<typeof findOverlaps>} result
+ * @param {Object<string, string>} [descriptions] - @source/id -> description，用于「另见」说明
+ */
+function renderOverlapMarkdown(result, descriptions = {}) {
+    const out = [];
+
+    out.push('# Skills 重复与相似报告');
+    out.push('');
+    out.push('<!-- 由 scripts/sync-stats.js overlaps --markdown 生成 -->');
+    out.push('');
+
+    out.push('## 同名 Skill');
+    out.push('');
+    if (result.sameId.length === 0) {
+        out.push('无。');
+    } else {
+        for (const group of result.sameId) {
+            out.push(`- \`${group.id}\`：${group.skills.map((s) => `\`${s}\``).join('、')}`);
+        }
+    }
+    out.push('');
+
+    out.push('## 相似 Skill');
+    out.push('');
+    if (result.similar.length === 0) {
+        out.push('无。');
+    } else {
+        out.push('| Skill | Skill | 得分 | 名称 | 描述 | 正文 |');
+        out.push('|-------|-------|------|------|------|------|');
+        for (const pair of result.similar) {
+            const { name, description, body } = pair.parts;
+            out.push(`| \`${pair.a}\` | \`${pair.b}\` | ${pair.score} | ${name} | ${description} | ${body} |`);
+        }
+    }
+    out.push('');
+
+    out.push('## 另见');
+    out.push('');
+    out.push('安装其中一个之前，可以先比较列出的几个。');
+    out.push('');
+    for (const [from, targets] of Object.entries(result.seeAlso)) {
+        out.push(`### ${from}`);
+        out.push('');
+        for (const to of targets) {
+            const description = (descriptions[to] || '').replace(/\s+/g, ' ');
+            const short = description.length > 120 ? `${description.slice(0, 117)}...` : description;
+            out.push(`- \`${to}\`${short ? ` — ${short}` : ''}`);
+        }
+        out.push('');
+    }
+
+    return out.join('\n').replace(/\n+$/, '\n');
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    shingles,
+    jaccard,
+    findOverlaps,
+    renderOverlapMarkdown,
+};
@@ -0,0 +1,248 @@
+/**
+ * provenance.js - 镜像来源的上游信息与漂移检测
+ *
+ * 每个来源目录下的 provenance.yaml 记录镜像自哪里：
+ *
+ *   repo: https://github.com/anthropics/skills
+ *   subpath: skills            # 上游仓库中 skill 目录的父目录
+ *   commit: 0123abc...         # 当前镜像对应的上游提交（未记录时为空字符串）
+ *   license: Apache-2.0        # 来源的默认许可证（SPDX）
+ *   renames:                   # 可选：本地 id -> 上游目录名
+ *     playwright: playwright-skill
+ *   requires:                  # 可选：本地 id -> 依赖，格式同 SKILL.md 的 requires（docs/skill-format.md）
+ *     playwright:              # 写在这里而不是镜像的 SKILL.md 中，同步上游时不会被覆盖
+ *       npm: [playwright]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml, YamlSyntaxError } = require('./yaml');
+const { validateRequires } = require('./frontmatter');
+const { normalizedContent } = require('./manifest');
+const { isIgnored, walkFiles } = require('./skill-files');
+const { gitBlobId, listTree } = require('./git');
+
+const PROVENANCE_FILE = 'provenance.yaml';
+
+/**
+ * 读取来源目录下的 provenance.yaml
+ * @returns {{ file: string, exists: boolean, repo: string, subpath: string, commit: string, license: string,
+ *   renames: Object<string, string>, requires: Object<string, object>, issues: Array<{ line: number, message: string }> }}
+ */
+function readProvenance(sourceDir) {
+    const file = path.join(sourceDir, PROVENANCE_FILE);
+    const result = {
+        file, exists: false, repo: '', subpath: '', commit: '', license: '', renames: {}, requires: {}, issues: [],
+    };
+    if (!fs.existsSync(file)) {
+        return result;
+    }
+    result.exists = true;
+
+    let parsed;
+    try {
+        parsed = parseYaml(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        if (!(e instanceof YamlSyntaxError)) throw e;
+        result.issues.push({ line: e.line || 1, message: `Invalid YAML: ${e.reason}` });
+        return result;
+    }
+
+    const data = parsed.value && typeof parsed.value === 'object' ? parsed.value : {};
+    const lineOf = (key) => parsed.lines[key] || 1;
+
+    for (const key of ['repo', 'subpath', 'commit', 'license']) {
+        const value = data[key];
+        if (value === undefined || value === null) {
+            if (key === 'repo') result.issues.push({ line: 1, message: 'Missing required field "repo"' });
+            continue;
+        }
+        if (typeof value !== 'string') {
+            result.issues.push({ line: lineOf(key), message: `"${key}" must be a string` });
+            continue;
+        }
+        result[key] = value.trim();
+    }
+
+    if (result.commit !== '' && !/^[0-9a-f]{7,40}$/.test(result.commit)) {
+        result.issues.push({ line: lineOf('commit'), message: `"commit" must be a git commit hash, got "${result.commit}"` });
+    }
+
+    if (data.renames !== undefined) {
+        const renames = data.renames;
+        if (!renames || typeof renames !== 'object' || Array.isArray(renames)
+            || !Object.values(renames).every((v) => typeof v === 'string')) {
+            result.issues.push({ line: lineOf('renames'), message: '"renames" must map local ids to upstream directory names' });
+        } else {
+            result.renames = renames;
+        }
+    }
+
+    if (data.requires !== undefined) {
+        const requires = data.requires;
+        if (!requires || typeof requires !== 'object' || Array.isArray(requires)) {
+            result.issues.push({ line: lineOf('requires'), message: '"requires" must map local ids to requirements' });
+        } else {
+            for (const [id, value] of Object.entries(requires)) {
+                const before = result.issues.length;
+                validateRequires(value, (field, message) => {
+                    result.issues.push({ line: lineOf('requires'), message: `${id}: ${message}` });
+                });
+                if (result.issues.length === before) result.requires[id] = value;
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 列出上游 subpath 下所有含 SKILL.md 的目录名
+ */
+function listUpstreamSkills(upstreamDir) {
+    return fs.readdirSync(upstreamDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(upstreamDir, entry.name, 'SKILL.md')))
+        .map((entry) => entry.name)
+        .sort();
+}
+
+/**
+ * 目录中的 skill 文件；id 为 CRLF 统一为 LF 后的 git blob id，可与 git 树中的 blob 直接比较
+ * @returns {Array<{ path: string, id: string }>}
+ */
+function listFiles(skillDir) {
+    return walkFiles(skillDir).map(({ file, abs }) => ({ path: file, id: gitBlobId(normalizedContent(abs)) }));
+}
+
+/**
+ * 上游 clone 工作区中的 skill
+ * @param {string} upstreamDir - <clone>/<subpath>
+ * @returns {{ skills: string[], files: (name: string) => Array<{ path: string, id: string }> }}
+ */
+function upstreamFromDirectory(upstreamDir) {
+    return {
+        skills: listUpstreamSkills(upstreamDir),
+        files: (name) => listFiles(path.join(upstreamDir, name)),
+    };
+}
+
+/**
+ * 上游 clone 中某个提交的 skill（git ls-tree，不依赖工作区处于哪个提交）
+ * @param {string} cloneDir
+ * @param {string} ref
+ * @param {string} subpath - provenance.yaml 中的 subpath
+ * @returns {ReturnType<typeof upstreamFromDirectory>|null} ref 不存在时返回 null
+ */
+function upstreamFromGit(cloneDir, ref, subpath) {
+    const prefix = subpath ? `${subpath.replace(/\/+$/, '')}/` : '';
+    const entries = listTree(cloneDir, ref, prefix || '.');
+    if (entries === null) return null;
+
+    const bySkill = {};
+    for (const entry of entries) {
+        if (!entry.path.startsWith(prefix)) continue;
+        const [name, ...rest] = entry.path.slice(prefix.length).split('/');
+        if (rest.length === 0 || rest.some((part, index) => isIgnored(part, index === 0))) continue;
+        if (!bySkill[name]) bySkill[name] = [];
+        bySkill[name].push({ path: rest.join('/'), id: entry.blob });
+    }
+
+    return {
+        skills: Object.keys(bySkill).filter((name) => bySkill[name].some((f) => f.path === 'SKILL.md')).sort(),
+        files: (name) => bySkill[name] || [],
+    };
+}
+
+/**
+ * 比较本地镜像与上游的 skill 内容
+ * @param {Array<{ id: string, path: string }>} localSkills - 该来源下的本地 skill
+ * @param {ReturnType<typeof upstreamFromDirectory>} upstream - upstreamFromDirectory() 或 upstreamFromGit() 的结果
+ * @param {Object<string, string>} [renames] - 本地 id -> 上游目录名
+ * @returns {{ unchanged: object[], changed: object[], added: object[], removed: object[] }}
+ *   每项为 { id, upstream }，added 为上游新增（本地没有），removed 为上游已删除（本地仍有）
+ */
+function compareWithUpstream(localSkills, upstream, renames = {}) {
+    const localToUpstream = (id) => renames[id] || id;
+    const upstreamToLocal = Object.fromEntries(Object.entries(renames).map(([local, name]) => [name, local]));
+    const localIds = new Set(localSkills.map((skill) => skill.id));
+
+    const result = { unchanged: [], changed: [], added: [], removed: [] };
+
+    for (const skill of localSkills) {
+        const name = localToUpstream(skill.id);
+        if (!upstream.skills.includes(name)) {
+            result.removed.push({ id: skill.id, upstream: name });
+            continue;
+        }
+
+        const files = diffFiles(listFiles(path.dirname(skill.path)), upstream.files(name));
+        (files.length === 0 ? result.unchanged : result.changed).push({ id: skill.id, upstream: name, files });
+    }
+
+    for (const name of upstream.skills) {
+        const id = upstreamToLocal[name] || name;
+        if (!localIds.has(id)) {
+            result.added.push({ id, upstream: name });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 上游两个版本之间的变化（如 pin 到 clone 的 HEAD），按上游目录名列出
+ * @returns {{ changed: Array<{ upstream: string, files: object[] }>, added: string[], removed: string[] }}
+ */
+function compareUpstream(from, to) {
+    return {
+        changed: from.skills
+            .filter((name) => to.skills.includes(name))
+            .map((name) => ({ upstream: name, files: diffFiles(from.files(name), to.files(name)) }))
+            .filter((item) => item.files.length > 0),
+        added: to.skills.filter((name) => !from.skills.includes(name)),
+        removed: from.skills.filter((name) => !to.skills.includes(name)),
+    };
+}
+
+/**
+ * 两份文件列表的差异（路径相对于 skill 目录）
+ * @returns {Array<{ path: string, status: 'added'|'removed'|'modified' }>} added 指上游有、本地没有
+ */
+function diffFiles(localFiles, upstreamFiles) {
+    const local = new Map(localFiles.map((f) => [f.path, f.id]));
+    const upstream = new Map(upstreamFiles.map((f) => [f.path, f.id]));
+    const files = [];
+
+    for (const [file, hash] of upstream) {
+        if (!local.has(file)) files.push({ path: file, status: 'added' });
+        else if (local.get(file) !== hash) files.push({ path: file, status: 'modified' });
+    }
+    for (const file of local.keys()) {
+        if (!upstream.has(file)) files.push({ path: file, status: 'removed' });
+    }
+
+    return files.sort((a, b) => (a.path < b.path ? -1 : 1));
+}
+
+/**
+ * 把 provenance.yaml 中的 commit 改为新的提交（只替换该行，保留注释和其余字段）
+ * @returns {string} 新内容
+ */
+function pinCommit(content, commit) {
+    const pattern = /^commit:[^\n#]*?(\s*#.*)?$/m;
+    if (pattern.test(content)) {
+        return content.replace(pattern, (line, comment) => `commit: ${commit}${comment || ''}`);
+    }
+    return content.replace(/\n?$/, `\ncommit: ${commit}\n`);
+}
+
+module.exports = {
+    PROVENANCE_FILE,
+    readProvenance,
+    listUpstreamSkills,
+    upstreamFromDirectory,
+    upstreamFromGit,
+    compareWithUpstream,
+    compareUpstream,
+    pinCommit,
+};
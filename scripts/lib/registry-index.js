@@ -0,0 +1,170 @@
+/**
+ * registry-index.js - 为新发现的 skill 目录补充 index.yaml 条目
+ *
+ * 只在文本层面插入新条目：已有条目的顺序、字段和注释保持不变。
+ * 新条目插在同一来源的最后一个条目之后，该来源没有条目时追加到列表末尾。
+ */
+
+const { formatScalar } = require('./yaml');
+
+const ENTRY_START = /^(\s*)-\s*id:/;
+
+/**
+ * 找出每个条目占据的行范围 [start, end)
+ */
+function findEntryBlocks(lines) {
+    const blocks = [];
+    let current = null;
+
+    const close = (index) => {
+        if (!current) return;
+        // 条目之后的空行和注释不算在条目内
+        let end = index;
+        while (end > current.start + 1 && /^\s*(#.*)?$/.test(lines[end - 1])) end--;
+        current.end = end;
+        blocks.push(current);
+        current = null;
+    };
+
+    lines.forEach((line, index) => {
+        const start = line.match(ENTRY_START);
+        if (start) {
+            close(index);
+            current = { start: index, indent: start[1].length, source: '' };
+            return;
+        }
+        if (!current) return;
+
+        if (/^\s*(#.*)?$/.test(line)) return;
+        const indent = line.match(/^ */)[0].length;
+        if (indent <= current.indent) {
+            close(index);
+            return;
+        }
+
+        const source = line.match(/^\s*source:\s*["']?([^"'\s]+)["']?\s*$/);
+        if (source) current.source = source[1];
+    });
+    close(lines.length);
+
+    return blocks;
+}
+
+/**
+ * 推断已有条目的缩进风格与条目间是否空行
+ */
+function detectStyle(lines, blocks) {
+    if (blocks.length === 0) {
+        return { itemIndent: 2, fieldIndent: 4, blankBetween: false };
+    }
+
+    const first = blocks[0];
+    const firstLine = lines[first.start];
+    const itemIndent = first.indent;
+    const fieldLine = lines.slice(first.start + 1, first.end).find((line) => line.trim() !== '');
+    const fieldIndent = fieldLine
+        ? fieldLine.match(/^ */)[0].length
+        : firstLine.indexOf('id:');
+    const blankBetween = blocks.length > 1 && lines[blocks[1].start - 1].trim() === '';
+
+    return { itemIndent, fieldIndent, blankBetween };
+}
+
+/**
+ * 渲染一个条目
+ * @param {{ id: string, source: string, path: string, name?: string, description?: string, tags?: string[] }} entry
+ */
+function renderEntry(entry, style) {
+    const pad = ' '.repeat(style.fieldIndent);
+    const lines = [`${' '.repeat(style.itemIndent)}- id: ${formatScalar(entry.id)}`];
+
+    lines.push(`${pad}source: ${formatScalar(entry.source)}`);
+    lines.push(`${pad}path: ${formatScalar(entry.path)}`);
+    if (entry.name) lines.push(`${pad}name: ${formatScalar(entry.name)}`);
+    if (entry.description) lines.push(`${pad}description: ${formatScalar(entry.description)}`);
+    if (entry.tags && entry.tags.length > 0) {
+        lines.push(`${pad}tags: [${entry.tags.map(formatScalar).join(', ')}]`);
+    }
+
+    return lines;
+}
+
+/**
+ * 找出需要新增的条目：skills/ 中存在但 index.yaml 没有对应 path 的目录
+ * id 与已有条目冲突时加上来源前缀（与 openai-pdf 等现有条目一致）
+ * @param {Object<string, Array>} statsBySource - collectStats() 的结果
+ * @param {{ entries?: Array }} index - parseIndex() 的结果
+ */
+function planIndexEntries(statsBySource, index) {
+    const entries = index.entries || [];
+    const knownPaths = new Set(entries.map((entry) => entry.path));
+    const usedIds = new Set(entries.map((entry) => entry.id));
+    const additions = [];
+
+    for (const source of Object.keys(statsBySource).sort()) {
+        const skills = [...statsBySource[source]].sort((a, b) => a.id.localeCompare(b.id));
+        for (const skill of skills) {
+            const entryPath = `@${source}/${skill.id}`;
+            if (knownPaths.has(entryPath)) continue;
+
+            const id = usedIds.has(skill.id) ? `${source}-${skill.id}` : skill.id;
+            usedIds.add(id);
+            additions.push({
+                id,
+                source,
+                path: entryPath,
+                name: skill.name,
+                description: skill.description,
+                tags: skill.tags,
+            });
+        }
+    }
+
+    return additions;
+}
+
+/**
+ * 把新条目插入 index.yaml 文本
+ * @returns {string} 新内容
+ */
+function insertIndexEntries(content, additions) {
+    if (additions.length === 0) return content;
+
+    const lines = content.replace(/\n$/, '').split('\n');
+    if (content.trim() === '') lines.length = 0;
+
+    const blocks = findEntryBlocks(lines);
+    const style = detectStyle(lines, blocks);
+
+    // 没有任何条目时需要先有列表所属的键
+    if (blocks.length === 0 && !lines.some((line) => /^skills:\s*$/.test(line))) {
+        lines.push('skills:');
+    }
+
+    // key: 插入位置（插在该行之前），value: 待插入的行
+    const inserts = new Map();
+    const appendAt = blocks.length > 0 ? blocks[blocks.length - 1].end : lines.length;
+
+    for (const entry of additions) {
+        const sameSource = blocks.filter((block) => block.source === entry.source);
+        const at = sameSource.length > 0 ? sameSource[sameSource.length - 1].end : appendAt;
+
+        if (!inserts.has(at)) inserts.set(at, []);
+        const pending = inserts.get(at);
+        if (style.blankBetween && (blocks.length > 0 || pending.length > 0)) pending.push('');
+        pending.push(...renderEntry(entry, style));
+    }
+
+    const out = [];
+    for (let i = 0; i <= lines.length; i++) {
+        if (inserts.has(i)) out.push(...inserts.get(i));
+        if (i < lines.length) out.push(lines[i]);
+    }
+
+    return out.join('\n') + '\n';
+}
+
+module.exports = {
+    planIndexEntries,
+    insertIndexEntries,
+};
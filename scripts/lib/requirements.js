@@ -0,0 +1,189 @@
+/**
+ * requirements.js - 读取 skill 的依赖声明，并检查本机是否满足
+ *
+ * 依赖写在 SKILL.md frontmatter 的 requires 块中；镜像来源的 skill 写在来源的
+ * provenance.yaml（requires.<id>）中，避免改动上游文件。两处都有时合并。
+ *
+ *   requires:
+ *     npm: [playwright]          # Node 包：skill 目录、当前目录或全局 node_modules 中可解析
+ *     python: [python-pptx]      # pip 发行包名（不是 import 名）
+ *     binaries: [dot]            # PATH 中的可执行文件
+ *     env: [OPENAI_API_KEY]      # 非空的环境变量
+ *     network: true              # 需要联网（只提示，不检查）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const KINDS = ['npm', 'python', 'binaries', 'env'];
+
+/**
+ * 把 frontmatter 中的 requires 规整为固定结构（非法值按空处理，校验由 frontmatter.js 负责）
+ * @returns {{ npm: string[], python: string[], binaries: string[], env: string[], network: boolean }}
+ */
+function normalizeRequirements(requires) {
+    const source = requires && typeof requires === 'object' && !Array.isArray(requires) ? requires : {};
+    const result = { network: source.network === true };
+    for (const kind of KINDS) {
+        result[kind] = Array.isArray(source[kind]) ? source[kind].filter((v) => typeof v === 'string') : [];
+    }
+    return result;
+}
+
+/**
+ * 合并多处声明的依赖（列表去重，network 任一为 true 即为 true）
+ * @param {...*} declarations - SKILL.md 的 requires、provenance.yaml 的 requires.<id>（可为 undefined）
+ */
+function mergeRequirements(...declarations) {
+    const result = normalizeRequirements(null);
+    for (const declaration of declarations) {
+        const requirements = normalizeRequirements(declaration);
+        result.network = result.network || requirements.network;
+        for (const kind of KINDS) {
+            result[kind] = [...new Set([...result[kind], ...requirements[kind]])];
+        }
+    }
+    return result;
+}
+
+/**
+ * 是否声明了任何依赖
+ */
+function hasRequirements(requirements) {
+    return requirements.network || KINDS.some((kind) => requirements[kind].length > 0);
+}
+
+function run(command, args) {
+    try {
+        return execFileSync(command, args, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 30000 });
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 在 PATH 中查找可执行文件
+ * @returns {string|null} 完整路径
+ */
+function findBinary(name) {
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    const extensions = process.platform === 'win32'
+        ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+        : [''];
+
+    for (const dir of dirs) {
+        for (const ext of extensions) {
+            const candidate = path.join(dir, name + ext);
+            try {
+                fs.accessSync(candidate, fs.constants.X_OK);
+                if (fs.statSync(candidate).isFile()) return candidate;
+            } catch (e) {
+                // 不存在或不可执行，继续查找
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * 解析 npm 包所在目录
+ * @returns {string|null}
+ */
+function findNpmPackage(name, searchDirs) {
+    for (const dir of searchDirs) {
+        const candidate = path.join(dir, 'node_modules', ...name.split('/'), 'package.json');
+        if (fs.existsSync(candidate)) return path.dirname(candidate);
+    }
+    return null;
+}
+
+/**
+ * 一次性查询多个 Python 发行包的版本
+ * @returns {Object<string, string|null>|null} 包名 -> 版本（未安装为 null）；找不到 Python 时返回 null
+ */
+function pythonVersions(names) {
+    const python = findBinary('python3') || findBinary('python');
+    if (!python) return null;
+
+    const script = [
+        'import json, sys',
+        'from importlib import metadata',
+        'out = {}',
+        'for name in sys.argv[1:]:',
+        '    try:',
+        '        out[name] = metadata.version(name)',
+        '    except metadata.PackageNotFoundError:',
+        '        out[name] = None',
+        'print(json.dumps(out))',
+    ].join('\n');
+
+    const output = run(python, ['-c', script, ...names]);
+    return output ? JSON.parse(output) : null;
+}
+
+/**
+ * 检查本机是否满足依赖
+ * @param {ReturnType<typeof normalizeRequirements>} requirements
+ * @param {object} options
+ * @param {string} options.skillDir - skill 目录（npm 包优先在这里的 node_modules 中查找）
+ * @param {NodeJS.ProcessEnv} [options.env=process.env]
+ * @returns {Array<{ kind: string, name: string, ok: boolean|null, detail: string }>} ok 为 null 表示只提示
+ */
+function checkRequirements(requirements, options) {
+    const env = options.env || process.env;
+    const results = [];
+
+    if (requirements.npm.length > 0) {
+        const globalRoot = run(findBinary('npm') || 'npm', ['root', '-g']);
+        const searchDirs = [options.skillDir, process.cwd()];
+        if (globalRoot) searchDirs.push(path.dirname(globalRoot.trim()));
+
+        for (const name of requirements.npm) {
+            const found = findNpmPackage(name, searchDirs);
+            let detail = `not installed (npm install ${name})`;
+            if (found) {
+                const { version } = JSON.parse(fs.readFileSync(path.join(found, 'package.json'), 'utf-8'));
+                detail = `${version} (${found})`;
+            }
+            results.push({ kind: 'npm', name, ok: Boolean(found), detail });
+        }
+    }
+
+    if (requirements.python.length > 0) {
+        const versions = pythonVersions(requirements.python);
+        for (const name of requirements.python) {
+            if (versions === null) {
+                results.push({ kind: 'python', name, ok: false, detail: 'python3 not found' });
+            } else {
+                const version = versions[name];
+                results.push({ kind: 'python', name, ok: Boolean(version), detail: version || `not installed (pip install ${name})` });
+            }
+        }
+    }
+
+    for (const name of requirements.binaries) {
+        const found = findBinary(name);
+        results.push({ kind: 'binaries', name, ok: Boolean(found), detail: found || 'not found in PATH' });
+    }
+
+    for (const name of requirements.env) {
+        const set = typeof env[name] === 'string' && env[name] !== '';
+        results.push({ kind: 'env', name, ok: set, detail: set ? 'set' : 'not set' });
+    }
+
+    if (requirements.network) {
+        results.push({ kind: 'network', name: 'network', ok: null, detail: 'needs network access' });
+    }
+
+    return results;
+}
+
+module.exports = {
+    KINDS,
+    normalizeRequirements,
+    mergeRequirements,
+    hasRequirements,
+    findBinary,
+    checkRequirements,
+};
@@ -0,0 +1,169 @@
+/**
+ * resolve.js - 模拟 CLI 解析 `skillwisp install <name>` 的规则，检查 id 是否可安装、无歧义
+ *
+ * 解析规则：
+ *   @source/id  精确匹配
+ *   id          只在一个来源中存在时解析到该 skill；多个来源都有时有歧义，必须写 @source/id
+ *
+ * 检查项：
+ *   ambiguous   短名称对应多个来源（warning，文档中必须使用完整 id）
+ *   reserved    id 与 CLI 子命令同名，`skillwisp <id>` 会被当成命令
+ *   unsafe      id 含有在部分文件系统上无法作为目录名的字符或名称
+ *   case        同一来源中只有大小写不同的 id，在 macOS / Windows 上会冲突
+ *   snippet     README 表格中安装命令解析到的 skill 与链接指向的不一致
+ */
+
+const RESERVED_WORDS = [
+    // README 与 docs/getting-started.md 中出现的子命令
+    'add', 'create', 'info', 'install', 'list', 'search',
+    // 常见的子命令与别名，CLI 后续版本可能使用
+    'config', 'help', 'init', 'remove', 'uninstall', 'update', 'upgrade', 'version',
+];
+
+// Windows 保留设备名（不区分大小写，带扩展名也不行）
+const WINDOWS_DEVICE_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+// Windows 禁止的字符、控制字符、空白；以及 shell 中需要转义的字符
+const UNSAFE_CHARS = /[<>:"/\\|?*\u0000-\u001f\s'`$&;!#%]/;
+
+/**
+ * 检查 id 能否作为各平台上的目录名和命令行参数
+ * @returns {string[]} 问题说明
+ */
+function unsafeReasons(id) {
+    const reasons = [];
+    const chars = [...new Set((id.match(new RegExp(UNSAFE_CHARS.source, 'g')) || []))];
+    if (chars.length > 0) reasons.push(`contains ${chars.map((c) => JSON.stringify(c)).join(', ')}`);
+    if (WINDOWS_DEVICE_NAMES.test(id)) reasons.push('is a reserved device name on Windows');
+    if (/[. ]$/.test(id)) reasons.push('ends with a dot or space (stripped on Windows)');
+    if (id.startsWith('-')) reasons.push('starts with "-" (parsed as an option)');
+    if (id.startsWith('.')) reasons.push('starts with "." (hidden file)');
+    if (/[^\x20-\x7e]/.test(id)) reasons.push('contains non-ASCII characters (normalised differently across filesystems)');
+    return reasons;
+}
+
+/**
+ * 生成短名称解析表
+ * @param {Array<{ source: string, id: string }>} skills
+ * @returns {Array<{ name: string, candidates: string[], resolves: string|null }>} 按名称排序；
+ *   resolves 为唯一候选的 @source/id，有歧义时为 null
+ */
+function buildResolutionTable(skills) {
+    const byName = new Map();
+    for (const skill of skills) {
+        if (!byName.has(skill.id)) byName.set(skill.id, []);
+        byName.get(skill.id).push(`@${skill.source}/${skill.id}`);
+    }
+    return [...byName.keys()].sort().map((name) => {
+        const candidates = byName.get(name).sort();
+        return { name, candidates, resolves: candidates.length === 1 ? candidates[0] : null };
+    });
+}
+
+/**
+ * 按 CLI 的规则解析安装参数
+ * @param {ReturnType<typeof buildResolutionTable>} table
+ * @param {string} target - `skillwisp install` 的参数
+ * @returns {{ status: 'ok'|'ambiguous'|'notFound', skill: string|null, candidates: string[] }}
+ */
+function resolveTarget(table, target) {
+    const match = target.match(/^@([^/]+)\/(.+)$/);
+    const name = match ? match[2] : target;
+    const entry = table.find((e) => e.name === name);
+
+    if (match) {
+        const found = entry && entry.candidates.includes(target);
+        return { status: found ? 'ok' : 'notFound', skill: found ? target : null, candidates: found ? [target] : [] };
+    }
+    if (!entry) return { status: 'notFound', skill: null, candidates: [] };
+    if (!entry.resolves) return { status: 'ambiguous', skill: null, candidates: entry.candidates };
+    return { status: 'ok', skill: entry.resolves, candidates: entry.candidates };
+}
+
+/**
+ * 找出 Markdown 表格中同时有 skill 链接和安装命令的行
+ *   | [@anthropic/pdf](skills/@anthropic/pdf) | PDF 处理 | `skillwisp install pdf` |
+ * @returns {Array<{ line: number, link: string, install: string }>} link 为链接路径中的 @source/id
+ */
+function findInstallSnippets(content) {
+    const rows = [];
+    content.split('\n').forEach((text, index) => {
+        if (!text.trim().startsWith('|')) return;
+        const link = text.match(/\]\((?:\.\.\/)*skills\/(@[^/)]+\/[^/)#]+)\/?\)/);
+        const install = text.match(/`skillwisp install ([^`\s]+)`/);
+        if (link && install) rows.push({ line: index + 1, link: link[1], install: install[1] });
+    });
+    return rows;
+}
+
+/**
+ * 检查全部 id 与文档中的安装命令
+ * @param {Array<{ source: string, id: string }>} skills
+ * @param {Array<{ file: string, content: string }>} docs - 要检查安装命令的文档
+ * @returns {{ table: ReturnType<typeof buildResolutionTable>,
+ *   findings: Array<{ rule: string, severity: 'error'|'warning', message: string,
+ *     name?: string, skill?: string, file?: string, line?: number }> }}
+ */
+function checkIds(skills, docs = []) {
+    const table = buildResolutionTable(skills);
+    const findings = [];
+
+    for (const entry of table.filter((e) => !e.resolves)) {
+        findings.push({
+            rule: 'ambiguous',
+            severity: 'warning',
+            name: entry.name,
+            message: `"${entry.name}" exists in ${entry.candidates.join(', ')}; install it by full id`,
+        });
+    }
+
+    for (const skill of skills) {
+        const fullId = `@${skill.source}/${skill.id}`;
+        if (RESERVED_WORDS.includes(skill.id.toLowerCase())) {
+            findings.push({ rule: 'reserved', severity: 'error', skill: fullId, message: `id "${skill.id}" clashes with the CLI command "${skill.id.toLowerCase()}"` });
+        }
+        const reasons = unsafeReasons(skill.id);
+        if (reasons.length > 0) {
+            findings.push({ rule: 'unsafe', severity: 'error', skill: fullId, message: `id "${skill.id}" ${reasons.join('; ')}` });
+        }
+    }
+
+    const byLowerCase = new Map();
+    for (const skill of skills) {
+        const key = `${skill.source}/${skill.id.toLowerCase()}`;
+        if (!byLowerCase.has(key)) byLowerCase.set(key, []);
+        byLowerCase.get(key).push(`@${skill.source}/${skill.id}`);
+    }
+    for (const ids of byLowerCase.values()) {
+        if (ids.length > 1) {
+            findings.push({ rule: 'case', severity: 'error', skill: ids[0], message: `${ids.join(', ')} differ only in case` });
+        }
+    }
+
+    for (const doc of docs) {
+        for (const row of findInstallSnippets(doc.content)) {
+            const resolved = resolveTarget(table, row.install);
+            let message = null;
+            if (resolved.status === 'notFound') {
+                message = `\`skillwisp install ${row.install}\` does not match any skill (row links to ${row.link})`;
+            } else if (resolved.status === 'ambiguous') {
+                message = `\`skillwisp install ${row.install}\` is ambiguous (${resolved.candidates.join(', ')}); use ${row.link}`;
+            } else if (resolved.skill !== row.link) {
+                message = `\`skillwisp install ${row.install}\` installs ${resolved.skill}, but the row links to ${row.link}`;
+            }
+            if (message) {
+                findings.push({ rule: 'snippet', severity: 'error', file: doc.file, line: row.line, message });
+            }
+        }
+    }
+
+    return { table, findings };
+}
+
+module.exports = {
+    RESERVED_WORDS,
+    unsafeReasons,
+    buildResolutionTable,
+    resolveTarget,
+    findInstallSnippets,
+    checkIds,
+};
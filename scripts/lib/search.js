@@ -0,0 +1,202 @@
+/**
+ * search.js - 全文检索索引（倒排表 + 预先算好的 BM25 权重）
+ *
+ * 分词：
+ *   拉丁字母 / 数字按非字母数字切分并转小写（react-best-practices -> react, best, practices），去掉停用词
+ *   中文按相邻两字切成 bigram（"演示文稿" -> 演示, 示文, 文稿），单个汉字保留原样
+ *
+ * 字段加权后当作一个文档计算 BM25，查询时只需把各词的权重相加。
+ *
+ * 索引格式（skillwisp search 读取）：
+ *   {
+ *     "version": 1,
+ *     "docs": [{ "id": "@anthropic/pdf", "name": "pdf" }, ...],
+ *     "terms": { "pdf": [0, 4.113, 37, 3.902, ...] }     // [文档序号, 权重, 文档序号, 权重, ...]
+ *   }
+ */
+
+const fs = require('fs');
+const { parseFrontmatter } = require('./frontmatter');
+const { bodyLines } = require('./lint');
+const { isUntranslated } = require('./i18n-scaffold');
+
+const INDEX_VERSION = 1;
+
+// BM25 参数
+const K1 = 1.2;
+const B = 0.75;
+
+// 字段权重：名称和标签最能代表 skill，正文最弱
+const FIELD_WEIGHTS = {
+    name: 4,
+    tags: 3,
+    description: 2,
+    headings: 2,
+    body: 1,
+};
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+    'if', 'in', 'into', 'is', 'it', 'its', 'not', 'of', 'on', 'or', 'so', 'such', 'that', 'the', 'their',
+    'then', 'there', 'these', 'this', 'to', 'use', 'used', 'using', 'was', 'when', 'which', 'will', 'with',
+    'you', 'your',
+]);
+
+const HAN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/g;
+const WORD = /[a-z0-9]+/g;
+
+/**
+ * 分词
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    const tokens = [];
+    const lower = String(text || '').toLowerCase();
+
+    for (const word of lower.match(WORD) || []) {
+        if (word.length < 2 && !/\d/.test(word)) continue;
+        if (STOPWORDS.has(word)) continue;
+        tokens.push(word);
+    }
+
+    for (const run of lower.match(HAN) || []) {
+        if (run.length === 1) {
+            tokens.push(run);
+            continue;
+        }
+        for (let i = 0; i < run.length - 1; i++) {
+            tokens.push(run.slice(i, i + 2));
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * 整理全文检索的文档：名称、描述、标签、正文标题和正文（不含代码块），以及 zh-CN 翻译
+ * @param {Object<string, Array<{ id: string, path: string, name: string, description: string, tags: string[] }>>} statsBySource
+ *   collectStats() 的结果
+ * @param {Function} [translate] - (source, id) => zh-CN 翻译条目或 null
+ * @returns {Array<{ id: string, name: string, fields: Object<string, string> }>}
+ */
+function collectSearchDocs(statsBySource, translate = () => null) {
+    const docs = [];
+
+    for (const source of Object.keys(statsBySource).sort()) {
+        const skills = [...statsBySource[source]].sort((a, b) => a.id.localeCompare(b.id));
+        for (const skill of skills) {
+            const { body, bodyLine } = parseFrontmatter(fs.readFileSync(skill.path, 'utf-8'));
+            const lines = bodyLines(body, bodyLine).filter((line) => !line.code);
+            const headings = lines.filter((line) => /^#{1,6}\s/.test(line.text)).map((line) => line.text.replace(/^#+\s*/, ''));
+            const prose = lines.filter((line) => !/^#{1,6}\s/.test(line.text)).map((line) => line.text);
+
+            // --write-i18n 的占位条目是英文原文，不重复计入
+            const translation = translate(source, skill.id);
+            const zh = isUntranslated(translation, skill) ? {} : translation;
+            const zhName = zh.name && zh.name !== skill.name ? zh.name : '';
+            const zhDescription = zh.description || '';
+
+            docs.push({
+                id: `@${source}/${skill.id}`,
+                name: skill.name,
+                fields: {
+                    name: [skill.id, skill.name, zhName].join(' '),
+                    tags: skill.tags.join(' '),
+                    description: [skill.description, zhDescription].join(' '),
+                    headings: headings.join('\n'),
+                    body: prose.join('\n'),
+                },
+            });
+        }
+    }
+
+    return docs;
+}
+
+/**
+ * 构建索引
+ * @param {Array<{ id: string, name: string, fields: Object<string, string> }>} docs
+ *   fields 的 key 为 FIELD_WEIGHTS 中的字段名，值为该字段的全部文本
+ * @returns {{ version: number, docs: Array<{ id: string, name: string }>, terms: Object<string, number[]> }}
+ */
+function buildSearchIndex(docs) {
+    const termFreqs = docs.map((doc) => {
+        const tf = new Map();
+        for (const [field, text] of Object.entries(doc.fields)) {
+            const weight = FIELD_WEIGHTS[field] || 1;
+            for (const token of tokenize(text)) {
+                tf.set(token, (tf.get(token) || 0) + weight);
+            }
+        }
+        return tf;
+    });
+
+    const lengths = termFreqs.map((tf) => [...tf.values()].reduce((sum, n) => sum + n, 0));
+    const avgLength = lengths.reduce((sum, n) => sum + n, 0) / Math.max(docs.length, 1);
+
+    const postings = new Map();
+    termFreqs.forEach((tf, docIndex) => {
+        for (const term of tf.keys()) {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(docIndex);
+        }
+    });
+
+    const terms = {};
+    for (const term of [...postings.keys()].sort()) {
+        const docIndexes = postings.get(term);
+        const idf = Math.log(1 + (docs.length - docIndexes.length + 0.5) / (docIndexes.length + 0.5));
+        const list = [];
+        for (const docIndex of docIndexes) {
+            const tf = termFreqs[docIndex].get(term);
+            const norm = tf + K1 * (1 - B + B * lengths[docIndex] / avgLength);
+            list.push(docIndex, round(idf * tf * (K1 + 1) / norm));
+        }
+        terms[term] = list;
+    }
+
+    return {
+        version: INDEX_VERSION,
+        docs: docs.map((doc) => ({ id: doc.id, name: doc.name })),
+        terms,
+    };
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 查询索引
+ * @param {ReturnType<typeof buildSearchIndex>} index
+ * @param {string} query
+ * @param {object} [options]
+ * @param {number} [options.limit=10]
+ * @returns {Array<{ id: string, name: string, score: number }>} 按得分降序，得分相同时按 id 排序
+ */
+function searchIndex(index, query, options = {}) {
+    const limit = options.limit === undefined ? 10 : options.limit;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+        const list = index.terms[term];
+        if (!list) continue;
+        for (let i = 0; i < list.length; i += 2) {
+            scores.set(list[i], (scores.get(list[i]) || 0) + list[i + 1]);
+        }
+    }
+
+    return [...scores.entries()]
+        .map(([docIndex, score]) => ({ ...index.docs[docIndex], score: round(score) }))
+        .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+        .slice(0, limit);
+}
+
+module.exports = {
+    INDEX_VERSION,
+    FIELD_WEIGHTS,
+    tokenize,
+    collectSearchDocs,
+    buildSearchIndex,
+    searchIndex,
+};
@@ -0,0 +1,136 @@
+/**
+ * site.js - 网站（website 工作区）使用的静态数据
+ *
+ * 输出目录结构：
+ *   skills/@anthropic/pdf.json   # 每个 skill 一页：渲染后的 SKILL.md、文件树、frontmatter、翻译、安装命令、上游链接
+ *   sources.json                 # 各来源概览及其 skill 列表
+ *   sitemap.xml
+ *
+ * 网站构建时只读这些文件，不需要访问仓库或网络。
+ */
+
+const path = require('path');
+const { renderMarkdown } = require('./markdown');
+
+const SITE_DATA_VERSION = 1;
+
+/**
+ * 把 walkFiles() 的结果整理成嵌套的文件树（目录在前，同类按名称排序）
+ * @param {Array<{ file: string, size: number }>} files
+ * @returns {Array<{ name: string, type: 'dir', children: Array }|{ name: string, type: 'file', size: number }>}
+ */
+function buildFileTree(files) {
+    const root = { children: [] };
+
+    for (const { file, size } of files) {
+        const parts = file.split('/');
+        let node = root;
+        for (const dir of parts.slice(0, -1)) {
+            let child = node.children.find((c) => c.type === 'dir' && c.name === dir);
+            if (!child) {
+                child = { name: dir, type: 'dir', children: [] };
+                node.children.push(child);
+            }
+            node = child;
+        }
+        node.children.push({ name: parts[parts.length - 1], type: 'file', size });
+    }
+
+    const sort = (nodes) => {
+        nodes.sort((a, b) => (a.type === b.type ? (a.name < b.name ? -1 : a.name > b.name ? 1 : 0) : a.type === 'dir' ? -1 : 1));
+        for (const node of nodes) {
+            if (node.children) sort(node.children);
+        }
+        return nodes;
+    };
+    return sort(root.children);
+}
+
+/**
+ * 上游仓库中 skill 目录的地址
+ * @param {{ repo: string, subpath: string, commit: string, renames: Object<string, string> }} provenance
+ * @returns {{ tree: string, blob: string }|null} 未记录上游仓库时为 null
+ */
+function upstreamUrls(provenance, id) {
+    if (!provenance.repo) return null;
+    const ref = provenance.commit || 'HEAD';
+    const dir = [provenance.subpath, provenance.renames[id] || id].filter(Boolean).join('/');
+    const base = provenance.repo.replace(/\/+$/, '');
+    return { tree: `${base}/tree/${ref}/${dir}`, blob: `${base}/blob/${ref}/${dir}` };
+}
+
+/**
+ * 生成单个 skill 的页面数据
+ * @param {object} skill - collectStats() 中的 skill，附带 source
+ * @param {object} context
+ * @param {string} context.body - SKILL.md 正文
+ * @param {Array<{ file: string, size: number }>} context.files - walkFiles() 的结果
+ * @param {ReturnType<typeof import('./provenance').readProvenance>} context.provenance
+ * @param {{ title: string, url: string }} context.sourceInfo
+ * @param {Object<string, { name?: string, description?: string }>} context.translations - 语言 -> 翻译
+ * @param {string|null} context.license
+ * @param {string|null} [context.hash] - skills/manifest.json 中的内容哈希
+ */
+function buildSkillPage(skill, context) {
+    const fullId = `@${skill.source}/${skill.id}`;
+    const upstream = upstreamUrls(context.provenance, skill.id);
+
+    // 相对链接指向上游仓库中的文件，站点上不镜像 skill 的其他文件
+    const rewriteLink = (href) => {
+        if (!upstream || /^([a-z][a-z0-9+.-]*:|#|\/)/i.test(href)) return href;
+        const [file, anchor] = href.split('#');
+        const resolved = path.posix.normalize(file);
+        if (resolved.startsWith('..')) return href;
+        return `${upstream.blob}/${resolved}${anchor === undefined ? '' : `#${anchor}`}`;
+    };
+    const { html, headings } = renderMarkdown(context.body, { rewriteLink });
+
+    return {
+        version: SITE_DATA_VERSION,
+        id: fullId,
+        source: skill.source,
+        name: skill.name,
+        description: skill.description,
+        skillVersion: skill.version || null,
+        author: skill.author || null,
+        tags: skill.tags,
+        license: context.license,
+        install: `skillwisp install ${fullId}`,
+        links: {
+            source: context.sourceInfo.url || null,
+            upstream: upstream ? upstream.tree : null,
+        },
+        hash: context.hash || null,
+        frontmatter: skill.frontmatter,
+        translations: context.translations,
+        headings,
+        html,
+        files: buildFileTree(context.files),
+    };
+}
+
+/**
+ * 生成 sitemap.xml
+ * @param {string} baseUrl - 站点根地址（package.json 的 homepage）
+ * @param {string[]} pages - 以 / 开头的页面路径
+ */
+function buildSitemap(baseUrl, pages) {
+    const base = baseUrl.replace(/\/+$/, '');
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const urls = pages.map((page) => `  <url><loc>${escape(base + encodeURI(page))}</loc></url>`);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        '',
+    ].join('\n');
+}
+
+module.exports = {
+    SITE_DATA_VERSION,
+    buildFileTree,
+    upstreamUrls,
+    buildSkillPage,
+    buildSitemap,
+};
@@ -0,0 +1,53 @@
+/**
+ * skill-files.js - 列出 skill 目录中属于 skill 内容的文件
+ *
+ * 跳过运行时产物：依赖目录、Python 缓存、playwright 的 .temp-execution-*.js，
+ * 以及 render-graphs.js 在 skill 根目录生成的 diagrams/。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IGNORED_NAMES = ['node_modules', '__pycache__', '.DS_Store', '.git'];
+const IGNORED_PREFIXES = ['.temp-execution-'];
+const IGNORED_ROOT_DIRS = ['diagrams'];
+
+/**
+ * @param {string} name - 文件或目录名
+ * @param {boolean} [atRoot=false] - 是否位于 skill 根目录
+ */
+function isIgnored(name, atRoot = false) {
+    return IGNORED_NAMES.includes(name)
+        || IGNORED_PREFIXES.some((prefix) => name.startsWith(prefix))
+        || (atRoot && IGNORED_ROOT_DIRS.includes(name));
+}
+
+/**
+ * 递归列出文件，按路径的字节序排序（不受系统 locale 影响）
+ * @returns {Array<{ file: string, abs: string, size: number, mode: number }>} file 相对于 skill 目录，使用 /
+ */
+function walkFiles(dir, prefix = '') {
+    const files = [];
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+        if (isIgnored(entry.name, prefix === '')) continue;
+
+        const abs = path.join(dir, entry.name);
+        const file = prefix + entry.name;
+        if (entry.isDirectory()) {
+            files.push(...walkFiles(abs, `${file}/`));
+        } else if (entry.isFile()) {
+            const stat = fs.statSync(abs);
+            files.push({ file, abs, size: stat.size, mode: stat.mode });
+        }
+    }
+
+    return files;
+}
+
+module.exports = {
+    isIgnored,
+    walkFiles,
+};
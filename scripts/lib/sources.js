@@ -0,0 +1,42 @@
+/**
+ * sources.js - 各 @source 的展示信息
+ *
+ * 顺序即 docs/skills.md 中各分区的顺序；未登记的来源按字母序排在最后。
+ */
+
+const SOURCES = {
+    anthropic: { title: 'Anthropic Official', url: 'https://github.com/anthropics/skills' },
+    vercel: { title: 'Vercel Labs', url: 'https://github.com/vercel-labs/agent-skills' },
+    openai: { title: 'OpenAI', url: 'https://github.com/openai/skills' },
+    muratcankoylan: { title: 'Context Engineering AI Skills', url: 'https://github.com/muratcankoylan/Agent-Skills-for-Context-Engineering' },
+    obra: { title: 'Obra Superpowers', url: 'https://github.com/obra/superpowers' },
+    nextlevelbuilder: { title: 'NextLevelBuilder', url: 'https://github.com/nextlevelbuilder/ui-ux-pro-max-skill' },
+    obsidian: { title: 'Obsidian Skills', url: 'https://github.com/kepano/obsidian-skills' },
+    itsmostafa: { title: 'AWS Agent Skills', url: 'https://github.com/itsmostafa/aws-agent-skills' },
+    lackeyjb: { title: 'Playwright Skill', url: 'https://github.com/lackeyjb/playwright-skill' },
+};
+
+/**
+ * 获取来源的展示信息；未登记时以 @source 作为标题
+ */
+function sourceInfo(source) {
+    return SOURCES[source] || { title: `@${source}`, url: '' };
+}
+
+/**
+ * 按展示顺序排序来源列表
+ */
+function sortSources(sources) {
+    const known = Object.keys(SOURCES);
+    const rank = (source) => {
+        const index = known.indexOf(source);
+        return index === -1 ? known.length : index;
+    };
+    return [...sources].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+module.exports = {
+    SOURCES,
+    sourceInfo,
+    sortSources,
+};
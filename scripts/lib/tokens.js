@@ -0,0 +1,114 @@
+/**
+ * tokens.js - 估算 skill 占用的上下文 token 数
+ *
+ * Agent 先加载 SKILL.md，再按需读取它链接的参考文件（reference/*.md 等）。这里分别估算：
+ *   skill       SKILL.md 全文（含 frontmatter）
+ *   references  从 SKILL.md 出发、经相对链接可达的 skill 目录内文本文件（链接的 .md 中的链接也会跟进）；
+ *               正文里直接写出的文件名（"read forms.md"）只要文件存在也算
+ *
+ * 估算规则：中日韩字符每字约 1 token，其余文本每 4 个字符约 1 token，
+ * 与各家 tokenizer 的实际结果相差在 ±20% 左右，只用于发现明显过大的 skill。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { bodyLines, findRelativeLinks } = require('./lint');
+
+const DEFAULT_BUDGET = {
+    skill: 5000,
+    total: 25000,
+};
+
+const CJK = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿＀-￯]/g;
+const MENTION_PATTERN = /(?:^|[\s`(*"'])((?:\.{1,2}\/)?[\w-][\w.-]*(?:\/[\w.-]+)*\.(?:md|markdown|txt))(?=$|[\s`)*,.;:!?"'])/g;
+
+/**
+ * 估算文本的 token 数
+ */
+function estimateTokens(text) {
+    const value = String(text || '');
+    const cjk = (value.match(CJK) || []).length;
+    return cjk + Math.ceil((value.length - cjk) / 4);
+}
+
+/**
+ * 正文中提到的文本文件名（不含代码块）
+ */
+function findMentions(lines) {
+    const mentions = [];
+    for (const { text, code } of lines) {
+        if (code) continue;
+        for (const match of text.matchAll(MENTION_PATTERN)) mentions.push(match[1]);
+    }
+    return mentions;
+}
+
+function isText(buffer) {
+    return !buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * 估算单个 skill
+ * @param {{ path: string }} skill - path 为 SKILL.md 的绝对路径
+ * @returns {{ skill: number, references: Array<{ file: string, tokens: number }>, total: number }}
+ *   references 按 token 数降序，file 相对于 skill 目录
+ */
+function measureSkill(skill) {
+    const dir = path.dirname(skill.path);
+    const content = fs.readFileSync(skill.path, 'utf-8');
+    const references = [];
+    const seen = new Set([path.resolve(skill.path)]);
+    const queue = [{ file: skill.path, content }];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        const { body, bodyLine } = current.file.endsWith('.md')
+            ? parseFrontmatter(current.content)
+            : { body: '', bodyLine: 1 };
+
+        const lines = bodyLines(body, bodyLine);
+        const targets = [...findRelativeLinks(lines).map((link) => link.target), ...findMentions(lines)];
+        for (const target of targets) {
+            const abs = path.resolve(path.dirname(current.file), target);
+            // 只统计 skill 目录内的文件，链到仓库其他位置的不会随 skill 安装
+            if (seen.has(abs) || !abs.startsWith(dir + path.sep)) continue;
+            seen.add(abs);
+            if (!fs.existsSync(abs) || !fs.statSync(abs).isFile()) continue;
+
+            const buffer = fs.readFileSync(abs);
+            if (!isText(buffer)) continue;
+            const text = buffer.toString('utf-8');
+            references.push({ file: path.relative(dir, abs).split(path.sep).join('/'), tokens: estimateTokens(text) });
+            queue.push({ file: abs, content: text });
+        }
+    }
+
+    references.sort((a, b) => b.tokens - a.tokens || a.file.localeCompare(b.file));
+    const skillTokens = estimateTokens(content);
+    return {
+        skill: skillTokens,
+        references,
+        total: skillTokens + references.reduce((sum, r) => sum + r.tokens, 0),
+    };
+}
+
+/**
+ * 与预算比较
+ * @param {ReturnType<typeof measureSkill>} measured
+ * @param {{ skill: number, total: number }} budget
+ * @returns {Array<{ kind: 'skill'|'total', tokens: number, budget: number }>} 超出的项
+ */
+function overBudget(measured, budget) {
+    const over = [];
+    if (measured.skill > budget.skill) over.push({ kind: 'skill', tokens: measured.skill, budget: budget.skill });
+    if (measured.total > budget.total) over.push({ kind: 'total', tokens: measured.total, budget: budget.total });
+    return over;
+}
+
+module.exports = {
+    DEFAULT_BUDGET,
+    estimateTokens,
+    measureSkill,
+    overBudget,
+};
@@ -0,0 +1,615 @@
+/**
+ * yaml.js - 无依赖的 YAML 子集解析器
+ *
+ * 覆盖 SKILL.md frontmatter 与 registry 文件中实际出现的写法：
+ *   - 嵌套映射 / 块序列（`- item`）/ 行内序列（`[a, b]`）与行内映射（`{a: 1}`）
+ *   - 普通、单引号、双引号标量（含转义与跨行折叠）
+ *   - 块标量（`|`、`>` 及 `-`/`+` chomping）
+ *   - 注释、布尔、null 与数字
+ *
+ * 不支持锚点、别名、标签和多文档。遇到无法识别的结构时抛出 YamlSyntaxError，
+ * 其 line 字段为出错的行号（1-based，已加上调用方传入的偏移）。
+ */
+
+class YamlSyntaxError extends Error {
+    constructor(message, line) {
+        super(line ? `${message} (line ${line})` : message);
+        this.name = 'YamlSyntaxError';
+        this.reason = message;
+        this.line = line;
+    }
+}
+
+const DOUBLE_QUOTE_ESCAPES = {
+    '0': '\0',
+    a: '\x07',
+    b: '\b',
+    t: '\t',
+    '\t': '\t',
+    n: '\n',
+    v: '\v',
+    f: '\f',
+    r: '\r',
+    e: '\x1b',
+    ' ': ' ',
+    '"': '"',
+    '/': '/',
+    '\\': '\\',
+    N: '\u0085',
+    _: ' ',
+    L: ' ',
+    P: ' ',
+};
+
+function indentOf(line) {
+    const match = line.match(/^ */);
+    return match[0].length;
+}
+
+function isBlank(line) {
+    return /^\s*(#.*)?$/.test(line);
+}
+
+/**
+ * 去掉普通标量后的行尾注释（` #` 之后的内容）
+ */
+function stripComment(text) {
+    const index = text.search(/(^|\s)#/);
+    return index === -1 ? text : text.slice(0, index);
+}
+
+/**
+ * 解析普通标量的类型：布尔、null、数字，其余保持字符串
+ */
+function resolvePlain(text) {
+    const value = text.trim();
+    if (value === '' || value === '~' || value === 'null' || value === 'Null' || value === 'NULL') return null;
+    if (/^(true|True|TRUE)$/.test(value)) return true;
+    if (/^(false|False|FALSE)$/.test(value)) return false;
+    if (/^[-+]?[0-9]+$/.test(value)) return parseInt(value, 10);
+    if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value, 16);
+    if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(value)) return parseFloat(value);
+    return value;
+}
+
+/**
+ * 解码双引号字符串的内容（不含两端引号），处理转义与换行折叠
+ */
+function decodeDoubleQuoted(raw, line) {
+    let out = '';
+    for (let i = 0; i < raw.length; i++) {
+        const ch = raw[i];
+        if (ch !== '\\') {
+            out += ch;
+            continue;
+        }
+
+        const next = raw[++i];
+        if (next === '\n') {
+            // 行尾反斜杠：吞掉换行和下一行的前导空白
+            while (raw[i + 1] === ' ' || raw[i + 1] === '\t') i++;
+            continue;
+        }
+        if (next === 'x' || next === 'u' || next === 'U') {
+            const size = { x: 2, u: 4, U: 8 }[next];
+            const hex = raw.slice(i + 1, i + 1 + size);
+            if (!new RegExp(`^[0-9a-fA-F]{${size}}$`).test(hex)) {
+                throw new YamlSyntaxError(`Invalid escape \\${next}${hex}`, line);
+            }
+            out += String.fromCodePoint(parseInt(hex, 16));
+            i += size;
+            continue;
+        }
+        if (!(next in DOUBLE_QUOTE_ESCAPES)) {
+            throw new YamlSyntaxError(`Invalid escape \\${next}`, line);
+        }
+        out += DOUBLE_QUOTE_ESCAPES[next];
+    }
+    return out;
+}
+
+/**
+ * 跨行引号字符串的换行折叠：单个换行变空格，空行保留为换行
+ */
+function foldQuotedLines(text) {
+    return text.replace(/[ \t]*\n([ \t]*\n)*[ \t]*/g, (match) => {
+        const breaks = (match.match(/\n/g) || []).length;
+        return breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+    });
+}
+
+class Parser {
+    /**
+     * @param {string} text - YAML 文本
+     * @param {number} lineOffset - 第一行在原文件中的行号减一
+     */
+    constructor(text, lineOffset = 0) {
+        this.lines = text.replace(/\r\n?/g, '\n').split('\n');
+        this.lineOffset = lineOffset;
+        this.pos = 0;
+        this.keyLines = {};
+    }
+
+    lineNo(index = this.pos) {
+        return index + 1 + this.lineOffset;
+    }
+
+    fail(message, index = this.pos) {
+        throw new YamlSyntaxError(message, this.lineNo(index));
+    }
+
+    /**
+     * 缩进只能用空格：行首空白里出现制表符即报错
+     */
+    checkIndent(line) {
+        if (/^ *\t/.test(line)) this.fail('Tabs are not allowed for indentation');
+    }
+
+    skipBlank() {
+        while (this.pos < this.lines.length && isBlank(this.lines[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    parseDocument() {
+        this.skipBlank();
+        if (this.pos >= this.lines.length) return null;
+
+        const indent = indentOf(this.lines[this.pos]);
+        const value = this.parseBlock(indent, '');
+        this.skipBlank();
+        if (this.pos < this.lines.length) {
+            this.fail('Unexpected content');
+        }
+        return value;
+    }
+
+    /**
+     * 解析从当前行开始、缩进恰为 indent 的块（映射或序列）
+     */
+    parseBlock(indent, path) {
+        this.checkIndent(this.lines[this.pos]);
+        const content = this.lines[this.pos].slice(indent);
+        if (/^-(\s|$)/.test(content)) {
+            return this.parseSequence(indent, path);
+        }
+        return this.parseMapping(indent, path);
+    }
+
+    parseMapping(indent, path) {
+        const result = {};
+
+        while (true) {
+            this.skipBlank();
+            if (this.pos >= this.lines.length) break;
+
+            const line = this.lines[this.pos];
+            this.checkIndent(line);
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) this.fail('Unexpected indentation');
+
+            const content = line.slice(indent);
+            if (/^-(\s|$)/.test(content)) break;
+
+            const entry = this.splitKey(content);
+            if (!entry) this.fail(`Expected "key: value", got "${content.trim()}"`);
+
+            const keyPath = path ? `${path}.${entry.key}` : entry.key;
+            if (Object.prototype.hasOwnProperty.call(result, entry.key)) {
+                this.fail(`Duplicate key "${entry.key}"`);
+            }
+            this.keyLines[keyPath] = this.lineNo();
+            result[entry.key] = this.parseValue(entry.rest, indent, keyPath);
+        }
+
+        return result;
+    }
+
+    parseSequence(indent, path) {
+        const result = [];
+
+        while (true) {
+            this.skipBlank();
+            if (this.pos >= this.lines.length) break;
+
+            const line = this.lines[this.pos];
+            this.checkIndent(line);
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) this.fail('Unexpected indentation');
+
+            const content = line.slice(indent);
+            if (!/^-(\s|$)/.test(content)) break;
+
+            const itemPath = `${path}[${result.length}]`;
+            this.keyLines[itemPath] = this.lineNo();
+
+            const rest = content.slice(1);
+            const innerIndent = indent + 1 + indentOf(rest);
+            const inner = rest.trimStart();
+
+            if (inner !== '' && !inner.startsWith('#') && this.splitKey(inner) && !/^["'[{]/.test(inner)) {
+                // "- key: value" 形式：把同一行视为缩进更深的映射起点
+                this.lines[this.pos] = ' '.repeat(innerIndent) + inner;
+                result.push(this.parseMapping(innerIndent, itemPath));
+                continue;
+            }
+            if (/^-(\s|$)/.test(inner)) {
+                // "- - item" 形式：同一行开始的嵌套序列
+                this.lines[this.pos] = ' '.repeat(innerIndent) + inner;
+                result.push(this.parseSequence(innerIndent, itemPath));
+                continue;
+            }
+
+            result.push(this.parseValue(rest, indent, itemPath));
+        }
+
+        return result;
+    }
+
+    /**
+     * 拆分 "key: rest"；key 可以带引号
+     */
+    splitKey(content) {
+        const quoted = content.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(\s|$)/);
+        if (quoted) {
+            const rawKey = quoted[1];
+            const key = rawKey.startsWith('"')
+                ? decodeDoubleQuoted(rawKey.slice(1, -1), this.lineNo())
+                : rawKey.slice(1, -1).replace(/''/g, "'");
+            return { key, rest: content.slice(quoted[0].length - quoted[2].length) };
+        }
+
+        const plain = content.match(/^([^\s#'"\[\]{},:][^:#]*?|[^\s#'"\[\]{},][^#]*?[^\s])\s*:(\s|$)/);
+        if (!plain) return null;
+        return { key: plain[1].trim(), rest: content.slice(plain[0].length - plain[2].length) };
+    }
+
+    /**
+     * 解析 "key:" 或 "-" 之后的值；parentIndent 为所属映射/序列的缩进
+     */
+    parseValue(rest, parentIndent, path) {
+        const startIndex = this.pos;
+        const text = stripComment(rest).trim();
+        this.pos++;
+
+        if (text === '') {
+            // 值在后续更深缩进的行里：嵌套块或跨行普通标量
+            this.skipBlank();
+            if (this.pos >= this.lines.length) return null;
+
+            const nextIndent = indentOf(this.lines[this.pos]);
+            const nextContent = this.lines[this.pos].slice(nextIndent);
+            const isSeqAtSameIndent = nextIndent === parentIndent && /^-(\s|$)/.test(nextContent) && !path.endsWith(']');
+
+            if (nextIndent <= parentIndent && !isSeqAtSameIndent) return null;
+
+            if (/^-(\s|$)/.test(nextContent) || this.splitKey(nextContent)) {
+                return this.parseBlock(nextIndent, path);
+            }
+            if (/^["']/.test(nextContent)) {
+                return this.parseQuoted(nextContent);
+            }
+            return this.parsePlainContinuation('', parentIndent);
+        }
+
+        if (/^[|>]/.test(text)) {
+            return this.parseBlockScalar(text, parentIndent, startIndex);
+        }
+        if (text.startsWith('"') || text.startsWith("'")) {
+            this.pos = startIndex;
+            return this.parseQuoted(rest.trimStart());
+        }
+        if (text.startsWith('[') || text.startsWith('{')) {
+            return this.parseFlow(text, startIndex);
+        }
+
+        if (/:(\s|$)/.test(text)) {
+            this.fail('Plain scalar must not contain ": " (quote the value)', startIndex);
+        }
+        return this.parsePlainContinuation(text, parentIndent);
+    }
+
+    /**
+     * 普通标量可以折行：后续缩进更深且非空的行以空格拼接，空行变为换行
+     */
+    parsePlainContinuation(first, parentIndent) {
+        const parts = first === '' ? [] : [first];
+        let pendingBreaks = 0;
+        let multiline = false;
+
+        while (this.pos < this.lines.length) {
+            const line = this.lines[this.pos];
+            if (line.trim() === '') {
+                pendingBreaks++;
+                this.pos++;
+                continue;
+            }
+            if (indentOf(line) <= parentIndent || /^\s*#/.test(line)) break;
+
+            const piece = stripComment(line).trim();
+            if (/:(\s|$)/.test(piece)) {
+                this.fail('Plain scalar must not contain ": " (quote the value)');
+            }
+            if (parts.length > 0) {
+                parts.push(pendingBreaks > 0 ? '\n'.repeat(pendingBreaks) : ' ');
+            }
+            parts.push(piece);
+            pendingBreaks = 0;
+            multiline = true;
+            this.pos++;
+        }
+
+        const joined = parts.join('');
+        return multiline ? joined : resolvePlain(joined);
+    }
+
+    /**
+     * 解析引号标量，允许跨行；content 从开引号开始
+     */
+    parseQuoted(content) {
+        const quote = content[0];
+        const startIndex = this.pos;
+        let buffer = content.slice(1);
+        let index = this.pos;
+
+        const findClose = (text) => {
+            for (let i = 0; i < text.length; i++) {
+                if (quote === '"' && text[i] === '\\') {
+                    i++;
+                    continue;
+                }
+                if (text[i] === quote) {
+                    if (quote === "'" && text[i + 1] === "'") {
+                        i++;
+                        continue;
+                    }
+                    return i;
+                }
+            }
+            return -1;
+        };
+
+        let close = findClose(buffer);
+        while (close === -1) {
+            index++;
+            if (index >= this.lines.length) {
+                this.fail('Unterminated quoted string', startIndex);
+            }
+            buffer += '\n' + this.lines[index];
+            close = findClose(buffer);
+        }
+
+        const trailing = stripComment(buffer.slice(close + 1)).trim();
+        if (trailing !== '') {
+            this.fail(`Unexpected text after quoted string: "${trailing}"`, index);
+        }
+
+        this.pos = index + 1;
+        const inner = buffer.slice(0, close);
+        if (quote === '"') {
+            // 行尾未被转义的反斜杠表示续行，不插入空格
+            const joined = inner.replace(/(^|[^\\])((?:\\\\)*)\\\n[ \t]*/g, '$1$2');
+            return decodeDoubleQuoted(foldQuotedLines(joined), this.lineNo(startIndex));
+        }
+        return foldQuotedLines(inner).replace(/''/g, "'");
+    }
+
+    /**
+     * 块标量：| 保留换行，> 折叠换行；支持 - / + chomping 与显式缩进
+     */
+    parseBlockScalar(header, parentIndent, startIndex) {
+        const match = header.match(/^([|>])([-+]?)([1-9]?)([-+]?)$/);
+        if (!match) this.fail(`Invalid block scalar header "${header}"`, startIndex);
+
+        const style = match[1];
+        const chomp = match[2] || match[4];
+        let blockIndent = match[3] ? parentIndent + parseInt(match[3], 10) : null;
+
+        const body = [];
+        while (this.pos < this.lines.length) {
+            const line = this.lines[this.pos];
+            if (line.trim() === '') {
+                body.push('');
+                this.pos++;
+                continue;
+            }
+            const lineIndent = indentOf(line);
+            if (blockIndent === null) {
+                if (lineIndent <= parentIndent) break;
+                blockIndent = lineIndent;
+            }
+            if (lineIndent < blockIndent) break;
+            body.push(line.slice(blockIndent));
+            this.pos++;
+        }
+
+        // 块外的尾随空行不属于内容（chomping 由 + 决定是否保留）
+        let trailingBlank = 0;
+        while (body.length > 0 && body[body.length - 1] === '') {
+            body.pop();
+            trailingBlank++;
+        }
+
+        let text;
+        if (style === '|') {
+            text = body.join('\n');
+        } else {
+            text = '';
+            body.forEach((line, i) => {
+                if (i === 0) {
+                    text = line;
+                    return;
+                }
+                const prev = body[i - 1];
+                const moreIndented = /^\s/.test(line) || /^\s/.test(prev);
+                if (line === '') {
+                    text += '\n';
+                } else if (prev === '' || moreIndented) {
+                    text += (prev === '' ? '' : '\n') + line;
+                } else {
+                    text += ' ' + line;
+                }
+            });
+        }
+
+        if (body.length === 0) return '';
+        if (chomp === '-') return text;
+        if (chomp === '+') return text + '\n'.repeat(trailingBlank + 1);
+        return text + '\n';
+    }
+
+    /**
+     * 行内序列 / 映射（仅单行）
+     */
+    parseFlow(text, index) {
+        let i = 0;
+        const line = this.lineNo(index);
+
+        const skipSpaces = () => {
+            while (i < text.length && /\s/.test(text[i])) i++;
+        };
+
+        const parseScalar = (terminators) => {
+            skipSpaces();
+            const ch = text[i];
+            if (ch === '"' || ch === "'") {
+                let j = i + 1;
+                while (j < text.length) {
+                    if (ch === '"' && text[j] === '\\') {
+                        j += 2;
+                        continue;
+                    }
+                    if (text[j] === ch) {
+                        if (ch === "'" && text[j + 1] === "'") {
+                            j += 2;
+                            continue;
+                        }
+                        break;
+                    }
+                    j++;
+                }
+                if (j >= text.length) throw new YamlSyntaxError('Unterminated quoted string', line);
+                const raw = text.slice(i + 1, j);
+                i = j + 1;
+                return ch === '"' ? decodeDoubleQuoted(raw, line) : raw.replace(/''/g, "'");
+            }
+            let j = i;
+            while (j < text.length && !terminators.includes(text[j])) j++;
+            const raw = text.slice(i, j);
+            i = j;
+            return resolvePlain(raw);
+        };
+
+        const parseNode = () => {
+            skipSpaces();
+            if (text[i] === '[') return parseSeq();
+            if (text[i] === '{') return parseMap();
+            return parseScalar([',', ']', '}']);
+        };
+
+        const parseSeq = () => {
+            const out = [];
+            i++;
+            skipSpaces();
+            if (text[i] === ']') {
+                i++;
+                return out;
+            }
+            while (i < text.length) {
+                out.push(parseNode());
+                skipSpaces();
+                if (text[i] === ',') {
+                    i++;
+                    skipSpaces();
+                    if (text[i] === ']') {
+                        i++;
+                        return out;
+                    }
+                    continue;
+                }
+                if (text[i] === ']') {
+                    i++;
+                    return out;
+                }
+                break;
+            }
+            throw new YamlSyntaxError('Unterminated flow sequence', line);
+        };
+
+        const parseMap = () => {
+            const out = {};
+            i++;
+            skipSpaces();
+            if (text[i] === '}') {
+                i++;
+                return out;
+            }
+            while (i < text.length) {
+                const key = parseScalar([':', ',', '}']);
+                skipSpaces();
+                if (text[i] !== ':') throw new YamlSyntaxError('Expected ":" in flow mapping', line);
+                i++;
+                out[String(key)] = parseNode();
+                skipSpaces();
+                if (text[i] === ',') {
+                    i++;
+                    skipSpaces();
+                    if (text[i] === '}') {
+                        i++;
+                        return out;
+                    }
+                    continue;
+                }
+                if (text[i] === '}') {
+                    i++;
+                    return out;
+                }
+                break;
+            }
+            throw new YamlSyntaxError('Unterminated flow mapping', line);
+        };
+
+        const value = parseNode();
+        skipSpaces();
+        if (i < text.length) {
+            throw new YamlSyntaxError(`Unexpected text after flow collection: "${text.slice(i)}"`, line);
+        }
+        return value;
+    }
+}
+
+/**
+ * 解析 YAML 文本
+ * @param {string} text - YAML 内容
+ * @param {object} [options]
+ * @param {number} [options.lineOffset=0] - 行号偏移（frontmatter 从第 2 行开始时传 1）
+ * @returns {{ value: any, lines: Object<string, number> }} value 为解析结果；lines 记录每个键路径所在行号
+ */
+function parseYaml(text, options = {}) {
+    const parser = new Parser(text, options.lineOffset || 0);
+    const value = parser.parseDocument();
+    return { value, lines: parser.keyLines };
+}
+
+/**
+ * 把字符串格式化为单行 YAML 标量：能用普通标量时不加引号，否则输出双引号字符串
+ */
+function formatScalar(value) {
+    const text = String(value);
+    const plainSafe = /^[A-Za-z0-9_\u0080-\uffff][^\n]*$/.test(text)
+        && !/:(\s|$)|\s#|\s$/.test(text)
+        && typeof resolvePlain(text) === 'string';
+
+    if (plainSafe) return text;
+
+    // JSON 字符串字面量同时是合法的 YAML 双引号标量
+    return JSON.stringify(text);
+}
+
+module.exports = {
+    parseYaml,
+    formatScalar,
+    YamlSyntaxError,
+};
@@ -4,21 +4,114 @@
  * 
  * 功能：
  * 1. 扫描 skills/ 目录统计技能数量
- * 2. 更新 README.md 和 docs/skills.md 中的统计数字
- * 3. 输出统计报告
+ * 2. 更新 README.md 和 docs/skills.md 中的统计数字，并重新生成 docs/skills.md 标记内的表格
+ * 3. 按 docs/skill-format.md 校验 SKILL.md frontmatter
+ * 4. 输出统计报告
  * 
  * 用法：
- *   node scripts/sync-stats.js        # 输出统计，不修改文件
- *   node scripts/sync-stats.js --fix  # 输出统计并更新文件
+ *   node scripts/sync-stats.js          # 输出统计，不修改文件
+ *   node scripts/sync-stats.js --fix    # 输出统计并更新文件
+ *   node scripts/sync-stats.js --check  # 只检查，不一致时以非零退出码结束（供 pre-commit 使用）
+ *   node scripts/sync-stats.js --json   # 以单个 JSON 文档输出全部结果（可与 --fix / --check 组合）
+ *   node scripts/sync-stats.js --write-index [--dry-run]
+ *                                       # 为新目录补充 registry/index.yaml 条目（先输出 diff 预览）
+ *   node scripts/sync-stats.js --write-i18n [--prune] [--dry-run]
+ *                                       # 为缺少翻译的 skill 生成 i18n/*.yaml 占位条目，--prune 删除孤儿条目
+ *   node scripts/sync-stats.js --locale ja,zh-CN
+ *                                       # 只检查 / 处理指定语言（默认 registry/i18n/ 下的全部语言）
+ *   node scripts/sync-stats.js --registry ../skillwisp-cli/registry --i18n
+ *                                       # 指定 registry 目录；--i18n / --all 要求 registry 必须存在
+ *
+ * 子命令：
+ *   node scripts/sync-stats.js lint [@source[/id] ...] [--json]
+ *                                       # 检查 SKILL.md 正文链接、引用的脚本、文件大小、shebang 和 description 长度
+ *   node scripts/sync-stats.js manifest [--check | --dry-run] [--json]
+ *                                       # 生成 skills/manifest.json（每个 skill 的内容哈希、文件列表和大小）
+ *                                       # --json 输出到 stdout，附带最后修改每个 skill 的提交，供发布使用
+ *   node scripts/sync-stats.js provenance [@source ...] [--json]
+ *                                       # 列出各来源 provenance.yaml 记录的上游仓库、路径、提交和许可证
+ *   node scripts/sync-stats.js provenance @source --upstream <clone> [--pin [--dry-run]] [--json]
+ *                                       # 与上游仓库的本地 clone 比较：内容不同、上游新增、上游已删除；--pin 记录 clone 的 HEAD
+ *   node scripts/sync-stats.js licenses [@source[/id] ...] [--markdown | --json]
+ *                                       # 许可证报告：缺少许可证、与再分发冲突的许可证、需要附带的署名
+ *   node scripts/sync-stats.js search-index [--output <file>] [--dry-run]
+ *                                       # 生成全文检索索引（默认写入 <registry>/search-index.json），含 zh-CN 翻译
+ *   node scripts/sync-stats.js search <query> [--json]
+ *                                       # 用当前目录内容建索引并查询，便于调整排序
+ *   node scripts/sync-stats.js overlaps [--threshold <0-1>] [--markdown | --json]
+ *                                       # 找出跨来源的同名 skill 和名称、描述、正文相似的 skill，给出「另见」建议
+ *   node scripts/sync-stats.js tokens [@source[/id] ...] [--check] [--json]
+ *                                       # 按来源估算 SKILL.md 及其链接的参考文件的 token 数，--check 时超出预算以非零退出码结束
+ *                                       # 主 --check 也会列出超出预算的 skill，默认只警告（见下文 tokens.check）
+ *   node scripts/sync-stats.js resolve [name ...] [--json]
+ *                                       # 按 CLI 规则解析短名称；不带参数时检查歧义、与子命令同名、不安全字符，
+ *                                       # 以及 README.md / docs/skills.md 表格中解析结果与链接不一致的安装命令
+ *   node scripts/sync-stats.js links [--fix] [--json]
+ *                                       # 检查 README.md / docs/skills.md 表格中的相对链接和安装命令；--fix 改写有唯一目标的链接
+ *   node scripts/sync-stats.js changelog --from <git-ref | snapshot.json> [--json]
+ *                                       # 与 git ref 或保存的快照比较，按来源输出 Markdown 更新日志
+ *   node scripts/sync-stats.js changelog --save <snapshot.json>
+ *                                       # 保存当前目录快照，供下次发布时比较
+ *   node scripts/sync-stats.js export [--output <dir>] [--registry <path>] [--dry-run] [--json]
+ *                                       # 导出网站数据（默认写入 website/data）：每个 skill 一个 JSON 页面、来源概览和 sitemap.xml
+ *
+ * registry 目录依次取自 --registry、环境变量 SKILLWISP_REGISTRY、仓库根目录
+ * skillwisp.config.json 中的 "registry"，都未设置时为 ../skillwisp-cli/registry。
+ * lint 的上限可在 skillwisp.config.json 的 "lint" 中覆盖（maxFileSize 字节、maxDescriptionLength 字符），
+ * token 预算在 "tokens" 中覆盖（skill：SKILL.md 本身，total：含参考文件）；
+ * "tokens": { "check": "error" } 时主 --check 在有 skill 超出预算时失败（默认 "warn" 只警告）。
+ *
+ * 退出码（与 README.md「退出码」一致）：
+ *   0  成功 / 检查通过
+ *   2  参数错误
+ *   3  资源未找到：registry 中有缺失或孤儿条目；子命令指定的 skill / 来源 / 上游目录不存在；
+ *      search-index 未指定 --output 且找不到 registry；changelog --from 的 ref / 快照文件不存在；
+ *      resolve 指定的名称无法解析到唯一的 skill
+ *   5  文件系统错误：README.md / docs/skills.md 统计过期，或存在缺少 SKILL.md 的目录；lint 发现 error；
+ *      manifest --check 时 skills/manifest.json 过期；provenance 发现缺失或无效的 provenance.yaml；
+ *      licenses 发现缺少许可证或不可再分发的 skill；tokens --check，或 tokens.check 为 "error" 时的 --check，有 skill 超出 token 预算；
+ *      changelog 的快照文件无法解析；resolve 发现不可安装的 id 或与链接不一致的安装命令；
+ *      links 发现（--fix 后仍然）失效的链接或安装命令
+ *   同时出现多种问题时取 5。
  */
 
 const fs = require('fs');
 const path = require('path');
+const { parseFrontmatter, validateFrontmatter } = require('./lib/frontmatter');
+const { YamlSyntaxError } = require('./lib/yaml');
+const { parseExistingDescriptions, renderSkillTables, replaceBlock, START_MARKER } = require('./lib/docs-tables');
+const { planIndexEntries, insertIndexEntries } = require('./lib/registry-index');
+const { parseTranslations, scaffoldTranslations, isUntranslated } = require('./lib/i18n-scaffold');
+const { unifiedDiff } = require('./lib/diff');
+const { DEFAULT_LIMITS, lintSkill } = require('./lib/lint');
+const { buildManifest, compareManifests } = require('./lib/manifest');
+const { lastCommit, headCommit, countCommits, resolveCommit } = require('./lib/git');
+const {
+    PROVENANCE_FILE, readProvenance, upstreamFromDirectory, upstreamFromGit, compareWithUpstream, compareUpstream, pinCommit,
+} = require('./lib/provenance');
+const { sortSources, sourceInfo } = require('./lib/sources');
+const { findLicenseFile, resolveLicense, renderLicenseMarkdown } = require('./lib/licenses');
+const { normalizeRequirements, mergeRequirements } = require('./lib/requirements');
+const { collectSearchDocs, buildSearchIndex, searchIndex } = require('./lib/search');
+const { DEFAULT_THRESHOLD, findOverlaps, renderOverlapMarkdown } = require('./lib/overlap');
+const { walkFiles } = require('./lib/skill-files');
+const { buildSkillPage, buildSitemap } = require('./lib/site');
+const { DEFAULT_BUDGET, measureSkill, overBudget } = require('./lib/tokens');
+const { checkIds, buildResolutionTable, resolveTarget } = require('./lib/resolve');
+const { checkDocTables, applyFixes } = require('./lib/doc-links');
+const { SNAPSHOT_VERSION, snapshotFromSkills, snapshotFromGit, compareSnapshots, renderChangelogMarkdown } = require('./lib/changelog');
 
 const ROOT_DIR = path.resolve(__dirname, '..');
 const SKILLS_DIR = path.join(ROOT_DIR, 'skills');
 const README_PATH = path.join(ROOT_DIR, 'README.md');
 const SKILLS_MD_PATH = path.join(ROOT_DIR, 'docs', 'skills.md');
+const CONFIG_PATH = path.join(ROOT_DIR, 'skillwisp.config.json');
+const MANIFEST_PATH = path.join(SKILLS_DIR, 'manifest.json');
+const SITE_DATA_PATH = path.join(ROOT_DIR, 'website', 'data');
+const PACKAGE_PATH = path.join(ROOT_DIR, 'package.json');
+const DEFAULT_REGISTRY_PATH = path.join(ROOT_DIR, '..', 'skillwisp-cli', 'registry');
+const REGISTRY_ENV = 'SKILLWISP_REGISTRY';
+const DEFAULT_LOCALE = 'zh-CN';
 
 // ANSI colors
 const colors = {
@@ -30,22 +123,237 @@ const colors = {
     dim: '\x1b[2m',
 };
 
+// --json 模式下关闭彩色日志，保证 stdout 只有一个 JSON 文档
+let quiet = false;
+
 function log(msg, color = 'reset') {
+    if (quiet) return;
     console.log(`${colors[color]}${msg}${colors.reset}`);
 }
 
+// 退出码（与 README.md「退出码」一节一致）
+const EXIT_CODES = {
+    success: 0,
+    usage: 2,
+    notFound: 3,
+    filesystem: 5,
+};
+
+// 子命令可用的参数，以及是否接受 skill / 来源位置参数
+const COMMANDS = {
+    lint: { flags: ['--json'], targets: true },
+    manifest: { flags: ['--check', '--dry-run', '--json'], targets: false },
+    provenance: { flags: ['--upstream', '--pin', '--dry-run', '--json'], targets: true },
+    licenses: { flags: ['--markdown', '--json'], targets: true },
+    'search-index': { flags: ['--output', '--registry', '--dry-run'], targets: false },
+    search: { flags: ['--registry', '--json'], targets: true },
+    overlaps: { flags: ['--threshold', '--markdown', '--json'], targets: false },
+    tokens: { flags: ['--check', '--json'], targets: true },
+    resolve: { flags: ['--json'], targets: true },
+    links: { flags: ['--fix', '--json'], targets: false },
+    changelog: { flags: ['--from', '--save', '--json'], targets: false },
+    export: { flags: ['--output', '--registry', '--dry-run', '--json'], targets: false },
+};
+const KNOWN_FLAGS = ['--fix', '--check', '--json', '--write-index', '--write-i18n', '--prune', '--dry-run', '--i18n', '--all', '--pin', '--markdown'];
+const VALUE_FLAGS = ['--locale', '--registry', '--upstream', '--output', '--threshold', '--from', '--save'];
+
+// 只对子命令有意义的参数
+const COMMAND_ONLY_FLAGS = ['--pin', '--upstream', '--markdown', '--output', '--threshold', '--from', '--save'];
+
+function usageError(message) {
+    log(`✗ ${message}`, 'red');
+    log('Usage: node scripts/sync-stats.js [--fix | --check] [--json] [--write-index] [--write-i18n [--prune]] [--dry-run]', 'dim');
+    log('                                  [--locale <code>[,<code>...]] [--registry <path>] [--i18n | --all]', 'dim');
+    log('       node scripts/sync-stats.js lint [@source[/id] ...] [--json]', 'dim');
+    log('       node scripts/sync-stats.js manifest [--check | --dry-run] [--json]', 'dim');
+    log('       node scripts/sync-stats.js provenance [@source ...] [--upstream <clone> [--pin] [--dry-run]] [--json]', 'dim');
+    log('       node scripts/sync-stats.js licenses [@source[/id] ...] [--markdown | --json]', 'dim');
+    log('       node scripts/sync-stats.js search-index [--output <file>] [--registry <path>] [--dry-run]', 'dim');
+    log('       node scripts/sync-stats.js search <query> [--registry <path>] [--json]', 'dim');
+    log('       node scripts/sync-stats.js overlaps [--threshold <0-1>] [--markdown | --json]', 'dim');
+    log('       node scripts/sync-stats.js tokens [@source[/id] ...] [--check] [--json]', 'dim');
+    log('       node scripts/sync-stats.js resolve [name ...] [--json]', 'dim');
+    log('       node scripts/sync-stats.js links [--fix] [--json]', 'dim');
+    log('       node scripts/sync-stats.js changelog (--from <git-ref | snapshot.json> [--json] | --save <snapshot.json>)', 'dim');
+    log('       node scripts/sync-stats.js export [--output <dir>] [--registry <path>] [--dry-run] [--json]', 'dim');
+    process.exit(EXIT_CODES.usage);
+}
+
+/**
+ * 解析命令行参数（带值的参数支持 "--name value" 与 "--name=value"）
+ * 第一个参数不以 - 开头时视为子命令，其后的位置参数为要处理的 skill
+ */
+function parseArgs(args) {
+    const flags = new Set();
+    const values = {};
+    const targets = [];
+    let command = null;
+
+    if (args.length > 0 && !args[0].startsWith('-')) {
+        command = args[0];
+        if (!COMMANDS[command]) {
+            usageError(`Unknown command: ${command}`);
+        }
+        args = args.slice(1);
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const eq = arg.indexOf('=');
+        const name = eq === -1 ? arg : arg.slice(0, eq);
+
+        if (VALUE_FLAGS.includes(name)) {
+            const value = eq === -1 ? args[++i] : arg.slice(eq + 1);
+            if (value === undefined || value === '' || value.startsWith('--')) {
+                usageError(`${name} requires a value`);
+            }
+            values[name] = value;
+            flags.add(name);
+            continue;
+        }
+
+        if (!arg.startsWith('-')) {
+            if (!command || !COMMANDS[command].targets) {
+                usageError(`Unexpected argument: ${arg}`);
+            }
+            targets.push(arg);
+            continue;
+        }
+
+        if (!KNOWN_FLAGS.includes(arg)) {
+            usageError(`Unknown option: ${arg}`);
+        }
+        flags.add(arg);
+    }
+
+    const options = {
+        command,
+        targets,
+        fix: flags.has('--fix'),
+        check: flags.has('--check'),
+        json: flags.has('--json'),
+        writeIndex: flags.has('--write-index'),
+        writeI18n: flags.has('--write-i18n'),
+        prune: flags.has('--prune'),
+        dryRun: flags.has('--dry-run'),
+        checkI18n: flags.has('--i18n') || flags.has('--all'),
+        registry: values['--registry'] || null,
+        locales: values['--locale'] ? values['--locale'].split(',').map((l) => l.trim()).filter(Boolean) : null,
+        upstream: values['--upstream'] || null,
+        pin: flags.has('--pin'),
+        markdown: flags.has('--markdown'),
+        output: values['--output'] || null,
+        threshold: values['--threshold'] === undefined ? null : Number(values['--threshold']),
+        from: values['--from'] || null,
+        save: values['--save'] || null,
+    };
+
+    if (command) {
+        const unsupported = [...flags].find((flag) => !COMMANDS[command].flags.includes(flag));
+        if (unsupported) {
+            usageError(`${unsupported} cannot be used with the ${command} command`);
+        }
+        if (options.check && options.dryRun) {
+            usageError('--check and --dry-run cannot be used together');
+        }
+        if (options.markdown && options.json) {
+            usageError('--markdown and --json cannot be used together');
+        }
+        if (options.pin && !options.upstream) {
+            usageError('--pin requires --upstream');
+        }
+        if (command === 'provenance' && options.dryRun && !options.pin) {
+            usageError('--dry-run requires --pin');
+        }
+        if (command === 'search' && targets.length === 0) {
+            usageError('search requires a query');
+        }
+        if (command === 'changelog' && Boolean(options.from) === Boolean(options.save)) {
+            usageError('changelog requires either --from or --save');
+        }
+        if (options.save && options.json) {
+            usageError('--save and --json cannot be used together');
+        }
+        if (options.threshold !== null && !(options.threshold >= 0 && options.threshold <= 1)) {
+            usageError('--threshold must be a number between 0 and 1');
+        }
+        return options;
+    }
+
+    const commandOnly = [...flags].find((flag) => COMMAND_ONLY_FLAGS.includes(flag));
+    if (commandOnly) {
+        usageError(`${commandOnly} can only be used with a command`);
+    }
+
+    if (options.fix && options.check) {
+        usageError('--fix and --check cannot be used together');
+    }
+    if ((options.writeIndex || options.writeI18n) && (options.check || options.json)) {
+        usageError('--write-index / --write-i18n cannot be combined with --check or --json');
+    }
+    if (options.prune && !options.writeI18n) {
+        usageError('--prune requires --write-i18n');
+    }
+
+    return options;
+}
+
+/**
+ * 读取仓库根目录的 skillwisp.config.json（不存在时返回空对象）
+ */
+function readConfig() {
+    if (!fs.existsSync(CONFIG_PATH)) {
+        return {};
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+        if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+            throw new Error('expected a JSON object');
+        }
+        return config;
+    } catch (e) {
+        usageError(`Invalid ${path.basename(CONFIG_PATH)}: ${e.message}`);
+    }
+}
+
+/**
+ * 确定 registry 目录，优先级：--registry > SKILLWISP_REGISTRY > skillwisp.config.json 的 "registry" > ../skillwisp-cli/registry
+ * 命令行和环境变量中的相对路径相对于当前目录，配置文件中的相对于仓库根目录
+ * @returns {{ path: string, origin: 'flag'|'env'|'config'|'default', exists: boolean }}
+ */
+function resolveRegistry(options, config) {
+    let resolved;
+    if (options.registry) {
+        resolved = { path: path.resolve(options.registry), origin: 'flag' };
+    } else if (process.env[REGISTRY_ENV]) {
+        resolved = { path: path.resolve(process.env[REGISTRY_ENV]), origin: 'env' };
+    } else if (typeof config.registry === 'string' && config.registry !== '') {
+        resolved = { path: path.resolve(ROOT_DIR, config.registry), origin: 'config' };
+    } else {
+        resolved = { path: DEFAULT_REGISTRY_PATH, origin: 'default' };
+    }
+
+    return { ...resolved, exists: fs.existsSync(resolved.path) };
+}
+
 /**
  * 仅扫描一级 skill 目录（避免把嵌套的文档/示例误判为 skill）
  *
  * 结构约定：
  *   skills/@source/<skill-id>/SKILL.md
+ *   skills/@source/<skill-id>/LICENSE[.txt|.md]   （可选）
+ *
+ * @returns {{ results: string[], broken: object[], licenseFiles: Object<string, string|null> }}
+ *   licenseFiles 以 SKILL.md 路径为 key
  */
 function scanSkillDirs(skillsDir) {
     const results = [];
     const broken = [];
+    const licenseFiles = {};
 
     if (!fs.existsSync(skillsDir)) {
-        return { results, broken };
+        return { results, broken, licenseFiles };
     }
 
     const sourceEntries = fs.readdirSync(skillsDir, { withFileTypes: true });
@@ -72,30 +380,63 @@ function scanSkillDirs(skillsDir) {
             }
 
             results.push(entryPath);
+            licenseFiles[entryPath] = findLicenseFile(skillDir);
         }
     }
 
-    return { results, broken };
+    return { results, broken, licenseFiles };
 }
 
 /**
- * 解析 SKILL.md 的 frontmatter 获取技能信息
+ * 按 "@source/id"、"@source" 或 "id" 选出子命令要处理的 skill；未指定时返回全部
+ * @returns {{ skills: Array<object & { source: string }>, unknown: string[] }}
  */
-function parseSkillMetadata(filePath) {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const match = content.match(/^---\n([\s\S]*?)\n---/);
+function selectSkills(statsBySource, targets = []) {
+    const all = Object.keys(statsBySource).sort().flatMap((source) =>
+        [...statsBySource[source]]
+            .sort((a, b) => a.id.localeCompare(b.id))
+            .map((skill) => ({ source, ...skill })));
+
+    if (targets.length === 0) {
+        return { skills: all, unknown: [] };
+    }
 
-    if (!match) {
-        return { name: path.basename(path.dirname(filePath)), description: '' };
+    const unknown = [];
+    const selected = new Set();
+    for (const target of targets) {
+        const match = target.match(/^@([^/]+)(?:\/(.+))?$/);
+        const matches = all.filter((skill) => (match
+            ? skill.source === match[1] && (!match[2] || skill.id === match[2])
+            : skill.id === target));
+        if (matches.length === 0) unknown.push(target);
+        matches.forEach((skill) => selected.add(skill));
     }
 
-    const frontmatter = match[1];
-    const nameMatch = frontmatter.match(/^name:\s*(.+)$/m);
-    const descMatch = frontmatter.match(/^description:\s*["']?(.+?)["']?\s*$/m);
+    return { skills: all.filter((skill) => selected.has(skill)), unknown };
+}
+
+/**
+ * 解析 SKILL.md 的 frontmatter 获取技能信息，并按 docs/skill-format.md 校验
+ */
+function parseSkillMetadata(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const skillId = path.basename(path.dirname(filePath));
+    const parsed = parseFrontmatter(content);
+    const data = parsed.data || {};
+
+    const str = (value) => (typeof value === 'string' ? value.trim() : '');
+    const list = (value) => (Array.isArray(value) ? value.map(String) : []);
 
     return {
-        name: nameMatch ? nameMatch[1].trim() : path.basename(path.dirname(filePath)),
-        description: descMatch ? descMatch[1].trim() : '',
+        name: str(data.name) || skillId,
+        description: str(data.description),
+        author: str(data.author),
+        version: data.version === undefined || data.version === null ? '' : String(data.version),
+        tags: list(data.tags),
+        agents: list(data.agents),
+        requires: normalizeRequirements(data.requires),
+        frontmatter: data,
+        issues: validateFrontmatter(parsed, skillId).map((issue) => ({ file: filePath, ...issue })),
     };
 }
 
@@ -103,8 +444,10 @@ function parseSkillMetadata(filePath) {
  * 统计各来源的技能数量
  */
 function collectStats() {
-    const { results: skillFiles, broken } = scanSkillDirs(SKILLS_DIR);
+    const { results: skillFiles, broken, licenseFiles } = scanSkillDirs(SKILLS_DIR);
     const statsBySource = {};
+    // 镜像来源的依赖写在 provenance.yaml 中
+    const provenanceBySource = {};
 
     for (const filePath of skillFiles) {
         // 解析路径：skills/@source/skill-id/SKILL.md
@@ -120,12 +463,16 @@ function collectStats() {
 
         if (!statsBySource[source]) {
             statsBySource[source] = [];
+            provenanceBySource[source] = readProvenance(path.join(SKILLS_DIR, parts[0]));
         }
 
+        const metadata = parseSkillMetadata(filePath);
         statsBySource[source].push({
             id: skillId,
             path: filePath,
-            ...parseSkillMetadata(filePath),
+            licenseFile: licenseFiles[filePath],
+            ...metadata,
+            requires: mergeRequirements(metadata.frontmatter.requires, provenanceBySource[source].requires[skillId]),
         });
     }
 
@@ -134,8 +481,11 @@ function collectStats() {
 
 /**
  * 更新文件中的统计数字
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - 只判断是否需要更新，不写入文件
+ * @returns {boolean} 内容是否（需要）变更
  */
-function updateStatsInFile(filePath, totalCount, sourceCount) {
+function updateStatsInFile(filePath, totalCount, sourceCount, options = {}) {
     if (!fs.existsSync(filePath)) {
         log(`  ⚠ File not found: ${filePath}`, 'yellow');
         return false;
@@ -185,7 +535,9 @@ function updateStatsInFile(filePath, totalCount, sourceCount) {
     });
 
     if (modified) {
-        fs.writeFileSync(filePath, content, 'utf-8');
+        if (!options.dryRun) {
+            fs.writeFileSync(filePath, content, 'utf-8');
+        }
         return true;
     }
 
@@ -193,40 +545,67 @@ function updateStatsInFile(filePath, totalCount, sourceCount) {
 }
 
 /**
- * 解析 YAML 文件获取翻译条目
+ * 重新生成文件中 skills-table 标记之间的表格
+ * @param {Function} translate - (source, id) => zh-CN 翻译条目或 null
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - 只判断是否需要更新，不写入文件
+ * @returns {boolean} 内容是否（需要）变更；文件不存在或没有标记时返回 false
  */
-function parseTranslations(filePath) {
+function updateTablesInFile(filePath, statsBySource, translate, options = {}) {
     if (!fs.existsSync(filePath)) {
-        return {};
+        return false;
     }
 
     const content = fs.readFileSync(filePath, 'utf-8');
-    const translations = {};
-
-    // 简单解析 YAML 结构: source -> skill-id -> {name, description}
-    let currentSource = null;
-    let currentSkill = null;
+    const generated = renderSkillTables(statsBySource, {
+        translate,
+        existing: parseExistingDescriptions(content),
+    });
+    const updated = replaceBlock(content, generated);
 
-    const lines = content.split('\n');
-    for (const line of lines) {
-        // Source level: "  anthropic:"
-        const sourceMatch = line.match(/^  ([a-z][a-z0-9-]*):$/);
-        if (sourceMatch) {
-            currentSource = sourceMatch[1];
-            translations[currentSource] = {};
-            continue;
+    if (updated === null) {
+        if (!options.dryRun) {
+            log(`  ⚠ No ${START_MARKER} marker in ${path.relative(ROOT_DIR, filePath)}, tables not generated`, 'yellow');
         }
+        return false;
+    }
 
-        // Skill level: "    pdf:" or "    claude.ai:"
-        const skillMatch = line.match(/^    ([a-z][a-z0-9.-]*):$/);
-        if (skillMatch && currentSource) {
-            currentSkill = skillMatch[1];
-            translations[currentSource][currentSkill] = {};
-            continue;
-        }
+    if (updated === content) {
+        return false;
+    }
+
+    if (!options.dryRun) {
+        fs.writeFileSync(filePath, updated, 'utf-8');
+    }
+    return true;
+}
+
+/**
+ * 去掉 YAML 标量两端的引号
+ */
+function unquote(value) {
+    let v = String(value).trim();
+    if ((v.startsWith('"') && v.endsWith('"')) || (v.startsWith("'") && v.endsWith("'"))) {
+        v = v.slice(1, -1);
+    }
+    return v;
+}
+
+/**
+ * 读取翻译文件（见 lib/i18n-scaffold.js parseTranslations()）；YAML 无效时以退出码 5 结束
+ */
+function readTranslations(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return {};
     }
 
-    return translations;
+    try {
+        return parseTranslations(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+        if (!(e instanceof YamlSyntaxError)) throw e;
+        log(`✗ ${path.relative(ROOT_DIR, filePath)}: ${e.message}`, 'red');
+        process.exit(EXIT_CODES.filesystem);
+    }
 }
 
 /**
@@ -243,14 +622,6 @@ function parseIndex(filePath) {
     const entries = [];
     let current = null;
 
-    const unquote = (value) => {
-        let v = String(value).trim();
-        if ((v.startsWith('"') && v.endsWith('"')) || (v.startsWith("'") && v.endsWith("'"))) {
-            v = v.slice(1, -1);
-        }
-        return v;
-    };
-
     for (const line of lines) {
         const idMatch = line.match(/^\s*-\s*id:\s*(.+)\s*$/);
         if (idMatch) {
@@ -292,14 +663,41 @@ function parseIndex(filePath) {
     return { entries, bySource, byPath };
 }
 
+/**
+ * 列出 registry/i18n/ 下的全部语言（文件名去掉 .yaml），zh-CN 排在最前
+ */
+function listLocales(cliRegistryPath) {
+    const i18nDir = path.join(cliRegistryPath, 'i18n');
+    if (!fs.existsSync(i18nDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(i18nDir)
+        .filter((file) => file.endsWith('.yaml'))
+        .map((file) => file.slice(0, -'.yaml'.length))
+        .sort((a, b) => (a === DEFAULT_LOCALE ? -1 : b === DEFAULT_LOCALE ? 1 : a.localeCompare(b)));
+}
+
+/**
+ * 本次运行要检查的语言：--locale 指定的，否则为 i18n/ 下的全部；都没有时检查 zh-CN
+ */
+function selectLocales(cliRegistryPath, options = {}) {
+    if (options.locales && options.locales.length > 0) {
+        return options.locales;
+    }
+    const found = listLocales(cliRegistryPath);
+    return found.length > 0 ? found : [DEFAULT_LOCALE];
+}
+
 /**
  * 验证翻译覆盖
+ * @param {string} [locale='zh-CN'] - 对应 registry/i18n/<locale>.yaml
  */
-function verifyTranslations(statsBySource, broken, cliRegistryPath) {
-    const i18nPath = path.join(cliRegistryPath, 'i18n', 'zh-CN.yaml');
+function verifyTranslations(statsBySource, broken, cliRegistryPath, locale = DEFAULT_LOCALE) {
+    const i18nPath = path.join(cliRegistryPath, 'i18n', `${locale}.yaml`);
     const indexPath = path.join(cliRegistryPath, 'index.yaml');
 
-    const translations = parseTranslations(i18nPath);
+    const translations = readTranslations(i18nPath);
     const index = parseIndex(indexPath);
     const indexEntries = index.entries || [];
     const indexBySource = index.bySource || {};
@@ -307,6 +705,8 @@ function verifyTranslations(statsBySource, broken, cliRegistryPath) {
 
     const missing = [];
     const orphaned = [];
+    const empty = [];
+    let translated = 0;
 
     // 1) 目录扫描：每个目录应在 index.yaml 有一条 path，并且 translation 以 index.id 为 key
     for (const [source, skills] of Object.entries(statsBySource)) {
@@ -319,9 +719,14 @@ function verifyTranslations(statsBySource, broken, cliRegistryPath) {
                 continue;
             }
 
-            const hasTranslation = translations[source] && translations[source][indexEntry.id];
-            if (!hasTranslation) {
-                missing.push({ source, id: indexEntry.id, type: 'translation', path: expectedPath });
+            const translation = translations[source] && translations[source][indexEntry.id];
+            if (!translation) {
+                missing.push({ source, id: indexEntry.id, type: 'translation', locale, path: expectedPath });
+            } else if (isUntranslated(translation, skill)) {
+                // --write-i18n 的占位条目已存在，只是还没翻译
+                missing.push({ source, id: indexEntry.id, type: 'translation', locale, path: expectedPath, stub: true });
+            } else {
+                translated++;
             }
         }
     }
@@ -339,42 +744,140 @@ function verifyTranslations(statsBySource, broken, cliRegistryPath) {
         const valid = new Set((indexBySource[source] || []).map((e) => e.id));
         for (const id of Object.keys(skillIds)) {
             if (!valid.has(id)) {
-                orphaned.push({ source, id, type: 'translation' });
+                orphaned.push({ source, id, type: 'translation', locale });
+            }
+        }
+    }
+
+    // 4) 空值：name / description 缺失或为空字符串
+    for (const [source, skillIds] of Object.entries(translations)) {
+        for (const [id, fields] of Object.entries(skillIds)) {
+            const emptyFields = ['name', 'description'].filter((field) => !fields[field] || fields[field].trim() === '');
+            if (emptyFields.length > 0) {
+                empty.push({ source, id, type: 'translation', locale, fields: emptyFields });
             }
         }
     }
 
-    // 4) 结构损坏：存在目录但缺少 SKILL.md（无法计入统计）
+    // 5) 结构损坏：存在目录但缺少 SKILL.md（无法计入统计）
     for (const item of broken || []) {
         missing.push({ source: item.source, id: item.id, type: 'missingSkillMd' });
     }
 
-    return { missing, orphaned, translations, indexEntries };
+    return { missing, orphaned, empty, translated, translations, indexEntries };
 }
 
 /**
- * 主函数
+ * 汇总一次运行所需的全部数据（不输出、不写文件）
+ * @param {object} [options] - parseArgs() 的结果（用到 locales）
  */
-function main() {
-    const args = process.argv.slice(2);
-    const shouldFix = args.includes('--fix');
-    const checkI18n = args.includes('--i18n') || args.includes('--all');
-
-    log('\n📊 SkillWisp Stats Sync\n', 'cyan');
-
-    // 收集统计数据
+function buildReport(options = {}) {
     const { statsBySource, broken } = collectStats();
     const sources = Object.keys(statsBySource).sort();
     const sourceCount = sources.length;
+    const totalCount = sources.reduce((sum, source) => sum + statsBySource[source].length, 0);
+
+    // frontmatter 格式校验
+    const schemaIssues = sources.flatMap((source) => statsBySource[source].flatMap((skill) => skill.issues));
+
+    // 翻译和索引验证
+    const cliRegistryPath = options.registryPath;
+    let registry = null;
+    let translate = () => null;
+
+    if (cliRegistryPath) {
+        const results = selectLocales(cliRegistryPath, options).map((locale) => ({
+            locale,
+            ...verifyTranslations(statsBySource, broken, cliRegistryPath, locale),
+        }));
+        const { indexEntries } = results[0];
+
+        // docs/skills.md 是中文文档，表格描述始终取 zh-CN
+        const zhCN = results.find((r) => r.locale === DEFAULT_LOCALE)
+            || verifyTranslations(statsBySource, broken, cliRegistryPath, DEFAULT_LOCALE);
+
+        // 翻译以 index.yaml 中的 id 为 key，按目录路径映射回去
+        const indexIdByPath = new Map(indexEntries.map((entry) => [entry.path, entry.id]));
+        translate = (source, id) => {
+            const indexId = indexIdByPath.get(`@${source}/${id}`);
+            return (indexId && zhCN.translations[source] && zhCN.translations[source][indexId]) || null;
+        };
+
+        // index 相关的问题与语言无关，只取一次；翻译问题按语言汇总
+        const missing = [
+            ...results[0].missing.filter((m) => m.type !== 'translation'),
+            ...results.flatMap((r) => r.missing.filter((m) => m.type === 'translation')),
+        ];
+
+        // 统计各语言覆盖
+        const locales = results.map((r) => ({
+            locale: r.locale,
+            file: path.join(cliRegistryPath, 'i18n', `${r.locale}.yaml`),
+            entries: Object.values(r.translations).reduce((sum, ids) => sum + Object.keys(ids).length, 0),
+            translated: r.translated,
+            missing: r.missing.filter((m) => m.type === 'translation').length,
+            orphaned: r.orphaned.length,
+            empty: r.empty.length,
+        }));
+
+        registry = {
+            path: cliRegistryPath,
+            indexCount: indexEntries.length,
+            indexedSkills: totalCount - missing.filter((m) => m.type === 'index').length,
+            locales,
+            missing,
+            orphaned: results.flatMap((r) => r.orphaned),
+            empty: results.flatMap((r) => r.empty),
+        };
+    }
+
+    const docs = [README_PATH, SKILLS_MD_PATH].map((file) => {
+        const staleCounts = updateStatsInFile(file, totalCount, sourceCount, { dryRun: true });
+        const staleTables = file === SKILLS_MD_PATH && updateTablesInFile(file, statsBySource, translate, { dryRun: true });
+        return { file, exists: fs.existsSync(file), staleCounts, staleTables, stale: staleCounts || staleTables };
+    });
+
+    return { statsBySource, sources, sourceCount, totalCount, broken, schemaIssues, registry, translate, docs };
+}
+
+/**
+ * 同步单个文档：统计数字，以及 docs/skills.md 的表格
+ * @returns {boolean} 是否有变更
+ */
+function syncDocFile(file, report) {
+    const countsUpdated = updateStatsInFile(file, report.totalCount, report.sourceCount);
+    const tablesUpdated = file === SKILLS_MD_PATH && updateTablesInFile(file, report.statsBySource, report.translate);
+    return countsUpdated || tablesUpdated;
+}
+
+/**
+ * --check 的退出码：文件系统问题优先于 registry 问题
+ */
+function checkExitCode(report) {
+    if (report.docs.some((doc) => doc.stale) || report.broken.length > 0) {
+        return EXIT_CODES.filesystem;
+    }
+    if (report.tokens && report.tokens.mode === 'error' && report.tokens.over.length > 0) {
+        return EXIT_CODES.filesystem;
+    }
+    const { registry } = report;
+    if (registry && registry.missing.length + registry.orphaned.length + registry.empty.length > 0) {
+        return EXIT_CODES.notFound;
+    }
+    return EXIT_CODES.success;
+}
 
-    let totalCount = 0;
+/**
+ * 输出彩色文本报告
+ */
+function printReport(report) {
+    const { statsBySource, sources, sourceCount, totalCount, broken, schemaIssues, registry } = report;
 
     log('Skills by Source:', 'green');
     log('─'.repeat(40), 'dim');
 
     for (const source of sources) {
         const skills = statsBySource[source];
-        totalCount += skills.length;
         log(`  @${source.padEnd(20)} ${String(skills.length).padStart(3)} skills`, 'reset');
     }
 
@@ -382,71 +885,1418 @@ function main() {
     log(`  ${'Total'.padEnd(20)} ${String(totalCount).padStart(3)} skills`, 'green');
     log(`  ${'Sources'.padEnd(20)} ${String(sourceCount).padStart(3)} sources\n`, 'green');
 
-    // 翻译和索引验证
-    const cliRegistryPath = path.join(ROOT_DIR, '..', 'skillwisp-cli', 'registry');
+    if (schemaIssues.length > 0) {
+        const fileCount = new Set(schemaIssues.map((issue) => issue.file)).size;
+        log(`⚠ Frontmatter issues (${schemaIssues.length} in ${fileCount} files, see docs/skill-format.md):`, 'yellow');
+        for (const issue of schemaIssues) {
+            log(`  ${path.relative(ROOT_DIR, issue.file)}:${issue.line}  ${issue.message}`, 'yellow');
+        }
+        log('');
+    } else {
+        log('  ✓ All SKILL.md frontmatter valid\n', 'green');
+    }
 
-    if (fs.existsSync(cliRegistryPath)) {
-        const { missing, orphaned, translations, indexEntries } = verifyTranslations(statsBySource, broken, cliRegistryPath);
+    if (broken.length > 0) {
+        log('⚠ Skill directories without SKILL.md:', 'yellow');
+        for (const item of broken) {
+            log(`  ${path.relative(ROOT_DIR, item.dir)}`, 'yellow');
+        }
+        log('');
+    }
 
-        // 统计翻译和索引覆盖
-        let translationCount = 0;
-        const indexCount = indexEntries.length;
+    if (!registry) return;
 
-        for (const source of Object.keys(translations)) {
-            translationCount += Object.keys(translations[source]).length;
-        }
+    const { missing, orphaned, empty, indexCount, indexedSkills, locales } = registry;
 
-        log('Registry Status:', 'cyan');
-        log('─'.repeat(40), 'dim');
-        log(`  ${'index.yaml'.padEnd(20)} ${String(indexCount).padStart(3)} entries`, indexCount === totalCount ? 'green' : 'yellow');
-        log(`  ${'zh-CN.yaml'.padEnd(20)} ${String(translationCount).padStart(3)} entries`, translationCount === totalCount ? 'green' : 'yellow');
-        log('─'.repeat(40), 'dim');
+    log('Registry Status:', 'cyan');
+    log('─'.repeat(40), 'dim');
+    log(`  ${'index.yaml'.padEnd(20)} ${String(indexCount).padStart(3)} entries`, indexCount === totalCount ? 'green' : 'yellow');
+    for (const item of locales) {
+        const label = `i18n/${item.locale}.yaml`;
+        const complete = item.translated === indexedSkills && item.orphaned === 0 && item.empty === 0;
+        log(`  ${label.padEnd(20)} ${String(item.translated).padStart(3)}/${indexedSkills} translated`, complete ? 'green' : 'yellow');
+    }
+    log('─'.repeat(40), 'dim');
 
-        if (missing.length > 0 || orphaned.length > 0) {
-            log('');
+    if (missing.length > 0 || orphaned.length > 0 || empty.length > 0) {
+        log('');
 
-            if (missing.length > 0) {
-                log('⚠ Missing entries:', 'yellow');
-                const missingIndex = missing.filter(m => m.type === 'index');
-                const missingI18n = missing.filter(m => m.type === 'translation');
-                const missingDir = missing.filter(m => m.type === 'skillDir' || m.type === 'missingSkillMd');
+        if (missing.length > 0) {
+            log('⚠ Missing entries:', 'yellow');
+            const missingIndex = missing.filter(m => m.type === 'index');
+            const missingDir = missing.filter(m => m.type === 'skillDir' || m.type === 'missingSkillMd');
 
-                if (missingIndex.length > 0) {
-                    log(`  index.yaml: ${missingIndex.map(m => m.path || `@${m.source}/${m.id}`).join(', ')}`, 'yellow');
-                }
+            if (missingIndex.length > 0) {
+                log(`  index.yaml: ${missingIndex.map(m => m.path || `@${m.source}/${m.id}`).join(', ')}`, 'yellow');
+            }
+            for (const { locale } of locales) {
+                const missingI18n = missing.filter(m => m.type === 'translation' && m.locale === locale);
                 if (missingI18n.length > 0) {
-                    log(`  zh-CN.yaml: ${missingI18n.map(m => `@${m.source}/${m.id}`).join(', ')}`, 'yellow');
-                }
-                if (missingDir.length > 0) {
-                    log(`  skills/: ${missingDir.map(m => m.path ? `${m.path}` : `@${m.source}/${m.id}`).join(', ')}`, 'yellow');
+                    log(`  ${locale}.yaml: ${missingI18n.map(m => `@${m.source}/${m.id}${m.stub ? ' (TODO)' : ''}`).join(', ')}`, 'yellow');
                 }
             }
+            if (missingDir.length > 0) {
+                log(`  skills/: ${missingDir.map(m => m.path ? `${m.path}` : `@${m.source}/${m.id}`).join(', ')}`, 'yellow');
+            }
+        }
 
-            if (orphaned.length > 0) {
-                log('⚠ Orphaned entries (in registry but not in skills/):', 'yellow');
-                for (const item of orphaned) {
-                    log(`  @${item.source}/${item.id}`, 'yellow');
-                }
+        if (orphaned.length > 0) {
+            log('⚠ Orphaned entries (in registry but not in skills/):', 'yellow');
+            for (const item of orphaned) {
+                log(`  ${item.locale ? `${item.locale}.yaml: ` : ''}@${item.source}/${item.id}`, 'yellow');
             }
-            log('');
+        }
+
+        if (empty.length > 0) {
+            log('⚠ Empty translations:', 'yellow');
+            for (const item of empty) {
+                log(`  ${item.locale}.yaml: @${item.source}/${item.id} (${item.fields.join(', ')})`, 'yellow');
+            }
+        }
+        log('');
+    } else {
+        log('  ✓ All skills registered and translated\n', 'green');
+    }
+}
+
+/**
+ * 输出带颜色的 diff
+ */
+function printDiff(diffText) {
+    for (const line of diffText.split('\n')) {
+        if (line.startsWith('+++') || line.startsWith('---')) {
+            log(line, 'dim');
+        } else if (line.startsWith('@@')) {
+            log(line, 'cyan');
+        } else if (line.startsWith('+')) {
+            log(line, 'green');
+        } else if (line.startsWith('-')) {
+            log(line, 'red');
         } else {
-            log('  ✓ All skills registered and translated\n', 'green');
+            log(line, 'dim');
         }
     }
+}
 
-    if (!shouldFix) {
-        log('Run with --fix to update documentation files.\n', 'dim');
+/**
+ * --write-index：为新发现的 skill 目录补充 index.yaml 条目
+ */
+function writeIndex(statsBySource, options) {
+    log('Updating registry index...', 'cyan');
+
+    const registryPath = options.registryPath;
+    if (!registryPath) {
+        log(`  ✗ Registry not found (set --registry, ${REGISTRY_ENV} or "registry" in skillwisp.config.json)`, 'red');
+        process.exitCode = EXIT_CODES.notFound;
         return;
     }
 
-    // 更新文档文件
-    log('Updating documentation...', 'cyan');
+    const indexPath = path.join(registryPath, 'index.yaml');
+    const content = fs.existsSync(indexPath) ? fs.readFileSync(indexPath, 'utf-8') : '';
+    const additions = planIndexEntries(statsBySource, parseIndex(indexPath));
+
+    if (additions.length === 0) {
+        log('  ✓ index.yaml already lists every skill directory\n', 'green');
+        return;
+    }
+
+    const updated = insertIndexEntries(content, additions);
+    log(`  ${additions.length} new entries: ${additions.map((entry) => entry.path).join(', ')}\n`, 'yellow');
+    printDiff(unifiedDiff(content, updated, { label: 'index.yaml' }));
+    log('');
+
+    if (options.dryRun) {
+        log('Dry run: index.yaml not written.\n', 'dim');
+        return;
+    }
+
+    fs.writeFileSync(indexPath, updated, 'utf-8');
+    log(`  ✓ Updated: ${indexPath}\n`, 'green');
+}
+
+/**
+ * --write-i18n：为缺少翻译的 skill 添加占位条目（预填英文 frontmatter，标记 TODO）
+ * 默认处理 i18n/ 下的全部语言，可用 --locale 限定
+ */
+function writeTranslations(statsBySource, broken, options) {
+    log('Scaffolding translations...', 'cyan');
 
-    const files = [README_PATH, SKILLS_MD_PATH];
+    const registryPath = options.registryPath;
+    if (!registryPath) {
+        log(`  ✗ Registry not found (set --registry, ${REGISTRY_ENV} or "registry" in skillwisp.config.json)`, 'red');
+        process.exitCode = EXIT_CODES.notFound;
+        return;
+    }
+
+    const skillByPath = {};
+    for (const [source, skills] of Object.entries(statsBySource)) {
+        for (const skill of skills) {
+            skillByPath[`@${source}/${skill.id}`] = skill;
+        }
+    }
+
+    const locales = selectLocales(registryPath, options);
+
+    // 没有 index 条目的目录没有翻译 key，需要先补 index.yaml
+    const { missing: indexMissing } = verifyTranslations(statsBySource, broken, registryPath, locales[0]);
+    const unindexed = indexMissing.filter((m) => m.type === 'index');
+    if (unindexed.length > 0) {
+        log(`  ⚠ Not in index.yaml, skipped (run --write-index first): ${unindexed.map((m) => m.path).join(', ')}`, 'yellow');
+    }
+
+    for (const locale of locales) {
+        const label = `i18n/${locale}.yaml`;
+        const i18nPath = path.join(registryPath, 'i18n', `${locale}.yaml`);
+        const { missing, orphaned } = verifyTranslations(statsBySource, broken, registryPath, locale);
+
+        const stubs = missing
+            .filter((m) => m.type === 'translation' && !m.stub)
+            .map((m) => {
+                const skill = skillByPath[m.path] || {};
+                return { source: m.source, id: m.id, name: skill.name, description: skill.description };
+            });
+        const removals = options.prune ? orphaned.filter((o) => o.type === 'translation') : [];
+
+        if (stubs.length === 0 && removals.length === 0) {
+            log(`  ✓ ${label} needs no changes`, 'green');
+            continue;
+        }
+
+        const content = fs.existsSync(i18nPath) ? fs.readFileSync(i18nPath, 'utf-8') : '';
+        const updated = scaffoldTranslations(content, stubs, removals);
+
+        log(`\n  ${label}:`, 'cyan');
+        if (stubs.length > 0) {
+            log(`  + ${stubs.length} TODO stubs: ${stubs.map((s) => `@${s.source}/${s.id}`).join(', ')}`, 'green');
+        }
+        if (removals.length > 0) {
+            log(`  - ${removals.length} orphaned entries pruned: ${removals.map((r) => `@${r.source}/${r.id}`).join(', ')}`, 'red');
+        }
+        log('');
+        printDiff(unifiedDiff(content, updated, { label }));
+        log('');
+
+        if (options.dryRun) {
+            log(`Dry run: ${label} not written.`, 'dim');
+            continue;
+        }
+
+        fs.mkdirSync(path.dirname(i18nPath), { recursive: true });
+        fs.writeFileSync(i18nPath, updated, 'utf-8');
+        log(`  ✓ Updated: ${i18nPath}`, 'green');
+    }
+
+    log('');
+}
+
+/**
+ * 转为 --json 输出的结构（路径均相对于仓库根目录）
+ */
+function toJsonReport(report, extra = {}) {
+    const rel = (file) => path.relative(ROOT_DIR, file).split(path.sep).join('/');
+
+    const sources = report.sources.map((source) => ({
+        source,
+        count: report.statsBySource[source].length,
+        skills: report.statsBySource[source].map((skill) => ({
+            id: skill.id,
+            path: rel(skill.path),
+            name: skill.name,
+            description: skill.description,
+            author: skill.author,
+            version: skill.version,
+            tags: skill.tags,
+            agents: skill.agents,
+            requires: skill.requires,
+            frontmatter: skill.frontmatter,
+            issues: skill.issues.map((issue) => ({ ...issue, file: rel(issue.file) })),
+        })),
+    }));
+
+    return {
+        totals: {
+            skills: report.totalCount,
+            sources: report.sourceCount,
+            broken: report.broken.length,
+            frontmatterIssues: report.schemaIssues.length,
+        },
+        sources,
+        broken: report.broken.map((item) => ({ source: item.source, id: item.id, dir: rel(item.dir) })),
+        registry: report.registry && {
+            path: rel(report.registry.path),
+            indexCount: report.registry.indexCount,
+            locales: report.registry.locales.map((item) => ({ ...item, file: rel(item.file) })),
+            missing: report.registry.missing,
+            orphaned: report.registry.orphaned,
+            empty: report.registry.empty,
+        },
+        docs: report.docs.map((doc) => ({
+            file: rel(doc.file),
+            exists: doc.exists,
+            wouldChange: doc.stale,
+            counts: doc.staleCounts,
+            tables: doc.staleTables,
+        })),
+        ...extra,
+    };
+}
+
+/**
+ * 读取 skillwisp.config.json 中的 "lint" 上限
+ */
+function lintLimits(config) {
+    const limits = { ...DEFAULT_LIMITS };
+    const overrides = config.lint || {};
+
+    for (const key of Object.keys(overrides)) {
+        if (!(key in DEFAULT_LIMITS)) {
+            usageError(`Unknown lint setting in ${path.basename(CONFIG_PATH)}: ${key}`);
+        }
+        if (!Number.isInteger(overrides[key]) || overrides[key] <= 0) {
+            usageError(`lint.${key} in ${path.basename(CONFIG_PATH)} must be a positive integer`);
+        }
+        limits[key] = overrides[key];
+    }
+
+    return limits;
+}
+
+/**
+ * lint 子命令：逐个 skill 检查正文与附带文件
+ */
+function runLint(options, config) {
+    const limits = lintLimits(config);
+    const { statsBySource } = collectStats();
+    const { skills, unknown } = selectSkills(statsBySource, options.targets);
+
+    if (unknown.length > 0) {
+        if (options.json) {
+            console.log(JSON.stringify({ error: 'skillNotFound', targets: unknown }, null, 2));
+        }
+        log(`✗ Skill not found: ${unknown.join(', ')}\n`, 'red');
+        process.exitCode = EXIT_CODES.notFound;
+        return;
+    }
+
+    const results = skills.map((skill) => ({ skill, findings: lintSkill(skill, limits) }));
+    const count = (severity) => results.reduce(
+        (sum, r) => sum + r.findings.filter((f) => f.severity === severity).length, 0);
+    const errors = count('error');
+    const warnings = count('warning');
+    const exitCode = errors > 0 ? EXIT_CODES.filesystem : EXIT_CODES.success;
+    process.exitCode = exitCode;
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            limits,
+            totals: { skills: results.length, errors, warnings },
+            skills: results.map(({ skill, findings }) => ({
+                source: skill.source,
+                id: skill.id,
+                path: path.relative(ROOT_DIR, path.dirname(skill.path)).split(path.sep).join('/'),
+                findings,
+            })),
+            exitCode,
+        }, null, 2));
+        return;
+    }
+
+    log('\n🔍 SkillWisp Lint\n', 'cyan');
+
+    for (const { skill, findings } of results) {
+        if (findings.length === 0) continue;
+
+        log(`@${skill.source}/${skill.id}`, 'reset');
+        for (const finding of findings) {
+            const where = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+            const mark = finding.severity === 'error' ? '✗' : '⚠';
+            log(`  ${mark} ${where}  ${finding.message} [${finding.rule}]`, finding.severity === 'error' ? 'red' : 'yellow');
+        }
+        log('');
+    }
+
+    const clean = results.filter((r) => r.findings.length === 0).length;
+    log('─'.repeat(40), 'dim');
+    log(`  ${results.length} skills checked, ${clean} clean`, 'reset');
+    log(`  ${errors} errors, ${warnings} warnings\n`, errors > 0 ? 'red' : warnings > 0 ? 'yellow' : 'green');
+}
+
+/**
+ * manifest 子命令：生成或校验 skills/manifest.json
+ */
+function runManifest(options) {
+    const rel = path.relative(ROOT_DIR, MANIFEST_PATH);
+    const { statsBySource } = collectStats();
+    const { skills } = selectSkills(statsBySource);
+    const manifest = buildManifest(skills);
+    const previous = fs.existsSync(MANIFEST_PATH) ? JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8')) : null;
+    const changes = compareManifests(previous, manifest);
+    const stale = changes.added.length + changes.removed.length + changes.changed.length > 0;
+
+    // 发布用：此时 HEAD 已包含 skill 的最新改动，commit 才是准确的
+    if (options.json && !options.check) {
+        console.log(JSON.stringify(buildManifest(skills, { commitOf: (dir) => lastCommit(ROOT_DIR, dir) }), null, 2));
+        return;
+    }
+
+    const exitCode = options.check && stale ? EXIT_CODES.filesystem : EXIT_CODES.success;
+    if (options.json) {
+        console.log(JSON.stringify({ file: rel, stale, ...changes, exitCode }, null, 2));
+        process.exitCode = exitCode;
+        return;
+    }
+
+    log('\n🔏 SkillWisp Manifest\n', 'cyan');
+    log(`  ${skills.length} skills hashed`, 'reset');
+    for (const [label, keys, color] of [['added', changes.added, 'green'], ['removed', changes.removed, 'red'], ['changed', changes.changed, 'yellow']]) {
+        if (keys.length > 0) {
+            const shown = keys.length > 10 ? [...keys.slice(0, 10), `… ${keys.length - 10} more`] : keys;
+            log(`  ${label.padEnd(8)} ${shown.join(', ')}`, color);
+        }
+    }
+    log('');
+
+    if (options.check) {
+        if (stale) {
+            log(`✗ Stale: ${rel} (run: node scripts/sync-stats.js manifest)\n`, 'red');
+        } else {
+            log(`✅ ${rel} is up to date\n`, 'green');
+        }
+        process.exitCode = exitCode;
+        return;
+    }
+
+    if (options.dryRun) {
+        log(`Dry run: ${rel} not written.\n`, 'dim');
+        return;
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+    log(`  ✓ Updated: ${rel}\n`, 'green');
+}
+
+/**
+ * provenance 子命令：列出各来源的上游信息，或与上游 clone 比较
+ */
+function runProvenance(options) {
+    const { statsBySource } = collectStats();
+    const known = fs.readdirSync(SKILLS_DIR, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && entry.name.startsWith('@'))
+        .map((entry) => entry.name.slice(1));
+
+    const unknown = options.targets.filter((target) => !/^@[^/]+$/.test(target) || !known.includes(target.slice(1)));
+    if (unknown.length > 0) {
+        if (options.json) {
+            console.log(JSON.stringify({ error: 'sourceNotFound', targets: unknown }, null, 2));
+        }
+        log(`✗ Source not found: ${unknown.join(', ')} (expected @source)\n`, 'red');
+        process.exitCode = EXIT_CODES.notFound;
+        return;
+    }
+
+    const sources = options.targets.length > 0 ? options.targets.map((t) => t.slice(1)) : sortSources(known);
+    const records = sources.map((source) => ({ source, ...readProvenance(path.join(SKILLS_DIR, `@${source}`)) }));
+    const rel = (file) => path.relative(ROOT_DIR, file).split(path.sep).join('/');
+
+    if (options.upstream) {
+        if (records.length !== 1) {
+            usageError('--upstream compares a single source, e.g. provenance @anthropic --upstream ../skills');
+        }
+        compareProvenance(records[0], statsBySource[records[0].source] || [], options);
+        return;
+    }
+
+    const invalid = records.filter((r) => !r.exists || r.issues.length > 0);
+    const exitCode = invalid.length > 0 ? EXIT_CODES.filesystem : EXIT_CODES.success;
+    process.exitCode = exitCode;
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            sources: records.map((r) => ({
+                source: r.source,
+                file: rel(r.file),
+                exists: r.exists,
+                repo: r.repo,
+                subpath: r.subpath,
+                commit: r.commit,
+                license: r.license,
+                renames: r.renames,
+                issues: r.issues,
+            })),
+            exitCode,
+        }, null, 2));
+        return;
+    }
+
+    log('\n🧭 SkillWisp Provenance\n', 'cyan');
+    for (const r of records) {
+        if (!r.exists) {
+            log(`  @${r.source.padEnd(18)} ✗ no ${PROVENANCE_FILE}`, 'red');
+            continue;
+        }
+        const commit = r.commit ? r.commit.slice(0, 12) : '(not pinned)';
+        log(`  @${r.source.padEnd(18)} ${commit.padEnd(13)} ${(r.license || '(no license)').padEnd(12)} ${r.repo}${r.subpath ? ` → ${r.subpath}` : ''}`,
+            r.commit && r.license ? 'reset' : 'yellow');
+        for (const issue of r.issues) {
+            log(`    ${rel(r.file)}:${issue.line}  ${issue.message}`, 'red');
+        }
+    }
+    log('');
+}
+
+/**
+ * provenance --upstream：比较本地镜像与上游 clone，--pin 时把 clone 的 HEAD 写入 provenance.yaml
+ */
+function compareProvenance(record, localSkills, options) {
+    const fail = (error, message) => {
+        if (options.json) {
+            console.log(JSON.stringify({ error, source: record.source }, null, 2));
+        }
+        log(`✗ ${message}\n`, 'red');
+        process.exitCode = EXIT_CODES.notFound;
+    };
+
+    const cloneDir = path.resolve(options.upstream);
+    const upstreamDir = path.join(cloneDir, record.subpath);
+    if (!record.exists || record.issues.length > 0) {
+        return fail('provenanceInvalid', `@${record.source}/${PROVENANCE_FILE} is missing or invalid (run provenance @${record.source})`);
+    }
+    if (!fs.existsSync(cloneDir)) {
+        return fail('upstreamNotFound', `Upstream clone not found: ${cloneDir}`);
+    }
+    if (!fs.existsSync(upstreamDir)) {
+        return fail('subpathNotFound', `"${record.subpath}" not found in ${cloneDir} (check subpath in ${PROVENANCE_FILE})`);
+    }
+
+    const head = headCommit(cloneDir);
+    const pinned = record.commit || null;
+    const pinnedCommit = pinned ? resolveCommit(cloneDir, pinned) : null;
+    const sincePin = pinnedCommit && head ? countCommits(cloneDir, pinnedCommit, head) : null;
+
+    // 有 pin 时与 pin 的树比较，差异都是本地改动；上游在 pin 之后的改动（pin..HEAD）单独列出。
+    // 没有 pin 或 clone 中找不到时只能与 clone 的工作区比较，两者无法区分
+    const pinnedTree = pinnedCommit ? upstreamFromGit(cloneDir, pinnedCommit, record.subpath) : null;
+    const comparison = compareWithUpstream(localSkills, pinnedTree || upstreamFromDirectory(upstreamDir), record.renames);
+    const headTree = pinnedTree && sincePin > 0 ? upstreamFromGit(cloneDir, head, record.subpath) : null;
+
+    const report = {
+        source: record.source,
+        repo: record.repo,
+        subpath: record.subpath,
+        pinned,
+        head,
+        commitsSincePin: sincePin,
+        comparedWith: pinnedTree ? 'pin' : 'worktree',
+        unchanged: comparison.unchanged.map((item) => item.id),
+        changed: comparison.changed,
+        added: comparison.added,
+        removed: comparison.removed,
+        upstreamSincePin: headTree ? compareUpstream(pinnedTree, headTree) : null,
+    };
+
+    let pinDiff = '';
+    if (options.pin) {
+        if (!head) {
+            return fail('upstreamNotGit', `${cloneDir} is not a git repository, cannot pin a commit`);
+        }
+        const content = fs.readFileSync(record.file, 'utf-8');
+        const updated = pinCommit(content, head);
+        pinDiff = unifiedDiff(content, updated, { label: `skills/@${record.source}/${PROVENANCE_FILE}` });
+        report.pin = { commit: head, written: !options.dryRun && updated !== content };
+        if (!options.dryRun) {
+            fs.writeFileSync(record.file, updated, 'utf-8');
+        }
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    log('\n🧭 SkillWisp Provenance\n', 'cyan');
+    log(`@${record.source} ← ${record.repo}${record.subpath ? ` (${record.subpath})` : ''}`, 'reset');
+    log(`  pinned    ${pinned ? pinned.slice(0, 12) : '(not recorded)'}`, pinned ? 'reset' : 'yellow');
+    if (head) {
+        const note = sincePin === null
+            ? (pinned ? ', pinned commit not found in clone' : '')
+            : `, ${sincePin} commits since pin`;
+        log(`  upstream  ${head.slice(0, 12)}${note}`, 'reset');
+    }
+    log('');
+
+    const base = pinnedTree ? 'pinned upstream' : 'upstream';
+    log(`  ✓ ${report.unchanged.length} unchanged`, 'green');
+    if (report.changed.length > 0) {
+        log(`  ~ ${report.changed.length} differ from ${base}${pinnedTree ? ' (local edits)' : ''}:`, 'yellow');
+        for (const item of report.changed) {
+            const label = item.upstream === item.id ? item.id : `${item.id} ← ${item.upstream}`;
+            log(`    ${label}`, 'yellow');
+            for (const file of item.files) {
+                const mark = { added: '+', removed: '-', modified: '~' }[file.status];
+                log(`      ${mark} ${file.path}`, 'dim');
+            }
+        }
+    }
+    if (report.added.length > 0) {
+        log(`  + ${report.added.length} not mirrored: ${report.added.map((item) => item.upstream).join(', ')}`, 'green');
+    }
+    if (report.removed.length > 0) {
+        log(`  - ${report.removed.length} not in ${base}: ${report.removed.map((item) => item.id).join(', ')}`, 'red');
+    }
+    log('');
+
+    const since = report.upstreamSincePin;
+    if (since) {
+        log(`Upstream changes since pin (${pinned.slice(0, 12)}..${head.slice(0, 12)}):`, 'cyan');
+        if (since.changed.length + since.added.length + since.removed.length === 0) {
+            log('  ✓ none in mirrored skills', 'green');
+        }
+        for (const item of since.changed) {
+            log(`  ~ ${item.upstream}`, 'yellow');
+            for (const file of item.files) {
+                const mark = { added: '+', removed: '-', modified: '~' }[file.status];
+                log(`      ${mark} ${file.path}`, 'dim');
+            }
+        }
+        if (since.added.length > 0) log(`  + new: ${since.added.join(', ')}`, 'green');
+        if (since.removed.length > 0) log(`  - removed: ${since.removed.join(', ')}`, 'red');
+        log('');
+    }
+
+    if (options.pin) {
+        if (options.dryRun) {
+            if (pinDiff) printDiff(pinDiff);
+            log(`\nDry run: ${PROVENANCE_FILE} not written.\n`, 'dim');
+        } else {
+            log(`  ✓ Pinned @${record.source} to ${head.slice(0, 12)}\n`, 'green');
+        }
+    }
+}
+
+/**
+ * licenses 子命令：许可证报告（彩色摘要、Markdown 或 JSON）
+ */
+function runLicenses(options) {
+    const { statsBySource } = collectStats();
+    const { skills, unknown } = selectSkills(statsBySource, options.targets);
+
+    if (unknown.length > 0) {
+        if (options.json) {
+            console.log(JSON.stringify({ error: 'skillNotFound', targets: unknown }, null, 2));
+        }
+        log(`✗ Skill not found: ${unknown.join(', ')}\n`, 'red');
+        process.exitCode = EXIT_CODES.notFound;
+        return;
+    }
+
+    const rel = (file) => file && path.relative(ROOT_DIR, file).split(path.sep).join('/');
+    const provenance = {};
+    const provenanceOf = (source) => {
+        if (!provenance[source]) provenance[source] = readProvenance(path.join(SKILLS_DIR, `@${source}`));
+        return provenance[source];
+    };
+
+    const entries = sortSources([...new Set(skills.map((s) => s.source))]).flatMap((source) =>
+        skills.filter((skill) => skill.source === source).map((skill) => {
+            const { repo, license } = provenanceOf(source);
+            const resolved = resolveLicense(skill, license);
+            return { source, id: skill.id, repo, relFile: rel(resolved.file), ...resolved };
+        }));
+
+    const missing = entries.filter((e) => e.category === 'missing');
+    const conflicts = entries.filter((e) => e.category === 'proprietary' || e.category === 'unknown');
+    const exitCode = missing.length + conflicts.length > 0 ? EXIT_CODES.filesystem : EXIT_CODES.success;
+    process.exitCode = exitCode;
+
+    if (options.markdown) {
+        process.stdout.write(renderLicenseMarkdown(entries));
+        return;
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            totals: {
+                skills: entries.length,
+                missing: missing.length,
+                conflicts: conflicts.length,
+                copyleft: entries.filter((e) => e.category === 'copyleft').length,
+            },
+            skills: entries.map((e) => ({
+                source: e.source,
+                id: e.id,
+                license: e.license,
+                origin: e.origin,
+                category: e.category,
+                file: e.relFile,
+                declared: e.declared,
+                upstream: e.repo || null,
+                copyright: e.copyright,
+                notes: e.notes,
+            })),
+            exitCode,
+        }, null, 2));
+        return;
+    }
+
+    log('\n⚖️  SkillWisp Licenses\n', 'cyan');
+
+    const counts = {};
+    for (const e of entries) counts[e.license || '(none)'] = (counts[e.license || '(none)'] || 0) + 1;
+    for (const [license, count] of Object.entries(counts).sort((a, b) => b[1] - a[1])) {
+        log(`  ${license.padEnd(20)} ${String(count).padStart(3)} skills`, 'reset');
+    }
+    log('');
+
+    if (missing.length > 0) {
+        log('✗ No license (no LICENSE file, frontmatter or source default):', 'red');
+        log(`  ${missing.map((e) => `@${e.source}/${e.id}`).join(', ')}\n`, 'red');
+    }
+    if (conflicts.length > 0) {
+        log('✗ Not redistributable:', 'red');
+        for (const e of conflicts) {
+            log(`  @${e.source}/${e.id}  ${e.license}${e.relFile ? ` (${e.relFile})` : ''}`, 'red');
+        }
+        log('');
+    }
+    const review = entries.filter((e) => e.notes.length > 0);
+    if (review.length > 0) {
+        log('⚠ Needs review:', 'yellow');
+        for (const e of review) {
+            log(`  @${e.source}/${e.id}  ${e.notes.join('; ')}`, 'yellow');
+        }
+        log('');
+    }
+    if (missing.length + conflicts.length === 0) {
+        log('  ✓ Every skill has a redistributable license\n', 'green');
+    }
+    log('Run with --markdown for the full report and attribution notices.\n', 'dim');
+}
+
+/**
+ * 读取 zh-CN 翻译（registry 不存在时返回不做翻译的函数）
+ */
+function loadTranslate(options, config) {
+    const registry = resolveRegistry(options, config);
+    if (!registry.exists) {
+        return { registry, translate: () => null };
+    }
+    return { registry, translate: buildReport({ registryPath: registry.path, locales: [DEFAULT_LOCALE] }).translate };
+}
+
+/**
+ * search-index 子命令：生成全文检索索引
+ */
+function runSearchIndex(options, config) {
+    const { registry, translate } = loadTranslate(options, config);
+    if (!options.output && !registry.exists) {
+        log(`✗ Registry not found: ${registry.path} (set --output, --registry, ${REGISTRY_ENV} or "registry" in ${path.basename(CONFIG_PATH)})\n`, 'red');
+        process.exitCode = EXIT_CODES.notFound;
+        return;
+    }
+
+    const output = options.output ? path.resolve(options.output) : path.join(registry.path, 'search-index.json');
+    const { statsBySource } = collectStats();
+    const index = buildSearchIndex(collectSearchDocs(statsBySource, translate));
+    const content = JSON.stringify(index) + '\n';
+
+    log('\n🔎 SkillWisp Search Index\n', 'cyan');
+    log(`  ${String(index.docs.length).padStart(6)} skills`, 'reset');
+    log(`  ${String(Object.keys(index.terms).length).padStart(6)} terms`, 'reset');
+    log(`  ${String((Buffer.byteLength(content) / 1024).toFixed(0)).padStart(6)} KB`, 'reset');
+    if (!registry.exists) {
+        log('  Registry not found, zh-CN translations not indexed', 'yellow');
+    }
+    log('');
+
+    if (options.dryRun) {
+        log(`Dry run: ${output} not written.\n`, 'dim');
+        return;
+    }
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, content, 'utf-8');
+    log(`  ✓ Updated: ${output}\n`, 'green');
+}
+
+/**
+ * search 子命令：按当前目录内容建索引并查询
+ */
+function runSearch(options, config) {
+    const { translate } = loadTranslate(options, config);
+    const { statsBySource } = collectStats();
+    const index = buildSearchIndex(collectSearchDocs(statsBySource, translate));
+    const query = options.targets.join(' ');
+    const results = searchIndex(index, query);
+
+    if (options.json) {
+        console.log(JSON.stringify({ query, results }, null, 2));
+        return;
+    }
+
+    log(`\n🔎 ${query}\n`, 'cyan');
+    if (results.length === 0) {
+        log('  No results\n', 'dim');
+        return;
+    }
+    results.forEach((result, i) => {
+        log(`  ${String(i + 1).padStart(2)}. ${result.id.padEnd(44)} ${result.score.toFixed(3)}`, i < 3 ? 'green' : 'reset');
+    });
+    log('');
+}
+
+/**
+ * overlaps 子命令：跨来源的重复与相似 skill
+ */
+function runOverlaps(options) {
+    const { statsBySource } = collectStats();
+    const { skills } = selectSkills(statsBySource);
+    const threshold = options.threshold === null ? DEFAULT_THRESHOLD : options.threshold;
+
+    const result = findOverlaps(skills.map((skill) => ({
+        id: skill.id,
+        source: skill.source,
+        name: skill.name,
+        description: skill.description,
+        body: parseFrontmatter(fs.readFileSync(skill.path, 'utf-8')).body,
+    })), { threshold });
+
+    if (options.markdown) {
+        const descriptions = {};
+        for (const skill of skills) descriptions[`@${skill.source}/${skill.id}`] = skill.description;
+        process.stdout.write(renderOverlapMarkdown(result, descriptions));
+        return;
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ threshold, ...result }, null, 2));
+        return;
+    }
+
+    log('\n🔀 SkillWisp Overlaps\n', 'cyan');
+
+    log(`Same id in several sources (${result.sameId.length}):`, 'reset');
+    for (const group of result.sameId) {
+        log(`  ${group.id.padEnd(24)} ${group.skills.join(', ')}`, 'yellow');
+    }
+    if (result.sameId.length === 0) log('  none', 'dim');
+    log('');
+
+    log(`Similar (score ≥ ${threshold}, ${result.similar.length}):`, 'reset');
+    for (const pair of result.similar) {
+        const { name, description, body } = pair.parts;
+        log(`  ${pair.score.toFixed(3)}  ${pair.a} ↔ ${pair.b}`, pair.score >= threshold * 2 ? 'yellow' : 'reset');
+        log(`         name ${name}  description ${description}  body ${body}`, 'dim');
+    }
+    if (result.similar.length === 0) log('  none', 'dim');
+    log('');
+
+    log('Run with --markdown for suggested "see also" links.\n', 'dim');
+}
+
+/**
+ * token 预算：默认值，可在 skillwisp.config.json 的 "tokens" 中覆盖
+ */
+function tokenBudget(config) {
+    const budget = { ...DEFAULT_BUDGET };
+    const overrides = config.tokens || {};
+
+    for (const key of Object.keys(overrides)) {
+        if (key === 'check') continue;
+        if (!(key in DEFAULT_BUDGET)) {
+            usageError(`Unknown tokens setting in ${path.basename(CONFIG_PATH)}: ${key}`);
+        }
+        if (!Number.isInteger(overrides[key]) || overrides[key] <= 0) {
+            usageError(`tokens.${key} in ${path.basename(CONFIG_PATH)} must be a positive integer`);
+        }
+        budget[key] = overrides[key];
+    }
+
+    return budget;
+}
+
+/**
+ * 主 --check 中超出 token 预算的处理方式：skillwisp.config.json 中 tokens.check 为 "warn"（默认）或 "error"
+ */
+function tokenCheckMode(config) {
+    const mode = (config.tokens || {}).check || 'warn';
+    if (mode !== 'warn' && mode !== 'error') {
+        usageError(`tokens.check in ${path.basename(CONFIG_PATH)} must be "warn" or "error"`);
+    }
+    return mode;
+}
+
+/**
+ * 主 --check 的 token 预算检查
+ * @returns {{ budget: object, mode: 'warn'|'error', over: Array<{ source: string, id: string, over: object[] }> }}
+ */
+function checkTokenBudget(statsBySource, config) {
+    const budget = tokenBudget(config);
+    const mode = tokenCheckMode(config);
+    const { skills } = selectSkills(statsBySource);
+    const over = skills
+        .map((skill) => ({ source: skill.source, id: skill.id, over: overBudget(measureSkill(skill), budget) }))
+        .filter((r) => r.over.length > 0);
+    return { budget, mode, over };
+}
+
+/**
+ * tokens 子命令：估算各 skill 加载到上下文中的 token 数
+ */
+function runTokens(options, config) {
+    const budget = tokenBudget(config);
+    const { statsBySource } = collectStats();
+    const { skills, unknown } = selectSkills(statsBySource, options.targets);
+
+    if (unknown.length > 0) {
+        if (options.json) {
+            console.log(JSON.stringify({ error: 'skillNotFound', targets: unknown }, null, 2));
+        }
+        log(`✗ Skill not found: ${unknown.join(', ')}\n`, 'red');
+        process.exitCode = EXIT_CODES.notFound;
+        return;
+    }
+
+    const results = skills.map((skill) => {
+        const measured = measureSkill(skill);
+        return { source: skill.source, id: skill.id, ...measured, over: overBudget(measured, budget) };
+    });
+    const over = results.filter((r) => r.over.length > 0);
+
+    const sources = sortSources([...new Set(results.map((r) => r.source))]).map((source) => {
+        const list = results.filter((r) => r.source === source);
+        const largest = list.reduce((max, r) => (r.total > max.total ? r : max), list[0]);
+        return {
+            source,
+            skills: list.length,
+            skill: list.reduce((sum, r) => sum + r.skill, 0),
+            references: list.reduce((sum, r) => sum + r.total - r.skill, 0),
+            largest: { id: largest.id, total: largest.total },
+            overBudget: list.filter((r) => r.over.length > 0).length,
+        };
+    });
+
+    const exitCode = options.check && over.length > 0 ? EXIT_CODES.filesystem : EXIT_CODES.success;
+    process.exitCode = exitCode;
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            budget,
+            sources,
+            skills: results,
+            exitCode,
+        }, null, 2));
+        return;
+    }
+
+    const k = (n) => (n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n));
+
+    log('\n🧮 SkillWisp Token Budget\n', 'cyan');
+    log(`  Budget: SKILL.md ${k(budget.skill)}, with references ${k(budget.total)} (estimated tokens)\n`, 'dim');
+
+    log(`  ${'Source'.padEnd(18)} ${'Skills'.padStart(6)} ${'SKILL.md'.padStart(9)} ${'Refs'.padStart(8)}  Largest`, 'reset');
+    for (const s of sources) {
+        const line = `  ${`@${s.source}`.padEnd(18)} ${String(s.skills).padStart(6)} ${k(s.skill).padStart(9)} ${k(s.references).padStart(8)}  ${s.largest.id} (${k(s.largest.total)})`;
+        log(line, s.overBudget > 0 ? 'yellow' : 'reset');
+    }
+    log('');
+
+    if (over.length > 0) {
+        const mark = options.check ? '✗' : '⚠';
+        const color = options.check ? 'red' : 'yellow';
+        log(`${mark} Over budget:`, color);
+        for (const r of over) {
+            const detail = r.over.map((o) => `${o.kind === 'skill' ? 'SKILL.md' : 'with references'} ${k(o.tokens)} > ${k(o.budget)}`).join(', ');
+            log(`  @${r.source}/${r.id}  ${detail}`, color);
+            if (r.over.some((o) => o.kind === 'total')) {
+                for (const ref of r.references.slice(0, 3)) log(`      ${ref.file} ${k(ref.tokens)}`, 'dim');
+            }
+        }
+        log('');
+    } else {
+        log('  ✓ All skills within budget\n', 'green');
+    }
+}
+
+/**
+ * resolve 子命令：短名称解析表与 id 可安装性检查
+ */
+function runResolve(options) {
+    const { statsBySource } = collectStats();
+    const { skills } = selectSkills(statsBySource);
+    const rel = (file) => path.relative(ROOT_DIR, file).split(path.sep).join('/');
+
+    if (options.targets.length > 0) {
+        const table = buildResolutionTable(skills);
+        const results = options.targets.map((target) => ({ target, ...resolveTarget(table, target) }));
+        const exitCode = results.every((r) => r.status === 'ok') ? EXIT_CODES.success : EXIT_CODES.notFound;
+        process.exitCode = exitCode;
+
+        if (options.json) {
+            console.log(JSON.stringify({ results, exitCode }, null, 2));
+            return;
+        }
+        log('');
+        for (const r of results) {
+            if (r.status === 'ok') {
+                log(`  ✓ ${r.target.padEnd(28)} → ${r.skill}`, 'green');
+            } else if (r.status === 'ambiguous') {
+                log(`  ✗ ${r.target.padEnd(28)} ambiguous: ${r.candidates.join(', ')}`, 'red');
+            } else {
+                log(`  ✗ ${r.target.padEnd(28)} not found`, 'red');
+            }
+        }
+        log('');
+        return;
+    }
+
+    const docs = [README_PATH, SKILLS_MD_PATH]
+        .filter((file) => fs.existsSync(file))
+        .map((file) => ({ file: rel(file), content: fs.readFileSync(file, 'utf-8') }));
+    const { table, findings } = checkIds(skills, docs);
+    const errors = findings.filter((f) => f.severity === 'error');
+    const exitCode = errors.length > 0 ? EXIT_CODES.filesystem : EXIT_CODES.success;
+    process.exitCode = exitCode;
+
+    if (options.json) {
+        console.log(JSON.stringify({ table, findings, exitCode }, null, 2));
+        return;
+    }
+
+    log('\n🧭 SkillWisp Short Names\n', 'cyan');
+    const ambiguous = table.filter((e) => !e.resolves);
+    log(`  ${table.length} short names, ${table.length - ambiguous.length} unique, ${ambiguous.length} ambiguous\n`, 'reset');
+    for (const entry of ambiguous) {
+        log(`  ⚠ ${entry.name.padEnd(24)} ${entry.candidates.join(', ')}`, 'yellow');
+    }
+    if (ambiguous.length > 0) log('');
+
+    for (const finding of findings.filter((f) => f.rule !== 'ambiguous')) {
+        const where = finding.file ? `${finding.file}:${finding.line}` : finding.skill;
+        log(`  ✗ ${where}  ${finding.message} [${finding.rule}]`, 'red');
+    }
+    if (errors.length > 0) {
+        log(`\n✗ ${errors.length} errors\n`, 'red');
+    } else {
+        log('  ✓ Every id is installable and the install snippets match their links\n', 'green');
+    }
+}
+
+/**
+ * links 子命令：检查文档表格中的链接和安装命令
+ */
+function runLinks(options) {
+    const { statsBySource } = collectStats();
+    const { skills } = selectSkills(statsBySource);
+    const table = buildResolutionTable(skills);
+    const renames = {};
+    for (const source of Object.keys(statsBySource)) {
+        renames[source] = readProvenance(path.join(SKILLS_DIR, `@${source}`)).renames;
+    }
+    const context = { skills, renames, resolve: (target) => resolveTarget(table, target) };
+    const rel = (file) => path.relative(ROOT_DIR, file).split(path.sep).join('/');
+
+    const results = [README_PATH, SKILLS_MD_PATH].filter((file) => fs.existsSync(file)).map((file) => {
+        const content = fs.readFileSync(file, 'utf-8');
+        const problems = checkDocTables(file, content, context);
+        const fixable = problems.filter((p) => p.fix);
+        let fixed = false;
+        if (options.fix && fixable.length > 0) {
+            fs.writeFileSync(file, applyFixes(content, problems), 'utf-8');
+            fixed = true;
+        }
+        return { file: rel(file), problems, fixed };
+    });
+
+    const remaining = results.reduce((sum, r) => sum + r.problems.filter((p) => !(options.fix && p.fix)).length, 0);
+    const exitCode = remaining > 0 ? EXIT_CODES.filesystem : EXIT_CODES.success;
+    process.exitCode = exitCode;
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            files: results.map(({ file, problems, fixed }) => ({ file, fixed, problems })),
+            exitCode,
+        }, null, 2));
+        return;
+    }
+
+    log('\n🔗 SkillWisp Doc Links\n', 'cyan');
+    for (const { file, problems } of results) {
+        for (const problem of problems) {
+            const applied = options.fix && problem.fix;
+            const color = applied ? 'green' : 'red';
+            const suffix = problem.fix ? `  → ${problem.fix}${applied ? '' : ' (--fix)'}` : '';
+            log(`  ${applied ? '✓' : '✗'} ${file}:${problem.line}  ${problem.message}${suffix}`, color);
+        }
+    }
+
+    const total = results.reduce((sum, r) => sum + r.problems.length, 0);
+    if (total === 0) {
+        log('  ✓ All table links and install commands are valid\n', 'green');
+        return;
+    }
+    log('');
+    for (const r of results.filter((item) => item.fixed)) {
+        log(`  ✓ Updated: ${r.file}`, 'green');
+    }
+    if (remaining > 0) {
+        const fixable = results.reduce((sum, r) => sum + r.problems.filter((p) => p.fix).length, 0);
+        const hint = !options.fix && fixable > 0 ? ` (${fixable} fixable with --fix)` : '';
+        log(`✗ ${remaining} problems${hint}\n`, 'red');
+    } else {
+        log('');
+    }
+}
+
+/**
+ * 读取对比基准：已保存的快照文件，否则按 git ref 处理
+ * @returns {{ snapshot: object|null, error: string|null, exitCode: number }}
+ */
+function loadSnapshot(from) {
+    if (fs.existsSync(from) && fs.statSync(from).isFile()) {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(from, 'utf-8'));
+        } catch (e) {
+            return { snapshot: null, error: `Invalid snapshot ${from}: ${e.message}`, exitCode: EXIT_CODES.filesystem };
+        }
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || typeof snapshot.skills !== 'object') {
+            return { snapshot: null, error: `Invalid snapshot ${from}: expected version ${SNAPSHOT_VERSION} with "skills"`, exitCode: EXIT_CODES.filesystem };
+        }
+        return { snapshot, error: null, exitCode: EXIT_CODES.success };
+    }
+
+    const commit = resolveCommit(ROOT_DIR, from);
+    if (!commit) {
+        return { snapshot: null, error: `Not a snapshot file or git ref: ${from}`, exitCode: EXIT_CODES.notFound };
+    }
+    const skillsPath = path.relative(ROOT_DIR, SKILLS_DIR).split(path.sep).join('/');
+    return { snapshot: snapshotFromGit(ROOT_DIR, commit, skillsPath), error: null, exitCode: EXIT_CODES.success };
+}
+
+/**
+ * changelog 子命令：与 git ref 或保存的快照比较，输出 Markdown 更新日志
+ */
+function runChangelog(options) {
+    const { statsBySource } = collectStats();
+    const current = snapshotFromSkills(selectSkills(statsBySource).skills);
+
+    if (options.save) {
+        const target = path.resolve(options.save);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, JSON.stringify(current, null, 2) + '\n', 'utf-8');
+        log(`\n  ✓ Saved snapshot of ${Object.keys(current.skills).length} skills: ${options.save}\n`, 'green');
+        return;
+    }
+
+    const { snapshot, error, exitCode } = loadSnapshot(options.from);
+    if (error) {
+        if (options.json) {
+            console.log(JSON.stringify({ error: exitCode === EXIT_CODES.notFound ? 'snapshotNotFound' : 'invalidSnapshot', from: options.from }, null, 2));
+        }
+        log(`✗ ${error}\n`, 'red');
+        process.exitCode = exitCode;
+        return;
+    }
+
+    const changes = compareSnapshots(snapshot, current);
+    if (options.json) {
+        console.log(JSON.stringify({ from: options.from, sources: changes }, null, 2));
+        return;
+    }
+    process.stdout.write(renderChangelogMarkdown(changes, { from: options.from }));
+}
+
+/**
+ * 读取全部语言的翻译，跳过 --write-i18n 生成的英文占位条目
+ * @returns {(source: string, id: string, skill: object) => Object<string, { name: string, description: string }>}
+ */
+function loadAllTranslations(registryPath) {
+    const byPath = parseIndex(path.join(registryPath, 'index.yaml')).byPath || {};
+    const locales = listLocales(registryPath).map((locale) => ({
+        locale,
+        translations: readTranslations(path.join(registryPath, 'i18n', `${locale}.yaml`)),
+    }));
+
+    return (source, id, skill) => {
+        const entry = byPath[`@${source}/${id}`];
+        const result = {};
+        if (!entry) return result;
+        for (const { locale, translations } of locales) {
+            const fields = translations[source] && translations[source][entry.id];
+            if (isUntranslated(fields, skill)) continue;
+            result[locale] = { name: fields.name || skill.name, description: fields.description };
+        }
+        return result;
+    };
+}
+
+/**
+ * export 子命令：导出网站使用的静态数据
+ */
+function runExport(options, config) {
+    const registry = resolveRegistry(options, config);
+    const translationsOf = registry.exists ? loadAllTranslations(registry.path) : () => ({});
+    const output = options.output ? path.resolve(options.output) : SITE_DATA_PATH;
+    const rel = (file) => {
+        const relative = path.relative(ROOT_DIR, file);
+        return relative.startsWith('..') ? file : relative.split(path.sep).join('/');
+    };
+
+    const { statsBySource } = collectStats();
+    const { skills } = selectSkills(statsBySource);
+    const manifest = fs.existsSync(MANIFEST_PATH) ? JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8')) : { skills: {} };
+    const provenance = {};
+    for (const source of Object.keys(statsBySource)) {
+        provenance[source] = readProvenance(path.join(SKILLS_DIR, `@${source}`));
+    }
+
+    const files = {};
+    for (const skill of skills) {
+        const fullId = `@${skill.source}/${skill.id}`;
+        const dir = path.dirname(skill.path);
+        const page = buildSkillPage(skill, {
+            body: parseFrontmatter(fs.readFileSync(skill.path, 'utf-8')).body,
+            files: walkFiles(dir),
+            provenance: provenance[skill.source],
+            sourceInfo: sourceInfo(skill.source),
+            translations: translationsOf(skill.source, skill.id, skill),
+            license: resolveLicense(skill, provenance[skill.source].license).license,
+            hash: manifest.skills[fullId] ? manifest.skills[fullId].hash : null,
+        });
+        files[path.join('skills', `@${skill.source}`, `${skill.id}.json`)] = JSON.stringify(page, null, 2) + '\n';
+    }
+
+    const sources = sortSources(Object.keys(statsBySource)).map((source) => {
+        const { title, url } = sourceInfo(source);
+        const { repo, commit, license } = provenance[source];
+        const list = skills.filter((skill) => skill.source === source);
+        return {
+            source,
+            title,
+            url: url || null,
+            repo: repo || null,
+            commit: commit || null,
+            license: license || null,
+            count: list.length,
+            skills: list.map((skill) => ({
+                id: skill.id,
+                name: skill.name,
+                description: skill.description,
+                translations: translationsOf(source, skill.id, skill),
+            })),
+        };
+    });
+    files['sources.json'] = JSON.stringify({ version: 1, total: skills.length, sources }, null, 2) + '\n';
+
+    const { homepage } = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf-8'));
+    const pages = ['/', ...sources.map((s) => `/sources/@${s.source}`), ...skills.map((s) => `/skills/@${s.source}/${s.id}`)];
+    files['sitemap.xml'] = buildSitemap(homepage, pages);
+
+    // 删除已不存在的 skill 留下的页面（只处理 skills/ 下的 .json）
+    const written = new Set(Object.keys(files).map((file) => path.join(output, file)));
+    const stale = [];
+    const skillsOut = path.join(output, 'skills');
+    if (fs.existsSync(skillsOut)) {
+        for (const { abs } of walkFiles(skillsOut)) {
+            if (abs.endsWith('.json') && !written.has(abs)) stale.push(abs);
+        }
+    }
+
+    if (!options.dryRun) {
+        for (const [file, content] of Object.entries(files)) {
+            const target = path.join(output, file);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, content, 'utf-8');
+        }
+        stale.forEach((file) => fs.unlinkSync(file));
+    }
+
+    const bytes = Object.values(files).reduce((sum, content) => sum + Buffer.byteLength(content), 0);
+    if (options.json) {
+        console.log(JSON.stringify({
+            output: rel(output),
+            dryRun: options.dryRun,
+            skills: skills.length,
+            sources: sources.length,
+            translated: registry.exists,
+            files: Object.keys(files).length,
+            bytes,
+            removed: stale.map((file) => rel(file)),
+        }, null, 2));
+        return;
+    }
+
+    log('\n🌐 SkillWisp Website Data\n', 'cyan');
+    log(`  ${String(skills.length).padStart(6)} skill pages`, 'reset');
+    log(`  ${String(sources.length).padStart(6)} sources`, 'reset');
+    log(`  ${String((bytes / 1024).toFixed(0)).padStart(6)} KB`, 'reset');
+    if (!registry.exists) {
+        log('  Registry not found, translations not exported', 'yellow');
+    }
+    if (stale.length > 0) {
+        log(`  ${String(stale.length).padStart(6)} stale pages ${options.dryRun ? 'to remove' : 'removed'}`, 'yellow');
+    }
+    log('');
+
+    if (options.dryRun) {
+        log(`Dry run: ${rel(output)} not written.\n`, 'dim');
+        return;
+    }
+    log(`  ✓ Written: ${rel(output)}\n`, 'green');
+}
+
+/**
+ * 主函数
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.json) {
+        // JSON 模式只输出一个文档，屏蔽彩色日志
+        quiet = true;
+    }
+
+    if (options.command === 'lint') {
+        runLint(options, readConfig());
+        return;
+    }
+    if (options.command === 'manifest') {
+        runManifest(options);
+        return;
+    }
+    if (options.command === 'provenance') {
+        runProvenance(options);
+        return;
+    }
+    if (options.command === 'licenses') {
+        runLicenses(options);
+        return;
+    }
+    if (options.command === 'search-index') {
+        runSearchIndex(options, readConfig());
+        return;
+    }
+    if (options.command === 'search') {
+        runSearch(options, readConfig());
+        return;
+    }
+    if (options.command === 'overlaps') {
+        runOverlaps(options);
+        return;
+    }
+    if (options.command === 'tokens') {
+        runTokens(options, readConfig());
+        return;
+    }
+    if (options.command === 'resolve') {
+        runResolve(options);
+        return;
+    }
+    if (options.command === 'links') {
+        runLinks(options);
+        return;
+    }
+    if (options.command === 'changelog') {
+        runChangelog(options);
+        return;
+    }
+    if (options.command === 'export') {
+        runExport(options, readConfig());
+        return;
+    }
+
+    log('\n📊 SkillWisp Stats Sync\n', 'cyan');
+
+    // 显式指定的 registry 或 --i18n / --all 要求的 registry 不存在时直接失败，不再静默跳过
+    const registry = resolveRegistry(options, readConfig());
+    if (!registry.exists) {
+        const required = options.checkI18n || options.writeIndex || options.writeI18n;
+        if (registry.origin !== 'default' || required) {
+            const hint = registry.origin === 'default'
+                ? ` (set --registry, ${REGISTRY_ENV} or "registry" in ${path.basename(CONFIG_PATH)})`
+                : ` (from ${registry.origin})`;
+            if (options.json) {
+                console.log(JSON.stringify({ error: 'registryNotFound', registry: registry.path, origin: registry.origin }, null, 2));
+            }
+            log(`✗ Registry not found: ${registry.path}${hint}\n`, 'red');
+            process.exitCode = EXIT_CODES.notFound;
+            return;
+        }
+        log(`Registry not found at ${registry.path}, skipping registry checks.\n`, 'dim');
+    }
+    options.registryPath = registry.exists ? registry.path : null;
+
+    const report = buildReport(options);
+    if (options.check) {
+        report.tokens = checkTokenBudget(report.statsBySource, readConfig());
+    }
+
+    if (options.json) {
+        const extra = {};
+        if (options.fix) {
+            extra.updated = report.docs
+                .filter((doc) => syncDocFile(doc.file, report))
+                .map((doc) => path.relative(ROOT_DIR, doc.file).split(path.sep).join('/'));
+        }
+        if (options.check) {
+            extra.tokens = report.tokens;
+            extra.exitCode = checkExitCode(report);
+            process.exitCode = extra.exitCode;
+        }
+        console.log(JSON.stringify(toJsonReport(report, extra), null, 2));
+        return;
+    }
+
+    printReport(report);
+
+    if (options.writeIndex || options.writeI18n) {
+        if (options.writeIndex) {
+            writeIndex(report.statsBySource, options);
+        }
+        if (options.writeI18n) {
+            writeTranslations(report.statsBySource, report.broken, options);
+        }
+        if (!options.fix) return;
+    }
+
+    if (options.check) {
+        for (const doc of report.docs.filter((d) => d.stale)) {
+            const what = [doc.staleCounts && 'counts', doc.staleTables && 'tables'].filter(Boolean).join(' and ');
+            log(`✗ Stale ${what}: ${path.relative(ROOT_DIR, doc.file)} (run with --fix)`, 'red');
+        }
+
+        const { tokens } = report;
+        if (tokens.over.length > 0) {
+            const [mark, color] = tokens.mode === 'error' ? ['✗', 'red'] : ['⚠', 'yellow'];
+            log(`${mark} Over token budget (SKILL.md ${tokens.budget.skill}, with references ${tokens.budget.total}; see: node scripts/sync-stats.js tokens):`, color);
+            for (const r of tokens.over) {
+                const detail = r.over.map((o) => `${o.kind === 'skill' ? 'SKILL.md' : 'with references'} ${o.tokens}`).join(', ');
+                log(`  @${r.source}/${r.id}  ${detail}`, color);
+            }
+            log('');
+        }
+
+        const exitCode = checkExitCode(report);
+        if (exitCode === EXIT_CODES.success) {
+            log('✅ Check passed\n', 'green');
+        } else {
+            log(`\n✗ Check failed (exit ${exitCode})\n`, 'red');
+        }
+        process.exitCode = exitCode;
+        return;
+    }
+
+    if (!options.fix) {
+        log('Run with --fix to update documentation files.\n', 'dim');
+        return;
+    }
+
+    // 更新文档文件
+    log('Updating documentation...', 'cyan');
 
-    for (const file of files) {
+    for (const { file } of report.docs) {
         const relativePath = path.relative(ROOT_DIR, file);
-        const updated = updateStatsInFile(file, totalCount, sourceCount);
+        const updated = syncDocFile(file, report);
 
         if (updated) {
             log(`  ✓ Updated: ${relativePath}`, 'green');
@@ -0,0 +1,196 @@
+/**
+ * changelog.js 的测试：在临时目录中构造 skill，比较工作区、保存的快照与 git ref 的快照
+ *
+ *   npm run test:scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { snapshotFromSkills, snapshotFromGit, compareSnapshots, renderChangelogMarkdown } = require('../lib/changelog');
+
+const BOILERPLATE = 'Describe what this skill does and when to use it.';
+
+const PDF_FILES = {
+    'forms.md': '# Filling PDF forms\n',
+    'scripts/fill.py': 'print("fill")\n',
+};
+
+function skillMd(name, description, body) {
+    return `---\nname: ${name}\ndescription: ${description}\n---\n\n${body}\n`;
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillwisp-changelog-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * 在 root/@source/id 下写入 skill 文件
+ * @param {Object<string, Object<string, string>>} skills - "@source/id" -> { 相对路径: 内容 }
+ */
+function writeSkills(root, skills) {
+    fs.rmSync(root, { recursive: true, force: true });
+    for (const [key, files] of Object.entries(skills)) {
+        for (const [file, content] of Object.entries(files)) {
+            const abs = path.join(root, key, file);
+            fs.mkdirSync(path.dirname(abs), { recursive: true });
+            fs.writeFileSync(abs, content);
+        }
+    }
+}
+
+/**
+ * 按 selectSkills() 的结构列出 root 下的 skill 并生成工作区快照
+ */
+function snapshotOf(root) {
+    const skills = [];
+    for (const sourceDir of fs.readdirSync(root).sort()) {
+        for (const id of fs.readdirSync(path.join(root, sourceDir)).sort()) {
+            skills.push({ source: sourceDir.slice(1), id, path: path.join(root, sourceDir, id, 'SKILL.md') });
+        }
+    }
+    return snapshotFromSkills(skills);
+}
+
+function compareTrees(t, beforeSkills, afterSkills) {
+    const root = path.join(tempDir(t), 'skills');
+    writeSkills(root, beforeSkills);
+    const previous = snapshotOf(root);
+    writeSkills(root, afterSkills);
+    return { previous, current: snapshotOf(root) };
+}
+
+function noChanges() {
+    return { added: [], removed: [], renamed: [], described: [], changed: [] };
+}
+
+test('a renamed directory whose SKILL.md only changes its name is a rename', (t) => {
+    const { previous, current } = compareTrees(t, {
+        '@anthropic/pdf': { 'SKILL.md': skillMd('pdf', 'Work with PDF files.', '# PDF'), ...PDF_FILES },
+    }, {
+        '@anthropic/pdf-tools': { 'SKILL.md': skillMd('pdf-tools', 'Work with PDF files.', '# PDF'), ...PDF_FILES },
+    });
+
+    assert.deepStrictEqual(compareSnapshots(previous, current), {
+        anthropic: { ...noChanges(), renamed: [{ from: 'pdf', to: 'pdf-tools' }] },
+    });
+});
+
+test('a rename with edits keeps the same description and lists the changed files', (t) => {
+    const { previous, current } = compareTrees(t, {
+        '@anthropic/pdf': { 'SKILL.md': skillMd('pdf', 'Work with PDF files.', '# PDF'), ...PDF_FILES },
+    }, {
+        '@anthropic/pdf-tools': {
+            'SKILL.md': skillMd('pdf-tools', 'Work with PDF files.', '# PDF tools'),
+            'forms.md': '# Filling and flattening PDF forms\n',
+            'scripts/fill.py': PDF_FILES['scripts/fill.py'],
+            'scripts/merge.py': 'print("merge")\n',
+        },
+    });
+
+    assert.deepStrictEqual(compareSnapshots(previous, current), {
+        anthropic: {
+            ...noChanges(),
+            renamed: [{ from: 'pdf', to: 'pdf-tools' }],
+            changed: [{
+                id: 'pdf-tools',
+                files: [
+                    { path: 'SKILL.md', status: 'modified' },
+                    { path: 'forms.md', status: 'modified' },
+                    { path: 'scripts/merge.py', status: 'added' },
+                ],
+            }],
+        },
+    });
+});
+
+test('an add and a remove sharing a boilerplate description are not a rename', (t) => {
+    const { previous, current } = compareTrees(t, {
+        '@anthropic/old-skill': { 'SKILL.md': skillMd('old-skill', BOILERPLATE, '# Old'), 'notes.md': 'old\n' },
+    }, {
+        '@anthropic/new-skill': { 'SKILL.md': skillMd('new-skill', BOILERPLATE, '# New'), 'guide.md': 'new\n' },
+    });
+
+    assert.deepStrictEqual(compareSnapshots(previous, current), {
+        anthropic: {
+            ...noChanges(),
+            added: [{ id: 'new-skill', description: BOILERPLATE }],
+            removed: [{ id: 'old-skill' }],
+        },
+    });
+});
+
+test('renames are only matched within the same source', (t) => {
+    const files = { 'SKILL.md': skillMd('pdf', 'Work with PDF files.', '# PDF'), ...PDF_FILES };
+    const { previous, current } = compareTrees(t, { '@anthropic/pdf': files }, { '@openai/pdf': files });
+    const changes = compareSnapshots(previous, current);
+
+    assert.deepStrictEqual(changes.anthropic.removed, [{ id: 'pdf' }]);
+    assert.deepStrictEqual(changes.openai.added, [{ id: 'pdf', description: 'Work with PDF files.' }]);
+});
+
+test('saved snapshots compare like live ones, including snapshots without content', (t) => {
+    const { previous, current } = compareTrees(t, {
+        '@anthropic/pdf': { 'SKILL.md': skillMd('pdf', 'Work with PDF files.', '# PDF'), ...PDF_FILES },
+        '@anthropic/docx': { 'SKILL.md': skillMd('docx', 'Word documents.', '# DOCX') },
+    }, {
+        '@anthropic/pdf-tools': { 'SKILL.md': skillMd('pdf-tools', 'Work with PDF files.', '# PDF'), ...PDF_FILES },
+        '@anthropic/docx': { 'SKILL.md': skillMd('docx', 'Create and edit Word documents.', '# DOCX') },
+    });
+
+    // changelog --save 写出的 JSON
+    const saved = JSON.parse(JSON.stringify(previous));
+    const changes = compareSnapshots(saved, current);
+    assert.deepStrictEqual(changes.anthropic.renamed, [{ from: 'pdf', to: 'pdf-tools' }]);
+    assert.deepStrictEqual(changes.anthropic.described, [{ id: 'docx', before: 'Word documents.', after: 'Create and edit Word documents.' }]);
+    assert.deepStrictEqual(changes.anthropic.changed, []);
+
+    // 没有 content 字段的旧快照按原文件比较：仍是重命名，SKILL.md 记为修改
+    for (const skill of Object.values(saved.skills)) delete skill.content;
+    const legacy = compareSnapshots(saved, current);
+    assert.deepStrictEqual(legacy.anthropic.renamed, [{ from: 'pdf', to: 'pdf-tools' }]);
+    assert.deepStrictEqual(legacy.anthropic.changed, [{ id: 'pdf-tools', files: [{ path: 'SKILL.md', status: 'modified' }] }]);
+
+    const markdown = renderChangelogMarkdown(changes, { from: 'snapshot.json' });
+    assert.match(markdown, /### 重命名\n\n- `@anthropic\/pdf` → `@anthropic\/pdf-tools`\n/);
+    assert.match(markdown, /### 描述变更\n\n- `@anthropic\/docx`：Word documents\. → Create and edit Word documents\.\n/);
+});
+
+test('a git ref snapshot matches the working tree it was committed from', (t) => {
+    const repo = tempDir(t);
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+        cwd: repo,
+        stdio: ['ignore', 'pipe', 'ignore'],
+    });
+    const root = path.join(repo, 'skills');
+
+    writeSkills(root, {
+        '@anthropic/pdf': { 'SKILL.md': skillMd('pdf', 'Work with PDF files.', '# PDF'), ...PDF_FILES },
+        '@anthropic/old-skill': { 'SKILL.md': skillMd('old-skill', BOILERPLATE, '# Old') },
+    });
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'skills');
+
+    assert.deepStrictEqual(snapshotFromGit(repo, 'HEAD'), snapshotOf(root));
+    assert.strictEqual(snapshotFromGit(repo, 'no-such-ref'), null);
+
+    writeSkills(root, {
+        '@anthropic/pdf-tools': { 'SKILL.md': skillMd('pdf-tools', 'Work with PDF files.', '# PDF'), ...PDF_FILES },
+        '@anthropic/new-skill': { 'SKILL.md': skillMd('new-skill', BOILERPLATE, '# New') },
+    });
+
+    assert.deepStrictEqual(compareSnapshots(snapshotFromGit(repo, 'HEAD'), snapshotOf(root)), {
+        anthropic: {
+            ...noChanges(),
+            added: [{ id: 'new-skill', description: BOILERPLATE }],
+            removed: [{ id: 'old-skill' }],
+            renamed: [{ from: 'pdf', to: 'pdf-tools' }],
+        },
+    });
+});
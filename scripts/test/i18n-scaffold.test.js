@@ -0,0 +1,132 @@
+/**
+ * i18n-scaffold.js 的测试：读取翻译文件，在 fixtures/registry/i18n/zh-CN.yaml 上添加占位条目与删除孤儿条目
+ *
+ *   npm run test:scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseTranslations, scaffoldTranslations, isUntranslated } = require('../lib/i18n-scaffold');
+
+const ZH_CN_FIXTURE = path.join(__dirname, 'fixtures', 'registry', 'i18n', 'zh-CN.yaml');
+
+// fixtures/registry/index.yaml 中还没有翻译的条目，以及另一个来源的新条目
+const STUBS = [
+    { source: 'anthropic', id: 'docx', name: 'docx', description: 'Word documents: create & edit.' },
+    { source: 'openai', id: 'openai-pdf', name: 'pdf', description: 'Read PDFs' },
+];
+
+const ZH_CN = `# zh-CN 翻译
+skills:
+  anthropic:
+    pdf:
+      name: PDF 处理
+      description: >
+        提取文本和表格，
+        合并与拆分 PDF 文档
+    pptx:
+      # TODO: translate
+      name: pptx
+      description: "Presentation creation: editing and analysis."
+  vercel:
+    claude.ai:
+      name: Claude 部署
+      description: |-
+        部署到 Vercel
+    empty:
+      name: 空
+      description:
+`;
+
+test('block and folded descriptions are read in full', () => {
+    const translations = parseTranslations(ZH_CN);
+    assert.strictEqual(translations.anthropic.pdf.description, '提取文本和表格， 合并与拆分 PDF 文档');
+    assert.strictEqual(translations.vercel['claude.ai'].description, '部署到 Vercel');
+    assert.strictEqual(isUntranslated(translations.anthropic.pdf, { description: 'Extract text and tables.' }), false);
+});
+
+test('entries with the TODO marker are stubs', () => {
+    const translations = parseTranslations(ZH_CN);
+    assert.deepStrictEqual(translations.anthropic.pptx, {
+        name: 'pptx',
+        description: 'Presentation creation: editing and analysis.',
+        stub: true,
+    });
+    assert.strictEqual(translations.anthropic.pdf.stub, undefined);
+    assert.strictEqual(isUntranslated(translations.anthropic.pptx, { description: 'Other' }), true);
+});
+
+test('empty values are empty strings', () => {
+    assert.deepStrictEqual(parseTranslations(ZH_CN).vercel.empty, { name: '空', description: '' });
+});
+
+test('CRLF files and files without entries', () => {
+    const translations = parseTranslations(ZH_CN.replace(/\n/g, '\r\n'));
+    assert.strictEqual(translations.anthropic.pptx.stub, true);
+    assert.strictEqual(translations.anthropic.pdf.description, '提取文本和表格， 合并与拆分 PDF 文档');
+    assert.deepStrictEqual(parseTranslations(''), {});
+    assert.deepStrictEqual(parseTranslations('skills:\n'), {});
+});
+
+test('stubs go after the last entry of their source and new sources are appended', () => {
+    const content = fs.readFileSync(ZH_CN_FIXTURE, 'utf-8');
+    const updated = scaffoldTranslations(content, STUBS);
+
+    // 已有内容（含注释和折叠的描述）原样保留
+    assert.ok(updated.startsWith(content.slice(0, content.indexOf('  ghost:'))));
+    assert.strictEqual(updated.slice(content.indexOf('  ghost:') - 1), `
+    docx:
+      # TODO: translate
+      name: docx
+      description: "Word documents: create & edit."
+  ghost:
+    old:
+      name: 孤儿
+      description: 整个来源都已删除
+  openai:
+    openai-pdf:
+      # TODO: translate
+      name: pdf
+      description: Read PDFs
+`);
+
+    const translations = parseTranslations(updated);
+    assert.strictEqual(translations.anthropic.docx.stub, true);
+    assert.strictEqual(translations.anthropic.docx.description, 'Word documents: create & edit.');
+    assert.strictEqual(translations.anthropic.pdf.description, '提取文本和表格， 合并与拆分 PDF 文档');
+    assert.strictEqual(translations.anthropic.pdf.stub, undefined);
+});
+
+test('pruning removes orphaned entries and sources left empty', () => {
+    const content = fs.readFileSync(ZH_CN_FIXTURE, 'utf-8');
+    const removals = [{ source: 'anthropic', id: 'retired' }, { source: 'ghost', id: 'old' }, { source: 'vercel', id: 'none' }];
+    const updated = scaffoldTranslations(content, STUBS, removals);
+
+    assert.deepStrictEqual(Object.keys(parseTranslations(updated)), ['anthropic', 'openai']);
+    assert.deepStrictEqual(Object.keys(parseTranslations(updated).anthropic), ['pdf', 'docx']);
+    assert.match(updated, /# 人工翻译，--write-i18n 不应改动\n    pdf:\n/);
+    assert.doesNotMatch(updated, /retired|ghost|孤儿/);
+});
+
+test('a source keeps its line when it only loses entries but gains stubs', () => {
+    const content = fs.readFileSync(ZH_CN_FIXTURE, 'utf-8');
+    const removals = [{ source: 'anthropic', id: 'pdf' }, { source: 'anthropic', id: 'retired' }];
+
+    const emptied = parseTranslations(scaffoldTranslations(content, [], removals));
+    assert.deepStrictEqual(Object.keys(emptied), ['ghost']);
+
+    const refilled = parseTranslations(scaffoldTranslations(content, STUBS.slice(0, 1), removals));
+    assert.deepStrictEqual(Object.keys(refilled.anthropic), ['docx']);
+});
+
+test('a missing translation file starts from a skills key', () => {
+    assert.strictEqual(scaffoldTranslations('', STUBS.slice(1)), `skills:
+  openai:
+    openai-pdf:
+      # TODO: translate
+      name: pdf
+      description: Read PDFs
+`);
+});
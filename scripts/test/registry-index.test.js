@@ -0,0 +1,113 @@
+/**
+ * registry-index.js 的测试：用 fixtures/skills 与 fixtures/registry/index.yaml 规划并插入新条目
+ *
+ *   npm run test:scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('../lib/frontmatter');
+const { parseYaml } = require('../lib/yaml');
+const { planIndexEntries, insertIndexEntries } = require('../lib/registry-index');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const INDEX_FIXTURE = path.join(FIXTURES_DIR, 'registry', 'index.yaml');
+
+/**
+ * 按 collectStats() 的结构读取 fixtures/skills/@source/id/SKILL.md
+ */
+function fixtureStats() {
+    const skillsDir = path.join(FIXTURES_DIR, 'skills');
+    const statsBySource = {};
+    for (const sourceDir of fs.readdirSync(skillsDir)) {
+        statsBySource[sourceDir.slice(1)] = fs.readdirSync(path.join(skillsDir, sourceDir)).map((id) => {
+            const { data } = parseFrontmatter(fs.readFileSync(path.join(skillsDir, sourceDir, id, 'SKILL.md'), 'utf-8'));
+            return { id, name: data.name, description: data.description, tags: data.tags || [] };
+        });
+    }
+    return statsBySource;
+}
+
+/**
+ * 按 parseIndex() 的结构读取 index.yaml 文本
+ */
+function indexOf(content) {
+    const { value } = parseYaml(content);
+    return { entries: (value && value.skills) || [] };
+}
+
+test('new directories are planned in source order with a source prefix on id collisions', () => {
+    const content = fs.readFileSync(INDEX_FIXTURE, 'utf-8');
+    const additions = planIndexEntries(fixtureStats(), indexOf(content));
+
+    assert.deepStrictEqual(additions.map((entry) => [entry.id, entry.path]), [
+        ['pptx', '@anthropic/pptx'],
+        ['openai-pdf', '@openai/pdf'],
+    ]);
+    assert.deepStrictEqual(additions[1].tags, ['pdf', 'documents']);
+});
+
+test('entries are inserted after their source and existing text is kept', () => {
+    const content = fs.readFileSync(INDEX_FIXTURE, 'utf-8');
+    const updated = insertIndexEntries(content, planIndexEntries(fixtureStats(), indexOf(content)));
+
+    assert.strictEqual(updated, `# SkillWisp registry 索引（测试用）
+skills:
+  # Anthropic 官方 skill
+  - id: pdf
+    source: anthropic
+    path: "@anthropic/pdf"
+    name: PDF
+    description: 手写的描述保持不变 # 行尾注释
+
+  - id: docx
+    source: anthropic
+    path: "@anthropic/docx"
+    tags: [docx, documents]
+
+  - id: pptx
+    source: anthropic
+    path: "@anthropic/pptx"
+    name: pptx
+    description: Presentation creation, editing and analysis for .pptx files.
+
+  - id: openai-pdf
+    source: openai
+    path: "@openai/pdf"
+    name: pdf
+    description: Read, create and review PDF files where rendering and layout matter.
+    tags: [pdf, documents]
+
+  # 社区 skill 放在最后
+`);
+
+    // 再次运行时没有新条目
+    assert.deepStrictEqual(planIndexEntries(fixtureStats(), indexOf(updated)), []);
+});
+
+test('a source in the middle of the list gets its entries before the next source', () => {
+    const content = [
+        'skills:',
+        '- id: docx',
+        '  source: anthropic',
+        '  path: "@anthropic/docx"',
+        '- id: pdf',
+        '  source: openai',
+        '  path: "@openai/pdf"',
+        '',
+    ].join('\n');
+    const updated = insertIndexEntries(content, planIndexEntries(fixtureStats(), indexOf(content)));
+
+    assert.deepStrictEqual(indexOf(updated).entries.map((entry) => entry.id), ['docx', 'anthropic-pdf', 'pptx', 'pdf']);
+    assert.match(updated, /^- id: anthropic-pdf\n  source: anthropic\n  path: "@anthropic\/pdf"$/m);
+});
+
+test('an empty index gets a skills key and default indentation', () => {
+    const updated = insertIndexEntries('', planIndexEntries(fixtureStats(), {}));
+
+    assert.ok(updated.startsWith('skills:\n  - id: docx\n    source: anthropic\n'));
+    assert.deepStrictEqual(indexOf(updated).entries.map((entry) => entry.id), ['docx', 'pdf', 'pptx', 'openai-pdf']);
+    assert.strictEqual(insertIndexEntries('skills:\n', []), 'skills:\n');
+});
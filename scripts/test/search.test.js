@@ -0,0 +1,77 @@
+/**
+ * search.js 的测试：用 fixtures/skills 中的示例 skill 建索引并查询
+ *
+ *   npm run test:scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('../lib/frontmatter');
+const { tokenize, collectSearchDocs, buildSearchIndex, searchIndex } = require('../lib/search');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'skills');
+
+/**
+ * 按 collectStats() 的结构读取 fixtures/skills/@source/id/SKILL.md
+ */
+function fixtureStats() {
+    const statsBySource = {};
+    for (const sourceDir of fs.readdirSync(FIXTURES_DIR)) {
+        const source = sourceDir.slice(1);
+        statsBySource[source] = fs.readdirSync(path.join(FIXTURES_DIR, sourceDir)).map((id) => {
+            const file = path.join(FIXTURES_DIR, sourceDir, id, 'SKILL.md');
+            const { data } = parseFrontmatter(fs.readFileSync(file, 'utf-8'));
+            return { id, path: file, name: data.name, description: data.description, tags: data.tags || [] };
+        });
+    }
+    return statsBySource;
+}
+
+// zh-CN.yaml 中的条目；pptx 是 --write-i18n 生成的占位条目
+const ZH_CN = {
+    anthropic: {
+        pdf: { name: 'PDF 处理', description: '提取文本和表格、合并与拆分 PDF 文档' },
+        pptx: { name: 'pptx', description: 'Presentation creation, editing and analysis for .pptx files.', stub: true },
+    },
+    openai: {
+        pdf: { name: 'PDF', description: '阅读、创建和检查 PDF 文件的版式' },
+    },
+};
+
+function fixtureIndex() {
+    const translate = (source, id) => (ZH_CN[source] && ZH_CN[source][id]) || null;
+    return buildSearchIndex(collectSearchDocs(fixtureStats(), translate));
+}
+
+test('pdf ranks @anthropic/pdf and @openai/pdf first', () => {
+    const results = searchIndex(fixtureIndex(), 'pdf');
+    assert.deepStrictEqual(results.slice(0, 2).map((r) => r.id).sort(), ['@anthropic/pdf', '@openai/pdf']);
+    assert.ok(results.some((r) => r.id === '@anthropic/docx'), 'docx mentions PDF in its body');
+    assert.ok(results[1].score > results[2].score);
+});
+
+test('zh-CN text is split into bigrams', () => {
+    assert.deepStrictEqual(tokenize('演示文稿'), ['演示', '示文', '文稿']);
+    assert.deepStrictEqual(tokenize('PDF 处理'), ['pdf', '处理']);
+    assert.deepStrictEqual(tokenize('表'), ['表']);
+    // 标点分隔的两段各自切分，不跨段组合
+    assert.deepStrictEqual(tokenize('合并，拆分'), ['合并', '拆分']);
+});
+
+test('zh-CN translations are searchable', () => {
+    const index = fixtureIndex();
+    assert.deepStrictEqual(searchIndex(index, '拆分').map((r) => r.id), ['@anthropic/pdf']);
+    assert.deepStrictEqual(searchIndex(index, '版式').map((r) => r.id), ['@openai/pdf']);
+});
+
+test('code blocks are not indexed', () => {
+    assert.strictEqual(fixtureIndex().terms.pdfreader, undefined);
+});
+
+test('untranslated stubs do not count twice', () => {
+    const withStub = fixtureIndex();
+    const withoutStub = buildSearchIndex(collectSearchDocs(fixtureStats(), (source, id) => (id === 'pptx' ? null : ZH_CN[source][id])));
+    assert.deepStrictEqual(searchIndex(withStub, 'presentation'), searchIndex(withoutStub, 'presentation'));
+});
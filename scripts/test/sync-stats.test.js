@@ -0,0 +1,142 @@
+/**
+ * sync-stats.js 命令行的测试：在临时 registry（从 fixtures/registry 复制）上运行写入类参数
+ *
+ * skill 目录取自仓库的 skills/，因此只断言与具体 skill 数量无关的性质。
+ *
+ *   npm run test:scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseYaml } = require('../lib/yaml');
+const { parseFrontmatter } = require('../lib/frontmatter');
+const { parseTranslations } = require('../lib/i18n-scaffold');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const SCRIPT = path.join(ROOT_DIR, 'scripts', 'sync-stats.js');
+const SKILLS_DIR = path.join(ROOT_DIR, 'skills');
+const REGISTRY_FIXTURE = path.join(__dirname, 'fixtures', 'registry');
+
+/**
+ * 把 fixtures/registry 复制到临时目录，测试结束后删除
+ */
+function tempRegistry(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillwisp-registry-'));
+    fs.cpSync(REGISTRY_FIXTURE, dir, { recursive: true });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function run(registry, ...args) {
+    const env = { ...process.env };
+    delete env.SKILLWISP_REGISTRY;
+    const result = spawnSync(process.execPath, [SCRIPT, ...args, '--registry', registry], {
+        cwd: ROOT_DIR,
+        env,
+        encoding: 'utf-8',
+        timeout: 60000,
+    });
+    return { status: result.status, stdout: result.stdout };
+}
+
+/**
+ * skills/ 下每个含 SKILL.md 的目录，形如 @source/id
+ */
+function skillPaths() {
+    const paths = [];
+    for (const sourceDir of fs.readdirSync(SKILLS_DIR).filter((name) => name.startsWith('@'))) {
+        for (const id of fs.readdirSync(path.join(SKILLS_DIR, sourceDir))) {
+            if (fs.existsSync(path.join(SKILLS_DIR, sourceDir, id, 'SKILL.md'))) paths.push(`${sourceDir}/${id}`);
+        }
+    }
+    return paths.sort();
+}
+
+function readIndexEntries(registry) {
+    return parseYaml(fs.readFileSync(path.join(registry, 'index.yaml'), 'utf-8')).value.skills;
+}
+
+test('--write-index adds every missing directory and keeps existing entries', (t) => {
+    const registry = tempRegistry(t);
+    const indexPath = path.join(registry, 'index.yaml');
+    const original = fs.readFileSync(indexPath, 'utf-8');
+
+    assert.strictEqual(run(registry, '--write-index', '--dry-run').status, 0);
+    assert.strictEqual(fs.readFileSync(indexPath, 'utf-8'), original);
+
+    assert.strictEqual(run(registry, '--write-index').status, 0);
+    const updated = fs.readFileSync(indexPath, 'utf-8');
+    const entries = readIndexEntries(registry);
+
+    // 原有条目（含注释）原样保留在最前面，末尾的注释仍在最后
+    const kept = original.slice(0, original.indexOf('\n\n  # 社区'));
+    assert.ok(updated.startsWith(kept));
+    assert.ok(updated.endsWith('\n\n  # 社区 skill 放在最后\n'));
+    assert.deepStrictEqual(entries[0], {
+        id: 'pdf', source: 'anthropic', path: '@anthropic/pdf', name: 'PDF', description: '手写的描述保持不变',
+    });
+
+    assert.deepStrictEqual(entries.map((entry) => entry.path).sort(), skillPaths());
+    assert.strictEqual(new Set(entries.map((entry) => entry.id)).size, entries.length);
+    assert.strictEqual(entries.find((entry) => entry.path === '@openai/pdf').id, 'openai-pdf');
+
+    // 同一来源的条目连续排列
+    const sources = entries.map((entry) => entry.source).filter((source, i, all) => source !== all[i - 1]);
+    assert.strictEqual(new Set(sources).size, sources.length);
+
+    const again = run(registry, '--write-index');
+    assert.strictEqual(again.status, 0);
+    assert.match(again.stdout, /already lists every skill directory/);
+    assert.strictEqual(fs.readFileSync(indexPath, 'utf-8'), updated);
+});
+
+test('--write-i18n adds TODO stubs for indexed skills and leaves orphans alone', (t) => {
+    const registry = tempRegistry(t);
+    const i18nPath = path.join(registry, 'i18n', 'zh-CN.yaml');
+    const original = fs.readFileSync(i18nPath, 'utf-8');
+
+    const result = run(registry, '--write-i18n');
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /Not in index\.yaml, skipped/);
+
+    const updated = fs.readFileSync(i18nPath, 'utf-8');
+    const translations = parseTranslations(updated);
+    const docx = parseFrontmatter(fs.readFileSync(path.join(SKILLS_DIR, '@anthropic', 'docx', 'SKILL.md'), 'utf-8')).data;
+
+    // 只为 index.yaml 中已有的条目生成占位，人工翻译与孤儿条目不变
+    assert.ok(updated.startsWith(original.slice(0, original.indexOf('  ghost:'))));
+    assert.deepStrictEqual(translations.anthropic.docx, { name: docx.name, description: docx.description, stub: true });
+    assert.deepStrictEqual(Object.keys(translations.anthropic), ['pdf', 'retired', 'docx']);
+    assert.ok(translations.ghost.old);
+
+    // 占位条目已存在时不再重复添加
+    const again = run(registry, '--write-i18n');
+    assert.strictEqual(again.status, 0);
+    assert.match(again.stdout, /needs no changes/);
+    assert.strictEqual(fs.readFileSync(i18nPath, 'utf-8'), updated);
+});
+
+test('--write-i18n --prune removes orphaned entries and empty sources', (t) => {
+    const registry = tempRegistry(t);
+    const i18nPath = path.join(registry, 'i18n', 'zh-CN.yaml');
+
+    assert.strictEqual(run(registry, '--prune').status, 2);
+
+    const dryRun = run(registry, '--write-i18n', '--prune', '--dry-run');
+    assert.strictEqual(dryRun.status, 0);
+    assert.match(dryRun.stdout, /2 orphaned entries pruned: @anthropic\/retired, @ghost\/old/);
+    assert.strictEqual(fs.readFileSync(i18nPath, 'utf-8'), fs.readFileSync(path.join(REGISTRY_FIXTURE, 'i18n', 'zh-CN.yaml'), 'utf-8'));
+
+    assert.strictEqual(run(registry, '--write-i18n', '--prune').status, 0);
+    const updated = fs.readFileSync(i18nPath, 'utf-8');
+    const translations = parseTranslations(updated);
+
+    assert.deepStrictEqual(Object.keys(translations), ['anthropic']);
+    assert.deepStrictEqual(Object.keys(translations.anthropic), ['pdf', 'docx']);
+    assert.strictEqual(translations.anthropic.pdf.description, '提取文本和表格， 合并与拆分 PDF 文档');
+    assert.match(updated, /# 人工翻译，--write-i18n 不应改动/);
+});
@@ -0,0 +1,116 @@
+/**
+ * yaml.js 的测试：标量、块标量、序列、注释与语法错误
+ *
+ *   npm run test:scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseYaml, formatScalar, YamlSyntaxError } = require('../lib/yaml');
+
+/**
+ * 解析并只返回 value
+ */
+function parse(text) {
+    return parseYaml(text).value;
+}
+
+/**
+ * 断言解析失败，并检查错误原因与行号
+ */
+function assertSyntaxError(text, reason, line, options) {
+    assert.throws(() => parseYaml(text, options), (error) => {
+        assert.ok(error instanceof YamlSyntaxError);
+        assert.match(error.reason, reason);
+        assert.strictEqual(error.line, line);
+        return true;
+    });
+}
+
+test('double-quoted scalars decode escapes', () => {
+    assert.deepStrictEqual(parse('a: "tab\\there \\x41 \\u00e9 \\U0001F600 \\"q\\" \\\\"'), {
+        a: 'tab\there A é 😀 "q" \\',
+    });
+    assert.deepStrictEqual(parse('a: "line one\n  line two\n\n  paragraph"'), { a: 'line one line two\nparagraph' });
+    assert.deepStrictEqual(parse('a: "joined\\\n  here"'), { a: 'joinedhere' });
+    assert.deepStrictEqual(parse('"quoted: key": 1'), { 'quoted: key': 1 });
+});
+
+test('single-quoted scalars keep backslashes and # literally', () => {
+    assert.deepStrictEqual(parse("a: 'it''s \\n # not a comment'"), { a: "it's \\n # not a comment" });
+    assert.deepStrictEqual(parse("a: 'true'\nb: '42'"), { a: 'true', b: '42' });
+});
+
+test('plain scalars resolve booleans, null and numbers', () => {
+    assert.deepStrictEqual(parse('a: true\nb: False\nc: ~\nd: null\ne: 0x1F\nf: 1.5\ng: -3\nh: yes\ni:'), {
+        a: true, b: false, c: null, d: null, e: 31, f: 1.5, g: -3, h: 'yes', i: null,
+    });
+    assert.deepStrictEqual(parse('a: first\n  continued\n\n  next'), { a: 'first continued\nnext' });
+});
+
+test('literal block scalars keep newlines and honour chomping', () => {
+    assert.deepStrictEqual(parse('a: |\n  one\n    two\n\nb: 1'), { a: 'one\n  two\n', b: 1 });
+    assert.deepStrictEqual(parse('a: |-\n  one\n'), { a: 'one' });
+    assert.deepStrictEqual(parse('a: |+\n  one\n\nb: 1'), { a: 'one\n\n', b: 1 });
+    assert.deepStrictEqual(parse('a: |2\n    indented\n'), { a: '  indented\n' });
+    assert.deepStrictEqual(parse('a: |\nb: 1'), { a: '', b: 1 });
+});
+
+test('folded block scalars join lines with spaces', () => {
+    assert.deepStrictEqual(parse('a: >\n  one\n  two\n\n  three\n'), { a: 'one two\nthree\n' });
+    assert.deepStrictEqual(parse('a: >-\n  one\n    kept\n  two'), { a: 'one\n  kept\ntwo' });
+});
+
+test('block and flow sequences and flow mappings', () => {
+    assert.deepStrictEqual(parse('a:\n  - one\n  - two: 2\n    three: 3\n'), { a: ['one', { two: 2, three: 3 }] });
+    assert.deepStrictEqual(parse('a:\n- x\n- y'), { a: ['x', 'y'] });
+    assert.deepStrictEqual(parse('- 1\n- - nested\n  - pair\n- 2'), [1, ['nested', 'pair'], 2]);
+    assert.deepStrictEqual(parse('a: [1, "b, c", [x], ]\nb: {k: v, n: null}\nc: []\nd: {}'), {
+        a: [1, 'b, c', ['x']],
+        b: { k: 'v', n: null },
+        c: [],
+        d: {},
+    });
+});
+
+test('comments and blank lines are ignored', () => {
+    const text = '# header\n\na: 1 # trailing\n  # indented comment\nb: x#y\nc: "# kept"\n';
+    assert.deepStrictEqual(parse(text), { a: 1, b: 'x#y', c: '# kept' });
+    assert.strictEqual(parse('# only a comment\n'), null);
+    assert.strictEqual(parse(''), null);
+});
+
+test('lines maps key paths to line numbers', () => {
+    const { lines } = parseYaml('a:\n  - b: 1\n    c: 2\nd: x\r\n', { lineOffset: 1 });
+    assert.deepStrictEqual(lines, { a: 2, 'a[0]': 3, 'a[0].b': 3, 'a[0].c': 4, d: 5 });
+});
+
+test('syntax errors report the reason and line', () => {
+    assertSyntaxError('a:\n  b: 1\n\tc: 2', /Tabs are not allowed/, 3);
+    assertSyntaxError('a:\n  - x\n\t- y', /Tabs are not allowed/, 3);
+    assertSyntaxError('a:\n    b: 1\n  c: 2', /Unexpected indentation/, 3);
+    assertSyntaxError('a: 1\nb: 2\na: 3', /Duplicate key "a"/, 3);
+    assertSyntaxError('a: "\\q"', /Invalid escape \\q/, 1);
+    assertSyntaxError('a: "\\u12"', /Invalid escape \\u12/, 1);
+    assertSyntaxError('a: [1] x', /Unexpected text after flow collection/, 1);
+    assertSyntaxError('a: [1, 2', /Unterminated flow sequence/, 1);
+    assertSyntaxError('a: "open\nb: 1', /Unterminated quoted string/, 1);
+    assertSyntaxError('a: "x" y', /Unexpected text after quoted string/, 1);
+    assertSyntaxError('a: b: c', /must not contain ": "/, 1);
+    assertSyntaxError('just text', /Expected "key: value"/, 1);
+    assertSyntaxError('a: |x\n  y', /Invalid block scalar header/, 1);
+    assertSyntaxError('a: 1\nb: 2\nc: "\\q"', /Invalid escape/, 6, { lineOffset: 3 });
+});
+
+test('formatScalar quotes only when needed', () => {
+    assert.strictEqual(formatScalar('plain text'), 'plain text');
+    assert.strictEqual(formatScalar('PDF 处理'), 'PDF 处理');
+    assert.strictEqual(formatScalar('a: b'), '"a: b"');
+    assert.strictEqual(formatScalar('true'), '"true"');
+    assert.strictEqual(formatScalar('42'), '"42"');
+    assert.strictEqual(formatScalar('x #y'), '"x #y"');
+    assert.strictEqual(formatScalar('two\nlines'), '"two\\nlines"');
+    for (const value of ['a: b', 'true', 'x #y', 'two\nlines', '"quoted"']) {
+        assert.strictEqual(parse(`k: ${formatScalar(value)}`).k, value);
+    }
+});
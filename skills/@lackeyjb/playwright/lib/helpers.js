@@ -1,7 +1,15 @@
 // playwright-helpers.js
 // Reusable utility functions for Playwright automation
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { chromium, firefox, webkit } = require('playwright');
+const { traced, annotate, maskTypedValue } = require('./trace');
+
+// Saved logins older than this are ignored (override per profile with maxAge, or PW_PROFILE_MAX_AGE in ms)
+const DEFAULT_PROFILE_MAX_AGE = 24 * 60 * 60 * 1000;
+const PROFILE_VERSION = 1;
 
 /**
  * Parse extra HTTP headers from environment variables.
@@ -152,6 +160,11 @@ async function safeType(page, selector, text, options = {}) {
     state: 'visible',
     timeout: options.timeout || 10000 
   });
+
+  // Password fields whose selector does not say so (#pwd): keep the value out of the action log
+  if (await page.getAttribute(selector, 'type').catch(() => null) === 'password') {
+    maskTypedValue();
+  }
   
   if (options.clear !== false) {
     await page.fill(selector, '');
@@ -196,32 +209,181 @@ async function takeScreenshot(page, name, options = {}) {
   return filename;
 }
 
+/**
+ * Directory for saved login profiles (PW_PROFILE_DIR, default ~/.playwright-skill/profiles).
+ * Outside the skill directory and the run.js sandbox, so profiles survive between runs.
+ */
+function getProfileDir() {
+  return process.env.PW_PROFILE_DIR || path.join(os.homedir(), '.playwright-skill', 'profiles');
+}
+
+/**
+ * Path of a named profile file
+ * @param {string} name - Profile name (letters, digits, ".", "_" and "-")
+ */
+function getProfilePath(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9][\w.-]{0,63}$/.test(name)) {
+    throw new Error(`Invalid profile name "${name}" (letters, digits, ".", "_" and "-", at most 64 characters)`);
+  }
+  return path.join(getProfileDir(), `${name}.json`);
+}
+
+/**
+ * Check whether a saved profile can still be used
+ * @param {Object} profile - Contents of a profile file
+ * @returns {string|null} Why the profile is expired, or null if it is valid
+ */
+function getProfileExpiry(profile) {
+  const now = Date.now();
+  if (Date.parse(profile.expiresAt) <= now) {
+    return `saved ${profile.savedAt}, expired ${profile.expiresAt}`;
+  }
+
+  // Every cookie that had an expiry date has passed it and nothing else was saved
+  const cookies = profile.storageState.cookies || [];
+  const origins = profile.storageState.origins || [];
+  const persistent = cookies.filter(cookie => cookie.expires > 0);
+  if (persistent.length > 0 && persistent.length === cookies.length && origins.length === 0
+    && persistent.every(cookie => cookie.expires * 1000 <= now)) {
+    return 'all saved cookies have expired';
+  }
+  return null;
+}
+
+/**
+ * Load a saved login profile
+ * @param {string} name - Profile name
+ * @returns {Object|null} The profile ({ name, savedAt, expiresAt, url, storageState }),
+ *   or null if it does not exist or has expired
+ */
+function loadProfile(name) {
+  const file = getProfilePath(name);
+  if (!fs.existsSync(file)) return null;
+
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read profile "${name}" (${file}): ${e.message}`);
+  }
+  if (!profile || profile.version !== PROFILE_VERSION || !profile.storageState) {
+    throw new Error(`${file} is not a profile saved by helpers.saveProfile()`);
+  }
+  return getProfileExpiry(profile) ? null : profile;
+}
+
+/**
+ * Save the storage state (cookies and localStorage) of a context to a named profile
+ * @param {Object} context - Browser context
+ * @param {string} name - Profile name
+ * @param {Object} options - { maxAge: ms until the profile expires, url: page the login ended on }
+ * @returns {Promise<string>} Path of the profile file
+ */
+async function saveProfile(context, name, options = {}) {
+  const file = getProfilePath(name);
+  const maxAge = getProfileMaxAge(options.maxAge);
+  const savedAt = new Date();
+
+  const profile = {
+    version: PROFILE_VERSION,
+    name,
+    savedAt: savedAt.toISOString(),
+    expiresAt: new Date(savedAt.getTime() + maxAge).toISOString(),
+    url: options.url || null,
+    storageState: await context.storageState(),
+  };
+
+  // Session cookies are credentials: keep the file private to the current user
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(profile, null, 2), { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+  console.log(`🔑 Saved login profile "${name}" (expires ${profile.expiresAt})`);
+  return file;
+}
+
+/**
+ * Lifetime of a saved profile: maxAge if given (0 included), else PW_PROFILE_MAX_AGE,
+ * else 24 hours
+ * @param {number} [maxAge] - ms
+ * @throws {Error} When the value is not a finite, non-negative number of ms
+ */
+function getProfileMaxAge(maxAge) {
+  const fromEnv = maxAge === undefined && process.env.PW_PROFILE_MAX_AGE;
+  const value = maxAge !== undefined ? maxAge : fromEnv ? Number(fromEnv) : DEFAULT_PROFILE_MAX_AGE;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    const given = fromEnv ? `PW_PROFILE_MAX_AGE=${fromEnv}` : `maxAge ${JSON.stringify(maxAge)}`;
+    throw new Error(`Invalid profile lifetime ${given}: expected a non-negative number of milliseconds (e.g. 86400000 for 24 hours)`);
+  }
+  return value;
+}
+
 /**
  * Handle authentication
+ *
+ * Success must be confirmed: the success indicator becomes visible, or (when
+ * options.successUrl is given) the page URL matches it. Otherwise an error is thrown,
+ * including any visible error message from the login form.
+ *
  * @param {Object} page - Playwright page
  * @param {Object} credentials - Username and password
- * @param {Object} selectors - Login form selectors
+ * @param {Object} selectors - Login form selectors (username, password, submit,
+ *   successIndicator, errorIndicator)
+ * @param {Object} options - { successUrl: string|RegExp|Function for page.waitForURL(),
+ *   timeout: ms to wait for success (default 10000), profile: save the login under this name,
+ *   maxAge: profile lifetime in ms }
+ * @returns {Promise<{ url: string, profile: string|null }>} Final URL and saved profile path
  */
-async function authenticate(page, credentials, selectors = {}) {
+async function authenticate(page, credentials, selectors = {}, options = {}) {
   const defaultSelectors = {
     username: 'input[name="username"], input[name="email"], #username, #email',
     password: 'input[name="password"], #password',
-    submit: 'button[type="submit"], input[type="submit"], button:has-text("Login"), button:has-text("Sign in")'
+    submit: 'button[type="submit"], input[type="submit"], button:has-text("Login"), button:has-text("Sign in")',
+    successIndicator: '.dashboard, .user-menu, .logout',
+    errorIndicator: '[role="alert"], .error, .alert-danger, .login-error'
   };
   
   const finalSelectors = { ...defaultSelectors, ...selectors };
+  const timeout = options.timeout || 10000;
+  // Check the profile options before logging in, not after a login that worked
+  const maxAge = options.profile ? getProfileMaxAge(options.maxAge) : undefined;
+  if (options.profile) getProfilePath(options.profile);
+  annotate({ selectors: finalSelectors });
   
   await safeType(page, finalSelectors.username, credentials.username);
   await safeType(page, finalSelectors.password, credentials.password);
   await safeClick(page, finalSelectors.submit);
   
-  // Wait for navigation or success indicator
-  await Promise.race([
-    page.waitForNavigation({ waitUntil: 'networkidle' }),
-    page.waitForSelector(selectors.successIndicator || '.dashboard, .user-menu, .logout', { timeout: 10000 })
-  ]).catch(() => {
-    console.log('Login might have completed without navigation');
-  });
+  // Wait for an explicit success signal
+  const checks = [page.waitForSelector(finalSelectors.successIndicator, { state: 'visible', timeout })];
+  if (options.successUrl) {
+    checks.push(page.waitForURL(options.successUrl, { timeout }));
+  }
+  
+  try {
+    // First check to pass wins; fails only when all of them time out
+    await new Promise((resolve, reject) => {
+      let failed = 0;
+      checks.forEach(check => check.then(resolve, () => {
+        if (++failed === checks.length) reject();
+      }));
+    });
+  } catch (e) {
+    const errorText = await page.locator(finalSelectors.errorIndicator).first()
+      .innerText({ timeout: 1000 })
+      .catch(() => '');
+    const expected = [`"${finalSelectors.successIndicator}" to appear`];
+    if (options.successUrl) expected.push(`URL to match ${options.successUrl}`);
+    throw new Error(
+      `Login failed: expected ${expected.join(' or ')} within ${timeout}ms, still on ${page.url()}` +
+      (errorText.trim() ? ` (page says: "${errorText.trim()}")` : '')
+    );
+  }
+  
+  console.log(`✅ Logged in as ${credentials.username}`);
+  const profile = options.profile
+    ? await saveProfile(page.context(), options.profile, { maxAge, url: page.url() })
+    : null;
+  return { url: page.url(), profile };
 }
 
 /**
@@ -305,6 +467,7 @@ async function handleCookieBanner(page, timeout = 3000) {
       });
       if (element) {
         await element.click();
+        annotate({ selector });
         console.log('Cookie banner dismissed');
         return true;
       }
@@ -342,9 +505,22 @@ async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
 /**
  * Create browser context with common settings
  * @param {Object} browser - Browser instance
- * @param {Object} options - Context options
+ * @param {Object} options - Context options; `profile: 'name'` restores a login saved with
+ *   saveProfile() / authenticate(..., { profile }) when it exists and has not expired
  */
 async function createContext(browser, options = {}) {
+  const { profile: profileName, ...contextOptions } = options;
+  if (profileName && !contextOptions.storageState) {
+    const profile = loadProfile(profileName);
+    if (profile) {
+      contextOptions.storageState = profile.storageState;
+      console.log(`🔑 Using login profile "${profileName}" (expires ${profile.expiresAt})`);
+    } else {
+      console.log(`🔑 No valid login profile "${profileName}", starting logged out`);
+    }
+  }
+  options = contextOptions;
+
   const envHeaders = getExtraHeadersFromEnv();
 
   // Merge environment headers with any passed in options
@@ -422,20 +598,24 @@ async function detectDevServers(customPorts = []) {
   return detectedServers;
 }
 
+// Page helpers are recorded in the action log while tracing is on (see lib/trace.js)
 module.exports = {
   launchBrowser,
   createPage,
-  waitForPageReady,
-  safeClick,
-  safeType,
-  extractTexts,
-  takeScreenshot,
-  authenticate,
-  scrollPage,
-  extractTableData,
-  handleCookieBanner,
+  waitForPageReady: traced('waitForPageReady', waitForPageReady),
+  safeClick: traced('safeClick', safeClick),
+  safeType: traced('safeType', safeType),
+  extractTexts: traced('extractTexts', extractTexts),
+  takeScreenshot: traced('takeScreenshot', takeScreenshot),
+  authenticate: traced('authenticate', authenticate),
+  scrollPage: traced('scrollPage', scrollPage),
+  extractTableData: traced('extractTableData', extractTableData),
+  handleCookieBanner: traced('handleCookieBanner', handleCookieBanner),
   retryWithBackoff,
   createContext,
+  getProfilePath,
+  loadProfile,
+  saveProfile,
   detectDevServers,
   getExtraHeadersFromEnv
 };
@@ -0,0 +1,182 @@
+/**
+ * Records what a script run by run.js produced, for `run.js --json`
+ *
+ * lib/sandbox.js attaches the recorder to every page the script opens and writes
+ * the recording to PW_RESULT_FILE when the process exits; run.js adds the exit
+ * status, timing and captured output and prints the final result object.
+ * lib/session-server.js keeps pages across runs and calls reset() before each one.
+ */
+
+const fs = require('fs');
+
+const RESULT_VERSION = 1;
+
+// Browser console messages kept per run; older ones are dropped first
+const MAX_CONSOLE_MESSAGES = 500;
+
+function emptyRecording() {
+  return {
+    result: null,
+    emitted: [],
+    screenshots: [],
+    console: [],
+    pageErrors: [],
+    finalUrl: null,
+    error: null,
+  };
+}
+
+let recording = emptyRecording();
+// Print emitted values as they arrive (only when nobody collects the recording)
+let echo = !process.env.PW_RESULT_FILE;
+const attachedPages = new WeakSet();
+
+/**
+ * Convert any value to something JSON.stringify can handle
+ * (circular references, functions, Buffers, Errors, BigInt)
+ */
+function toJSONValue(value) {
+  const seen = new WeakSet();
+  const text = JSON.stringify(value, (key, current) => {
+    if (typeof current === 'bigint') return current.toString();
+    if (typeof current === 'function' || typeof current === 'symbol') return undefined;
+    if (current instanceof Error) return { name: current.name, message: current.message };
+    if (current && current.type === 'Buffer' && Array.isArray(current.data)) {
+      return `<Buffer ${current.data.length} bytes>`;
+    }
+    if (current && typeof current === 'object') {
+      if (seen.has(current)) return '[Circular]';
+      seen.add(current);
+    }
+    return current;
+  });
+  return text === undefined ? null : JSON.parse(text);
+}
+
+/**
+ * Record a value in the result's `emitted` list (available to scripts as `emit()`)
+ * @param {*} value - Any JSON-compatible value
+ * @returns {*} The value, so emit() can wrap an expression
+ */
+function emit(value) {
+  const recorded = toJSONValue(value);
+  recording.emitted.push(recorded);
+  if (echo) {
+    console.log('📤 emit:', JSON.stringify(recorded));
+  }
+  return value;
+}
+
+/**
+ * Record the value returned by the script
+ */
+function setResult(value) {
+  recording.result = toJSONValue(value);
+}
+
+/**
+ * Record the error that ended the script
+ */
+function setError(error) {
+  recording.error = {
+    message: error && error.message ? error.message : String(error),
+    stack: error && error.stack ? error.stack : null,
+  };
+}
+
+/**
+ * Record the URL the run ended on, for runs that do not navigate
+ */
+function setFinalUrl(url) {
+  recording.finalUrl = url;
+}
+
+/**
+ * Start a new recording; pages stay attached
+ * @param {{ echo?: boolean }} [options]
+ * @returns {Object} The recording that was replaced
+ */
+function reset(options = {}) {
+  const previous = recording;
+  recording = emptyRecording();
+  if (options.echo !== undefined) echo = options.echo;
+  return previous;
+}
+
+/**
+ * The recording of the current run
+ */
+function current() {
+  return recording;
+}
+
+/**
+ * Listen to console messages, page errors, navigations and screenshots of a page
+ * @param {import('playwright').Page} page
+ */
+function attachPage(page) {
+  if (attachedPages.has(page)) return;
+  attachedPages.add(page);
+
+  page.on('console', (message) => {
+    const location = message.location();
+    recording.console.push({
+      type: message.type(),
+      text: message.text(),
+      url: location && location.url ? location.url : page.url(),
+    });
+    if (recording.console.length > MAX_CONSOLE_MESSAGES) recording.console.shift();
+  });
+
+  page.on('pageerror', (error) => {
+    recording.pageErrors.push({ message: error.message, stack: error.stack || null, url: page.url() });
+  });
+
+  page.on('framenavigated', (frame) => {
+    if (frame === page.mainFrame()) recording.finalUrl = frame.url();
+  });
+
+  const screenshot = page.screenshot.bind(page);
+  page.screenshot = async (options = {}) => {
+    const buffer = await screenshot(options);
+    recording.screenshots.push({
+      path: options.path || null,
+      fullPage: Boolean(options.fullPage),
+      url: page.url(),
+      bytes: buffer.length,
+    });
+    return buffer;
+  };
+}
+
+/**
+ * Attach to every page of a browser context, including pages opened later
+ * @param {import('playwright').BrowserContext} context
+ */
+function attachContext(context) {
+  context.pages().forEach(attachPage);
+  context.on('page', attachPage);
+}
+
+/**
+ * Write the recording to PW_RESULT_FILE (synchronous, so it also works from process.on('exit'))
+ */
+function save() {
+  const file = process.env.PW_RESULT_FILE;
+  if (!file) return;
+  fs.writeFileSync(file, JSON.stringify(recording), 'utf8');
+}
+
+module.exports = {
+  RESULT_VERSION,
+  toJSONValue,
+  emit,
+  setResult,
+  setError,
+  setFinalUrl,
+  reset,
+  current,
+  attachPage,
+  attachContext,
+  save,
+};
@@ -0,0 +1,232 @@
+/**
+ * Sandbox entry point used by run.js
+ *
+ * run.js starts one child process per script: `node lib/sandbox.js <sandbox>/script.js`.
+ * This file keeps track of the browsers the script launches, reports their process ids
+ * to run.js (so they can be killed even if this process is), and closes any browser
+ * still open once the script's exported promise settles - or, for complete scripts
+ * that run their own async body, once the script has nothing left to do but keep
+ * its browsers open. Pages are attached to
+ * lib/recorder.js for `run.js --json`, and `emit()` is made available as a global.
+ *
+ * Not meant to be run directly.
+ */
+
+const recorder = require('./recorder');
+
+const browsers = new Set();
+// Calls on objects reached from a launched browser that have not settled yet
+let pendingCalls = 0;
+const counted = new WeakSet();
+// API objects reached through properties instead of methods
+const API_PROPERTIES = ['keyboard', 'mouse', 'touchscreen', 'request', 'clock', 'tracing'];
+
+// What an open browser keeps alive (its process and stdio pipes), plus our own stdio
+const BROWSER_RESOURCES = new Set(['ProcessWrap', 'PipeWrap', 'TTYWrap', 'SignalWrap']);
+const IDLE_INTERVAL = 250;
+const IDLE_CHECKS = 4;
+
+/**
+ * Attach the recorder to contexts and pages created from a launched browser
+ */
+function recordBrowser(browser) {
+  const newContext = browser.newContext.bind(browser);
+  browser.newContext = async (...args) => {
+    const context = await newContext(...args);
+    recorder.attachContext(context);
+    return context;
+  };
+
+  // browser.newPage() creates its own context internally, without going through newContext()
+  const newPage = browser.newPage.bind(browser);
+  browser.newPage = async (...args) => {
+    const page = await newPage(...args);
+    recorder.attachPage(page);
+    return page;
+  };
+}
+
+function publicMethods(target) {
+  const names = new Set();
+  for (let proto = Object.getPrototypeOf(target); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+      if (name !== 'constructor' && !name.startsWith('_') && typeof descriptor.value === 'function') names.add(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Count pending calls on a Playwright object and on the objects its methods return
+ * (contexts, pages, frames, locators, ...). Public methods are wrapped on the instance
+ * itself, so objects keep their identity.
+ */
+function countCalls(target) {
+  if (Array.isArray(target)) {
+    target.forEach(countCalls);
+    return;
+  }
+  if (!target || typeof target !== 'object' || counted.has(target)) return;
+  // Results of evaluate(), screenshots, ...
+  if (ArrayBuffer.isView(target) || Object.getPrototypeOf(target) === Object.prototype) return;
+  counted.add(target);
+
+  for (const name of publicMethods(target)) {
+    const method = target[name];
+    target[name] = function countedCall(...args) {
+      const result = method.apply(this, args);
+      if (result && typeof result.then === 'function') {
+        pendingCalls++;
+        result.then((value) => {
+          pendingCalls--;
+          countCalls(value);
+        }, () => {
+          pendingCalls--;
+        });
+      } else {
+        countCalls(result);
+      }
+      return result;
+    };
+  }
+  for (const name of API_PROPERTIES) {
+    if (name in target) countCalls(target[name]);
+  }
+}
+
+/**
+ * Wrap launch() / launchPersistentContext() of every browser type to record launched browsers
+ */
+function trackBrowsers() {
+  let playwright;
+  try {
+    playwright = require('playwright');
+  } catch (e) {
+    return;
+  }
+
+  const report = (browser) => {
+    const child = typeof browser.process === 'function' ? browser.process() : null;
+    if (child && child.pid && process.send) {
+      process.send({ type: 'browser', pid: child.pid });
+    }
+  };
+
+  for (const name of ['chromium', 'firefox', 'webkit']) {
+    const browserType = playwright[name];
+    if (!browserType) continue;
+
+    if (typeof browserType.launch === 'function') {
+      const launch = browserType.launch.bind(browserType);
+      browserType.launch = async (...args) => {
+        const browser = await launch(...args);
+        browsers.add(browser);
+        browser.on('disconnected', () => browsers.delete(browser));
+        report(browser);
+        recordBrowser(browser);
+        countCalls(browser);
+        return browser;
+      };
+    }
+
+    if (typeof browserType.launchPersistentContext === 'function') {
+      const launchPersistentContext = browserType.launchPersistentContext.bind(browserType);
+      browserType.launchPersistentContext = async (...args) => {
+        const context = await launchPersistentContext(...args);
+        browsers.add(context);
+        context.on('close', () => browsers.delete(context));
+        if (context.browser()) report(context.browser());
+        recorder.attachContext(context);
+        countCalls(context);
+        return context;
+      };
+    }
+  }
+}
+
+/**
+ * Whether a script with open browsers is done with them: no Playwright call in flight
+ * and no timer, socket or file operation of its own pending
+ */
+function isIdle() {
+  if (browsers.size === 0 || pendingCalls > 0) return false;
+  return process.getActiveResourcesInfo().every((type) => BROWSER_RESOURCES.has(type));
+}
+
+/**
+ * Resolve once a complete script has left nothing but open browsers behind for
+ * IDLE_CHECKS checks in a row. Without this, a script that never closes its browser
+ * keeps the process alive until run.js's timeout.
+ */
+function waitUntilIdle() {
+  return new Promise((resolve) => {
+    let quiet = 0;
+    const timer = setInterval(() => {
+      quiet = isIdle() ? quiet + 1 : 0;
+      if (quiet >= IDLE_CHECKS) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, IDLE_INTERVAL);
+    // Scripts that close their browsers still exit on their own
+    timer.unref();
+  });
+}
+
+/**
+ * Close browsers (or persistent contexts) the script left open
+ */
+async function closeBrowsers() {
+  await Promise.all([...browsers].map((browser) => browser.close().catch(() => {})));
+}
+
+async function main() {
+  const scriptPath = process.argv[2];
+  if (!scriptPath) {
+    console.error('❌ lib/sandbox.js is started by run.js');
+    process.exit(2);
+  }
+
+  trackBrowsers();
+  global.emit = recorder.emit;
+  process.on('exit', () => recorder.save());
+  // Sent by run.js on timeout or Ctrl+C: close browsers and exit, which also saves the recording
+  process.once('SIGTERM', () => {
+    closeBrowsers().finally(() => process.exit(143));
+  });
+
+  // Complete scripts run as soon as they are required; scripts wrapped by
+  // run.js export the promise of their async body so we can tell when they finish
+  // and what they returned
+  const result = require(scriptPath);
+  if (!result || typeof result.then !== 'function') {
+    await waitUntilIdle();
+    await closeBrowsers();
+    process.exit(process.exitCode || 0);
+  }
+
+  let exitCode = 0;
+  try {
+    recorder.setResult(await result);
+  } catch (error) {
+    recorder.setError(error);
+    console.error('❌ Automation error:', error.message);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    exitCode = 1;
+  }
+  await closeBrowsers();
+  process.exit(process.exitCode || exitCode);
+}
+
+main().catch((error) => {
+  recorder.setError(error);
+  console.error('❌ Execution failed:', error.message);
+  if (error.stack) {
+    console.error('\n📋 Stack trace:');
+    console.error(error.stack);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,301 @@
+/**
+ * Client for the persistent browser session server (lib/session-server.js)
+ *
+ * The server keeps one browser and any number of named sessions (a browser context
+ * plus named pages) alive between run.js calls. It listens on a UNIX socket
+ * (a named pipe on Windows), or on 127.0.0.1:<port> when PW_SESSION_SOCKET is a number,
+ * and writes its address and an access token to a state file. The socket, state file,
+ * start lock and log live in a directory only the current user can access
+ * ($XDG_RUNTIME_DIR/playwright-skill, or ~/.playwright-skill/sessions); files found
+ * there are only trusted when the current user owns them and nobody else can read them.
+ * Every request must carry the token.
+ *
+ * Protocol: one newline-delimited JSON request per connection, answered by zero or
+ * more intermediate messages (`{ type: 'started' }` once a queued run begins, then
+ * `{ type: 'output' }`) and a final message (`done`, `sessions`, `closed` or `error`),
+ * after which the server closes the connection.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// How long to wait for a freshly started server to accept connections
+const START_TIMEOUT = 30000;
+
+// Session names end up in messages and file names; keep them simple
+const SESSION_NAME = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+/**
+ * Whether a file (or directory) belongs to the current user and nobody else can access it
+ * @param {fs.Stats} stat
+ */
+function isPrivate(stat) {
+  if (process.platform === 'win32') return true;
+  return stat.uid === process.getuid() && (stat.mode & 0o077) === 0;
+}
+
+/**
+ * Directory for the server's files, created with mode 0700 on first use
+ */
+function sessionDir() {
+  const dir = process.env.XDG_RUNTIME_DIR
+    ? path.join(process.env.XDG_RUNTIME_DIR, 'playwright-skill')
+    : path.join(os.homedir(), '.playwright-skill', 'sessions');
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const stat = fs.lstatSync(dir);
+  if (!stat.isDirectory() || !isPrivate(stat)) {
+    throw new Error(`${dir} must be a directory owned by the current user with mode 0700`);
+  }
+  return dir;
+}
+
+/**
+ * Path of the state file written by the running server
+ */
+function stateFile() {
+  return path.join(sessionDir(), 'server.json');
+}
+
+/**
+ * Lock file held by the run.js that is starting the server
+ */
+function lockFile() {
+  return path.join(sessionDir(), 'server.lock');
+}
+
+/**
+ * Address the server should listen on
+ * @returns {{ path: string }|{ host: string, port: number }}
+ */
+function serverAddress() {
+  const configured = process.env.PW_SESSION_SOCKET;
+  if (configured && /^\d+$/.test(configured)) {
+    return { host: '127.0.0.1', port: Number(configured) };
+  }
+  if (configured) return { path: configured };
+  if (process.platform === 'win32') {
+    return { path: `\\\\.\\pipe\\playwright-skill-sessions-${os.userInfo().username}` };
+  }
+  return { path: path.join(sessionDir(), 'server.sock') };
+}
+
+/**
+ * Check a session name given to --session / --close-session
+ * @returns {string|null} Problem description, or null if the name is valid
+ */
+function validateSessionName(name) {
+  if (!name) return 'a session name is required';
+  if (name === 'all') return '"all" is reserved for --close-session all';
+  if (!SESSION_NAME.test(name)) return `invalid session name "${name}" (letters, digits, ".", "_" and "-", at most 64 characters)`;
+  return null;
+}
+
+/**
+ * Read the state file of the running server
+ * @returns {{ pid: number, address: Object, token: string, browser: string, startedAt: string }|null}
+ *   null when there is none, or it is a symlink or not private to the current user
+ */
+function readState() {
+  let fd;
+  try {
+    fd = fs.openSync(stateFile(), fs.constants.O_RDONLY | (fs.constants.O_NOFOLLOW || 0));
+  } catch (e) {
+    return null;
+  }
+  try {
+    if (!isPrivate(fs.fstatSync(fd))) return null;
+    return JSON.parse(fs.readFileSync(fd, 'utf8'));
+  } catch (e) {
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Send one request and collect the answer
+ * @param {Object} state - From readState()
+ * @param {Object} message - Request without the token
+ * @param {(message: Object) => void} [onMessage] - Called for every intermediate message
+ * @param {{ timeout?: number, timeoutFrom?: string }} [options] - timeout: ms to wait for the
+ *   final message (0 = none), counted from the request or, with timeoutFrom, from the first
+ *   intermediate message of that type; the promise then rejects with an error whose `timedOut` is true
+ * @returns {Promise<Object>} The final message
+ */
+function request(state, message, onMessage = () => {}, options = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(state.address);
+    let buffer = '';
+    let final = null;
+    let timer = null;
+    const startTimer = () => {
+      if (!(options.timeout > 0) || timer) return;
+      timer = setTimeout(() => {
+        const error = new Error(`Session server did not answer within ${options.timeout}ms`);
+        error.timedOut = true;
+        reject(error);
+        socket.destroy();
+      }, options.timeout);
+    };
+    if (!options.timeoutFrom) startTimer();
+
+    socket.setEncoding('utf8');
+    socket.on('connect', () => {
+      socket.write(`${JSON.stringify({ ...message, token: state.token })}\n`);
+    });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 1);
+        if (!line.trim()) continue;
+        let received;
+        try {
+          received = JSON.parse(line);
+        } catch (e) {
+          // e.g. a line cut off while the server was being killed
+          clearTimeout(timer);
+          reject(new Error(`Session server sent a malformed message: ${line.slice(0, 200)}`));
+          socket.destroy();
+          return;
+        }
+        if (received.type === 'output' || received.type === 'started') {
+          if (received.type === options.timeoutFrom) startTimer();
+          onMessage(received);
+        } else {
+          final = received;
+        }
+      }
+    });
+    socket.on('error', reject);
+    socket.on('close', () => {
+      clearTimeout(timer);
+      if (final) resolve(final);
+      else reject(new Error('Session server closed the connection without answering'));
+    });
+  });
+}
+
+/**
+ * Connect to the running server
+ * @returns {Promise<Object|null>} Its state, or null if no server is running
+ */
+async function findServer() {
+  const state = readState();
+  if (!state) return null;
+  try {
+    await request(state, { type: 'ping' });
+    return state;
+  } catch (e) {
+    // Stale state from a server that is gone
+    fs.rmSync(stateFile(), { force: true });
+    return null;
+  }
+}
+
+/**
+ * Kill a server that does not answer (a script blocking its event loop); its browser
+ * exits with it and all sessions are lost
+ * @param {Object} state - From readState()
+ */
+function stopServer(state) {
+  try {
+    process.kill(state.pid, 'SIGKILL');
+  } catch (e) {
+    // Already gone
+  }
+  fs.rmSync(stateFile(), { force: true });
+}
+
+/**
+ * Take the start lock (exclusive create), so concurrent run.js calls start one server
+ * @returns {boolean} false if another run.js holds it
+ */
+function acquireLock() {
+  try {
+    fs.closeSync(fs.openSync(lockFile(), 'wx', 0o600));
+    return true;
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+  }
+
+  // Left behind by a run.js that died while starting the server
+  try {
+    if (Date.now() - fs.statSync(lockFile()).mtimeMs > START_TIMEOUT) {
+      fs.rmSync(lockFile(), { force: true });
+    }
+  } catch (e) {
+    // Released in the meantime
+  }
+  return false;
+}
+
+/**
+ * Connect to the running server, starting one in the background if needed
+ * @returns {Promise<Object>} Server state
+ */
+async function ensureServer() {
+  const running = await findServer();
+  if (running) return running;
+
+  // The holder has START_TIMEOUT to start the server, after which its lock counts as stale
+  const deadline = Date.now() + 2 * START_TIMEOUT;
+  while (!acquireLock()) {
+    // Another run.js is starting the server
+    if (Date.now() > deadline) throw new Error(`Session server did not start, ${lockFile()} is still locked`);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const state = await findServer();
+    if (state) return state;
+  }
+
+  try {
+    // Started by the run.js that held the lock before us
+    const state = await findServer();
+    if (state) return state;
+    return await startServer();
+  } finally {
+    fs.rmSync(lockFile(), { force: true });
+  }
+}
+
+/**
+ * Start the server in the background and wait until it answers
+ * @returns {Promise<Object>} Server state
+ */
+async function startServer() {
+  const logFile = path.join(sessionDir(), 'server.log');
+  const log = fs.openSync(logFile, 'a', 0o600);
+  const child = spawn(process.execPath, [path.join(__dirname, 'session-server.js')], {
+    cwd: path.join(__dirname, '..'),
+    detached: true,
+    stdio: ['ignore', log, log],
+    // The server records action logs per run (--trace), never for its whole lifetime
+    env: { ...process.env, PW_TRACE: '' },
+  });
+  child.unref();
+  fs.closeSync(log);
+
+  const deadline = Date.now() + START_TIMEOUT;
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    if (child.exitCode !== null) break;
+    const state = await findServer();
+    if (state) return state;
+  }
+  throw new Error(`Session server did not start, see ${logFile}`);
+}
+
+module.exports = {
+  stateFile,
+  serverAddress,
+  validateSessionName,
+  findServer,
+  ensureServer,
+  stopServer,
+  request,
+};
@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+/**
+ * Persistent browser session server for `run.js --session <name>`
+ *
+ * Started in the background by lib/session-client.js the first time a session is used.
+ * Keeps one browser (helpers.launchBrowser(), PW_SESSION_BROWSER picks the type) and
+ * named sessions: a browser context created with helpers.createContext() plus named pages.
+ *
+ * Scripts sent with --session run inside this process, one at a time, as the body of
+ * an async function with these variables:
+ *   session  - { name, context, page(name = 'main'), pages() }
+ *   context  - the session's browser context
+ *   page     - the session's 'main' page
+ *   chromium, firefox, webkit, devices, helpers, require, emit, console
+ * Their console output is streamed back to run.js.
+ *
+ * A script that exceeds its timeout cannot be interrupted from outside, so its session
+ * is closed (which makes pending page calls fail) and the run reports exit status 124.
+ * Uncaught errors and process.exit() calls from a script fail only that run (and close
+ * its session); a script that blocks the event loop is handled by run.js, which stops
+ * the whole server when it does not answer in time.
+ *
+ * The server exits after PW_SESSION_IDLE_TIMEOUT ms without requests (default 30 minutes)
+ * or when `run.js --close-session all` is used.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const Module = require('module');
+const { Console } = require('console');
+const { Writable } = require('stream');
+const playwright = require('playwright');
+const helpers = require('./helpers');
+const recorder = require('./recorder');
+const trace = require('./trace');
+const { stateFile, serverAddress, validateSessionName } = require('./session-client');
+
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000;
+const TIMEOUT_EXIT_CODE = 124;
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+// Scripts share this process; process.exit() is replaced for them, the server keeps the original
+const exit = process.exit.bind(process);
+const skillRequire = Module.createRequire(path.join(__dirname, '..', 'run.js'));
+
+const token = crypto.randomBytes(24).toString('hex');
+const startedAt = new Date().toISOString();
+const browserName = process.env.PW_SESSION_BROWSER || 'chromium';
+const idleTimeout = process.env.PW_SESSION_IDLE_TIMEOUT !== undefined
+  ? Number(process.env.PW_SESSION_IDLE_TIMEOUT)
+  : DEFAULT_IDLE_TIMEOUT;
+
+/** @type {Map<string, { name: string, context: Object, pages: Map<string, Object>, createdAt: string, lastUsedAt: string }>} */
+const sessions = new Map();
+let browser = null;
+let server = null;
+let idleTimer = null;
+let active = 0;
+// Scripts run one at a time so their recordings do not mix
+let queue = Promise.resolve();
+// Fails the run in progress, set by runScript()
+let failRun = null;
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+function resetIdleTimer() {
+  clearTimeout(idleTimer);
+  if (idleTimeout > 0 && active === 0) {
+    idleTimer = setTimeout(() => {
+      log('Idle timeout reached');
+      shutdown();
+    }, idleTimeout);
+  }
+}
+
+async function getBrowser() {
+  if (!browser || !browser.isConnected()) {
+    browser = await helpers.launchBrowser(browserName);
+    browser.on('disconnected', () => {
+      log('Browser disconnected');
+      sessions.clear();
+      browser = null;
+    });
+  }
+  return browser;
+}
+
+/**
+ * Get a session, creating it (and the browser) on first use
+ */
+async function getSession(name) {
+  if (sessions.has(name)) return sessions.get(name);
+
+  const context = await helpers.createContext(await getBrowser());
+  const now = new Date().toISOString();
+  const session = { name, context, pages: new Map(), createdAt: now, lastUsedAt: now };
+  recorder.attachContext(context);
+  context.on('close', () => {
+    if (sessions.get(name) === session) sessions.delete(name);
+  });
+  sessions.set(name, session);
+  log(`Created session ${name}`);
+  return session;
+}
+
+/**
+ * Named page of a session, opened on first use
+ */
+async function sessionPage(session, name = 'main') {
+  const existing = session.pages.get(name);
+  if (existing && !existing.isClosed()) return existing;
+
+  const page = await session.context.newPage();
+  session.pages.set(name, page);
+  page.on('close', () => {
+    if (session.pages.get(name) === page) session.pages.delete(name);
+  });
+  return page;
+}
+
+async function closeSession(name) {
+  const session = sessions.get(name);
+  if (!session) return false;
+  sessions.delete(name);
+  await session.context.close().catch(() => {});
+  log(`Closed session ${name}`);
+  return true;
+}
+
+async function describeSessions() {
+  return Promise.all([...sessions.values()].map(async (session) => ({
+    name: session.name,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    pages: await Promise.all([...session.pages.entries()].map(async ([name, page]) => ({
+      name,
+      url: page.url(),
+      title: await page.title().catch(() => ''),
+    }))),
+  })));
+}
+
+/**
+ * Run a script inside a session
+ * @param {{ session: string, code: string, timeout: number, trace?: string }} message
+ * @param {(message: Object) => void} send
+ * @param {{ aborted: boolean, onAbort: Function|null }} connection
+ */
+async function runScript(message, send, connection) {
+  const runStartedAt = Date.now();
+  // The client's own deadline starts here, not while the run waits in the queue
+  send({ type: 'started' });
+  const stream = (name) => new Writable({
+    write(chunk, encoding, callback) {
+      send({ type: 'output', stream: name, text: chunk.toString() });
+      callback();
+    },
+  });
+  const scriptConsole = new Console({ stdout: stream('stdout'), stderr: stream('stderr') });
+
+  recorder.reset({ echo: false });
+  const emit = (value) => {
+    recorder.emit(value);
+    scriptConsole.log('📤 emit:', JSON.stringify(recorder.toJSONValue(value)));
+    return value;
+  };
+
+  let exitCode = 0;
+  let timedOut = false;
+  let interrupted = false;
+  let timer = null;
+  const session = await getSession(message.session);
+  session.lastUsedAt = new Date().toISOString();
+
+  // --trace: helper calls of this run only
+  if (message.trace) trace.startTrace(message.trace);
+
+  try {
+    const page = await sessionPage(session);
+    recorder.setFinalUrl(page.url());
+    const api = {
+      name: session.name,
+      context: session.context,
+      page: (name) => sessionPage(session, name),
+      pages: () => [...session.pages.keys()],
+    };
+
+    const stopped = new Promise((resolve, reject) => {
+      if (message.timeout > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          interrupted = true;
+          reject(new Error(`Script exceeded the ${message.timeout}ms timeout`));
+        }, message.timeout);
+      }
+      connection.onAbort = () => {
+        interrupted = true;
+        reject(new Error('run.js disconnected'));
+      };
+      failRun = (error) => {
+        interrupted = true;
+        reject(error);
+      };
+    });
+
+    const fn = new AsyncFunction(
+      'session', 'context', 'page', 'chromium', 'firefox', 'webkit', 'devices',
+      'helpers', 'require', 'emit', 'console',
+      message.code
+    );
+    const run = fn(
+      api, session.context, page, playwright.chromium, playwright.firefox, playwright.webkit, playwright.devices,
+      helpers, skillRequire, emit, scriptConsole
+    );
+    recorder.setResult(await Promise.race([run, stopped]));
+  } catch (error) {
+    recorder.setError(error);
+    exitCode = timedOut ? TIMEOUT_EXIT_CODE : 1;
+    if (!timedOut && !connection.aborted) {
+      scriptConsole.error('❌ Automation error:', error.message);
+      if (error.stack) scriptConsole.error(error.stack);
+    }
+    // The script may still be running; closing its context makes it fail fast
+    if (interrupted) await closeSession(message.session);
+  } finally {
+    clearTimeout(timer);
+    failRun = null;
+    if (message.trace) {
+      trace.saveTrace();
+      trace.stopTrace();
+    }
+  }
+
+  send({
+    type: 'done',
+    exitCode,
+    timedOut,
+    durationMs: Date.now() - runStartedAt,
+    recording: recorder.current(),
+  });
+}
+
+async function handle(message, send, connection) {
+  if (message.token !== token) {
+    send({ type: 'error', message: 'Invalid session server token' });
+    return;
+  }
+
+  switch (message.type) {
+    case 'ping':
+      send({ type: 'pong', pid: process.pid });
+      return;
+    case 'list':
+      send({ type: 'sessions', server: readServerInfo(), sessions: await describeSessions() });
+      return;
+    case 'close': {
+      if (message.session === 'all') {
+        const names = [...sessions.keys()];
+        send({ type: 'closed', sessions: names, server: true });
+        setImmediate(shutdown);
+        return;
+      }
+      const closed = await closeSession(message.session);
+      send({ type: 'closed', sessions: closed ? [message.session] : [], server: false });
+      return;
+    }
+    case 'run': {
+      const problem = validateSessionName(message.session);
+      if (problem) {
+        send({ type: 'error', message: problem });
+        return;
+      }
+      const run = queue.then(() => runScript(message, send, connection));
+      queue = run.catch(() => {});
+      await run;
+      return;
+    }
+    default:
+      send({ type: 'error', message: `Unknown request type: ${message.type}` });
+  }
+}
+
+function readServerInfo() {
+  return { pid: process.pid, browser: browserName, address: serverAddress(), startedAt };
+}
+
+function onConnection(socket) {
+  let buffer = '';
+  let handled = false;
+  let finished = false;
+  const connection = { aborted: false, onAbort: null };
+  const send = (message) => {
+    if (!socket.destroyed) socket.write(`${JSON.stringify(message)}\n`);
+  };
+
+  socket.setEncoding('utf8');
+  socket.on('error', () => {});
+  socket.on('close', () => {
+    if (!handled || finished) return;
+    connection.aborted = true;
+    if (connection.onAbort) connection.onAbort();
+  });
+  socket.on('data', (chunk) => {
+    if (handled) return;
+    buffer += chunk;
+    const index = buffer.indexOf('\n');
+    if (index === -1) return;
+    handled = true;
+
+    let message;
+    try {
+      message = JSON.parse(buffer.slice(0, index));
+    } catch (e) {
+      send({ type: 'error', message: 'Malformed request' });
+      socket.end();
+      return;
+    }
+
+    active++;
+    clearTimeout(idleTimer);
+    handle(message, send, connection)
+      .catch((error) => send({ type: 'error', message: error.message }))
+      .finally(() => {
+        finished = true;
+        active--;
+        resetIdleTimer();
+        socket.end();
+      });
+  });
+}
+
+let shuttingDown = false;
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log('Shutting down');
+  clearTimeout(idleTimer);
+  if (server) server.close();
+  for (const name of [...sessions.keys()]) await closeSession(name);
+  if (browser) await browser.close().catch(() => {});
+
+  const state = stateFile();
+  try {
+    if (JSON.parse(fs.readFileSync(state, 'utf8')).pid === process.pid) fs.rmSync(state, { force: true });
+  } catch (e) {
+    // Already removed
+  }
+  const address = serverAddress();
+  if (address.path && process.platform !== 'win32') fs.rmSync(address.path, { force: true });
+  exit(0);
+}
+
+/**
+ * Uncaught errors: a script's callbacks (page.on(...), timers) run outside its
+ * async function, fail the run in progress instead of the whole server
+ */
+function onUncaughtError(error) {
+  if (failRun) {
+    failRun(error instanceof Error ? error : new Error(String(error)));
+    return;
+  }
+  log(`Uncaught error: ${error && error.stack ? error.stack : error}`);
+}
+
+function scriptExit(code) {
+  const error = new Error(`process.exit(${code === undefined ? '' : code}) is not available in session scripts`);
+  if (!failRun) exit(code);
+  failRun(error);
+  throw error;
+}
+
+/**
+ * Whether a server is listening on the UNIX socket
+ */
+function socketAnswers(socketPath) {
+  return new Promise((resolve) => {
+    const socket = net.createConnection(socketPath);
+    socket.on('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.on('error', () => resolve(false));
+  });
+}
+
+async function start() {
+  const address = serverAddress();
+  if (address.path && process.platform !== 'win32') {
+    if (await socketAnswers(address.path)) {
+      log(`Another server is listening on ${address.path}`);
+      exit(1);
+    }
+    // A socket file left behind by a server that crashed
+    fs.rmSync(address.path, { force: true });
+  }
+
+  server = net.createServer(onConnection);
+  server.on('error', (error) => {
+    log(`Server error: ${error.message}`);
+    exit(1);
+  });
+  server.listen(address, () => {
+    if (address.path && process.platform !== 'win32') fs.chmodSync(address.path, 0o600);
+    // Left behind by a server that crashed; only this user can write to the directory
+    fs.rmSync(stateFile(), { force: true });
+    fs.writeFileSync(stateFile(), JSON.stringify({ ...readServerInfo(), token }), { mode: 0o600, flag: 'wx' });
+    log(`Listening on ${address.path || `${address.host}:${address.port}`}`);
+    resetIdleTimer();
+  });
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  process.on('uncaughtException', onUncaughtError);
+  process.on('unhandledRejection', onUncaughtError);
+  process.exit = scriptExit;
+}
+
+start().catch((error) => {
+  log(`Could not start: ${error.message}`);
+  exit(1);
+});
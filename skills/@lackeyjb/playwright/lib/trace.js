@@ -0,0 +1,472 @@
+/**
+ * Action log for helper-driven automation
+ *
+ * While tracing is on, every call to a page helper in lib/helpers.js (safeClick, safeType,
+ * authenticate, scrollPage, ...) is recorded with its resolved selector, arguments, the
+ * page URL before and after, and timing. `run.js --trace <file>` turns tracing on for one
+ * run (through PW_TRACE) and the log is written when the script exits.
+ *
+ *   run.js --replay <file> [--url <url>]   runs the log again, optionally against another origin
+ *   run.js --export-test <file>            writes it out as a standalone @playwright/test spec
+ *
+ * Log format:
+ *   {
+ *     "version": 1,
+ *     "createdAt": "2025-01-01T12:00:00.000Z",
+ *     "startUrl": "http://localhost:3000/login",
+ *     "actions": [
+ *       { "helper": "safeType", "selector": "#email", "args": ["#email", "a@b.c"],
+ *         "url": "http://localhost:3000/login", "urlAfter": "http://localhost:3000/login",
+ *         "at": 412, "durationMs": 38, "ok": true }
+ *     ]
+ *   }
+ *
+ * `args` are the helper arguments after `page`. Secrets (the authenticate() password, and
+ * safeType() into fields whose selector names a password, token, OTP, ... or whose
+ * type is "password") are stored as { "$env": "PW_TRACE_SECRET_1" } and read from that
+ * environment variable on replay. Each distinct value gets its own variable
+ * (PW_TRACE_SECRET_1, PW_TRACE_SECRET_2, ...), so a password and an OTP stay apart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { toJSONValue } = require('./recorder');
+
+const TRACE_VERSION = 1;
+const SECRET_ENV_PREFIX = 'PW_TRACE_SECRET_';
+// Whole words of a selector (camelCase, "-" and "_" split words): #password, [name=otp-code],
+// #accessToken - but not #passenger or [name=tokenizer-input]
+const SECRET_WORD = /(^|[^a-z0-9])(pass|password|passwd|passcode|pwd|secret|token|otp|totp|mfa)([^a-z0-9]|$)/i;
+// How long replay and exported tests wait for a recorded navigation
+const NAVIGATION_TIMEOUT = 15000;
+
+let trace = null;
+const currentAction = new AsyncLocalStorage();
+
+/**
+ * Start recording helper calls
+ * @param {string} [file] - Where saveTrace() writes the log
+ */
+function startTrace(file) {
+  // secrets: value -> environment variable name, kept in memory only
+  trace = { file: file || null, startedAt: Date.now(), actions: [], secrets: new Map() };
+}
+
+/**
+ * The log recorded so far
+ */
+function getTrace() {
+  if (!trace) return null;
+  const first = trace.actions.find(action => action.url);
+  return {
+    version: TRACE_VERSION,
+    createdAt: new Date(trace.startedAt).toISOString(),
+    startUrl: first ? first.url : null,
+    actions: trace.actions,
+  };
+}
+
+/**
+ * Stop recording
+ * @returns {Object|null} The recorded log
+ */
+function stopTrace() {
+  const log = getTrace();
+  trace = null;
+  return log;
+}
+
+/**
+ * Write the log (synchronous, so it also works from process.on('exit'))
+ */
+function saveTrace(file) {
+  const target = file || (trace && trace.file);
+  if (!trace || !target) return;
+  fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+  fs.writeFileSync(target, `${JSON.stringify(getTrace(), null, 2)}\n`, 'utf8');
+}
+
+function pageUrl(page) {
+  try {
+    return page && typeof page.url === 'function' ? page.url() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function selectorOf(helper, args) {
+  switch (helper) {
+    case 'safeClick':
+    case 'safeType':
+    case 'extractTexts':
+    case 'extractTableData':
+      return typeof args[0] === 'string' ? args[0] : null;
+    case 'waitForPageReady':
+      return (args[0] && args[0].waitForSelector) || null;
+    default:
+      return null;
+  }
+}
+
+function isSecretSelector(selector) {
+  return SECRET_WORD.test(String(selector).replace(/([a-z0-9])([A-Z])/g, '$1 $2'));
+}
+
+/**
+ * Placeholder for a secret value: the same value (a password typed twice) reuses its variable
+ */
+function secretRef(value) {
+  if (!trace.secrets.has(value)) {
+    trace.secrets.set(value, `${SECRET_ENV_PREFIX}${trace.secrets.size + 1}`);
+  }
+  return { $env: trace.secrets.get(value) };
+}
+
+function maskSecrets(helper, args) {
+  if (helper === 'authenticate' && args[0]) {
+    return [{ ...args[0], password: secretRef(args[0].password) }, ...args.slice(1)];
+  }
+  if (helper === 'safeType' && isSecretSelector(args[0])) {
+    return [args[0], secretRef(args[1]), ...args.slice(2)];
+  }
+  return args;
+}
+
+/**
+ * Wrap a page helper so its calls are recorded while tracing is on
+ * @param {string} helper - Name the helper is exported under
+ * @param {Function} fn - async (page, ...args) => any
+ */
+function traced(helper, fn) {
+  return async function tracedHelper(page, ...args) {
+    // Helpers called from inside another traced helper are part of that action
+    if (!trace || currentAction.getStore()) return fn(page, ...args);
+
+    const action = {
+      helper,
+      selector: selectorOf(helper, args),
+      args: toJSONValue(maskSecrets(helper, args)),
+      url: pageUrl(page),
+      urlAfter: null,
+      at: Date.now() - trace.startedAt,
+      durationMs: 0,
+      ok: false,
+    };
+    trace.actions.push(action);
+
+    const startedAt = Date.now();
+    try {
+      const result = await currentAction.run(action, () => fn(page, ...args));
+      action.ok = true;
+      return result;
+    } catch (error) {
+      action.error = error.message;
+      throw error;
+    } finally {
+      action.durationMs = Date.now() - startedAt;
+      action.urlAfter = pageUrl(page);
+    }
+  };
+}
+
+/**
+ * Add details only known inside a helper (e.g. which selector matched) to the current action
+ */
+function annotate(details) {
+  const action = currentAction.getStore();
+  if (action) Object.assign(action, toJSONValue(details));
+}
+
+/**
+ * Store the value typed by the current safeType() action as a secret, for password
+ * fields that are only recognised once the element is found (type="password").
+ * Does nothing when safeType() runs inside another helper (authenticate() masks its own).
+ */
+function maskTypedValue() {
+  const action = currentAction.getStore();
+  if (action && action.helper === 'safeType' && !(action.args[1] && action.args[1].$env)) {
+    action.args = [action.args[0], secretRef(action.args[1]), ...action.args.slice(2)];
+  }
+}
+
+/**
+ * Read and check an action log
+ */
+function readTrace(file) {
+  let log;
+  try {
+    log = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read action log ${file}: ${e.message}`);
+  }
+  if (!log || log.version !== TRACE_VERSION || !Array.isArray(log.actions)) {
+    throw new Error(`${file} is not a version ${TRACE_VERSION} action log`);
+  }
+  return log;
+}
+
+/**
+ * Map recorded URLs onto another origin
+ * @param {string|undefined} base - URL whose origin replaces the recorded one
+ * @returns {(url: string|null) => string|null}
+ */
+function rebaser(base) {
+  const origin = base ? new URL(base).origin : null;
+  return (url) => {
+    if (!url || !/^https?:/.test(url)) return null;
+    if (!origin) return url;
+    const recorded = new URL(url);
+    return new URL(recorded.pathname + recorded.search + recorded.hash, origin).href;
+  };
+}
+
+function resolveSecrets(value) {
+  if (Array.isArray(value)) return value.map(resolveSecrets);
+  if (value && typeof value === 'object') {
+    if (typeof value.$env === 'string') {
+      if (process.env[value.$env] === undefined) {
+        throw new Error(`Set ${value.$env} to replay this action log (it contains a secret)`);
+      }
+      return process.env[value.$env];
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveSecrets(item)]));
+  }
+  return value;
+}
+
+function describeAction(action, index, total) {
+  return `${index + 1}/${total} ${action.helper}${action.selector ? ` ${action.selector}` : ''}`;
+}
+
+/**
+ * Run an action log again in a new browser
+ *
+ * Navigations that happened outside helpers (page.goto() in the script) are repeated
+ * with page.goto(); navigations caused by a helper are waited for and checked.
+ * Actions that failed when recorded are skipped.
+ *
+ * @param {string} file - Action log
+ * @param {Object} [options]
+ * @param {string} [options.url] - Replay against this origin instead of the recorded one
+ * @param {string} [options.browser] - 'chromium', 'firefox' or 'webkit'
+ * @returns {Promise<{ actions: number, skipped: number, finalUrl: string }>}
+ */
+async function replayTrace(file, options = {}) {
+  const helpers = require('./helpers');
+  const log = readTrace(file);
+  const rebase = rebaser(options.url);
+  const total = log.actions.length;
+  let skipped = 0;
+
+  const browser = await helpers.launchBrowser(options.browser || 'chromium');
+  try {
+    const context = await helpers.createContext(browser);
+    const page = await context.newPage();
+    let previousUrl = null;
+
+    console.log(`🔁 Replaying ${total} actions from ${file}`);
+    for (const [index, action] of log.actions.entries()) {
+      const label = describeAction(action, index, total);
+      if (!action.ok) {
+        console.log(`⏭️  ${label} (failed when recorded, skipped)`);
+        skipped++;
+        continue;
+      }
+
+      const url = rebase(action.url);
+      if (url && action.url !== previousUrl && page.url() !== url) {
+        await page.goto(url);
+      }
+
+      console.log(`▶️  ${label}`);
+      try {
+        await helpers[action.helper](page, ...resolveSecrets(action.args));
+        const expected = rebase(action.urlAfter);
+        if (expected && action.urlAfter !== action.url) {
+          await page.waitForURL(expected, { timeout: NAVIGATION_TIMEOUT });
+        }
+      } catch (error) {
+        throw new Error(`Replay failed at ${label}: ${error.message}`);
+      }
+      previousUrl = action.urlAfter;
+    }
+
+    console.log(`✅ Replayed ${total - skipped} actions${skipped ? ` (${skipped} skipped)` : ''}`);
+    return { actions: total - skipped, skipped, finalUrl: page.url() };
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * JavaScript source for a recorded value (single-quoted strings, secrets read from the environment)
+ */
+function literal(value) {
+  if (value && typeof value === 'object' && typeof value.$env === 'string') {
+    return `process.env.${value.$env}`;
+  }
+  if (typeof value === 'string') {
+    return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Environment variables the log reads secrets from, with the action that first uses each
+ * @returns {Map<string, string>}
+ */
+function secretsOf(log) {
+  const found = new Map();
+  const visit = (value, action, index) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, action, index));
+    } else if (value && typeof value === 'object') {
+      if (typeof value.$env === 'string') {
+        if (!found.has(value.$env)) found.set(value.$env, describeAction(action, index, log.actions.length));
+        return;
+      }
+      Object.values(value).forEach(item => visit(item, action, index));
+    }
+  };
+  log.actions.forEach((action, index) => visit(action.args, action, index));
+  return found;
+}
+
+function relativeUrl(url) {
+  const parsed = new URL(url);
+  return `new URL(${literal(parsed.pathname + parsed.search + parsed.hash)}, BASE_URL).href`;
+}
+
+/**
+ * Playwright statements equivalent to one helper call
+ * @returns {string[]}
+ */
+function actionStatements(action) {
+  const args = action.args || [];
+  const first = (selector) => `page.locator(${literal(selector)}).first()`;
+
+  switch (action.helper) {
+    case 'safeClick':
+      return [`await ${first(args[0])}.click(${args[1] && args[1].force ? '{ force: true }' : ''});`];
+    case 'safeType': {
+      const options = args[2] || {};
+      if (options.slow) {
+        return [
+          ...(options.clear !== false ? [`await ${first(args[0])}.fill('');`] : []),
+          `await ${first(args[0])}.pressSequentially(${literal(args[1])}, { delay: ${options.delay || 100} });`,
+        ];
+      }
+      return [`await ${first(args[0])}.fill(${literal(args[1])});`];
+    }
+    case 'authenticate': {
+      const selectors = action.selectors || {};
+      return [
+        `await ${first(selectors.username)}.fill(${literal(args[0].username)});`,
+        `await ${first(selectors.password)}.fill(${literal(args[0].password)});`,
+        `await ${first(selectors.submit)}.click();`,
+        ...(action.urlAfter === action.url && selectors.successIndicator
+          ? [`await expect(${first(selectors.successIndicator)}).toBeVisible();`]
+          : []),
+      ];
+    }
+    case 'extractTexts':
+    case 'extractTableData':
+      return [`await expect(${first(args[0])}).toBeVisible();`];
+    case 'takeScreenshot': {
+      const options = args[1] || {};
+      return [`await page.screenshot({ path: test.info().outputPath(${literal(`${args[0]}.png`)}), fullPage: ${options.fullPage !== false} });`];
+    }
+    case 'scrollPage': {
+      const direction = args[0] || 'down';
+      const distance = args[1] || 500;
+      const script = {
+        down: `window.scrollBy(0, ${distance})`,
+        up: `window.scrollBy(0, -${distance})`,
+        top: 'window.scrollTo(0, 0)',
+        bottom: 'window.scrollTo(0, document.body.scrollHeight)',
+      }[direction];
+      return script ? [`await page.evaluate(() => ${script});`] : [];
+    }
+    case 'handleCookieBanner':
+      return action.selector
+        ? [`await ${first(action.selector)}.click({ timeout: ${args[0] || 3000} }).catch(() => {});`]
+        : ['// No cookie banner when recorded'];
+    case 'waitForPageReady': {
+      const options = args[0] || {};
+      return [
+        `await page.waitForLoadState(${literal(options.waitUntil || 'networkidle')});`,
+        ...(options.waitForSelector ? [`await ${first(options.waitForSelector)}.waitFor();`] : []),
+      ];
+    }
+    default:
+      return [`// ${action.helper}: no Playwright equivalent, skipped`];
+  }
+}
+
+/**
+ * Turn an action log into a standalone @playwright/test spec
+ * @param {Object} log - From readTrace()
+ * @param {Object} [options]
+ * @param {string} [options.source] - Log file name, mentioned in the header comment
+ * @param {string} [options.title] - Test title
+ * @returns {string}
+ */
+function exportTest(log, options = {}) {
+  const baseUrl = log.startUrl && /^https?:/.test(log.startUrl) ? new URL(log.startUrl).origin : 'http://localhost:3000';
+  const secrets = secretsOf(log);
+  const body = [];
+  let previousUrl = null;
+
+  for (const [index, action] of log.actions.entries()) {
+    if (!action.ok) {
+      body.push(`// ${describeAction(action, index, log.actions.length)}: failed when recorded, skipped`);
+      continue;
+    }
+    if (action.url && /^https?:/.test(action.url) && action.url !== previousUrl) {
+      body.push(`await page.goto(${relativeUrl(action.url)});`);
+    }
+    body.push(`// ${describeAction(action, index, log.actions.length)}`);
+    body.push(...actionStatements(action));
+    if (action.urlAfter && /^https?:/.test(action.urlAfter) && action.urlAfter !== action.url) {
+      body.push(`await page.waitForURL(${relativeUrl(action.urlAfter)}, { timeout: ${NAVIGATION_TIMEOUT} });`);
+    }
+    previousUrl = action.urlAfter;
+  }
+
+  return [
+    `// Generated by run.js --export-test${options.source ? ` from ${options.source}` : ''}`,
+    `// ${log.actions.length} helper calls recorded ${log.createdAt}`,
+    `// Run with: BASE_URL=${baseUrl}${[...secrets.keys()].map(name => ` ${name}=...`).join('')} npx playwright test <this file>`,
+    ...[...secrets].map(([name, action]) => `//   ${name}: ${action}`),
+    '',
+    "const { test, expect } = require('@playwright/test');",
+    '',
+    `const BASE_URL = process.env.BASE_URL || ${literal(baseUrl)};`,
+    '',
+    `test(${literal(options.title || 'recorded flow')}, async ({ page }) => {`,
+    ...body.map(line => `  ${line}`),
+    '});',
+    '',
+  ].join('\n');
+}
+
+// run.js --trace passes the log file through the environment
+if (process.env.PW_TRACE) {
+  startTrace(process.env.PW_TRACE);
+  process.on('exit', () => saveTrace());
+}
+
+module.exports = {
+  TRACE_VERSION,
+  startTrace,
+  stopTrace,
+  getTrace,
+  saveTrace,
+  traced,
+  annotate,
+  maskTypedValue,
+  readTrace,
+  replayTrace,
+  exportTest,
+};
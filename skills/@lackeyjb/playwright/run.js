@@ -7,12 +7,55 @@
  * - Inline code: node run.js 'await page.goto("...")'
  * - Stdin: cat script.js | node run.js
  *
- * Ensures proper module resolution by running from skill directory.
+ * Each script runs in its own child process and temp directory (the sandbox):
+ * - `lib/` and `node_modules/` are linked into the sandbox, so `require('playwright')`
+ *   and `require('./lib/helpers')` resolve as if the script lived in the skill directory
+ * - TMPDIR points inside the sandbox; browser profiles and artifacts are removed with it
+ * - A wall-clock timeout (--timeout <ms>, PW_RUN_TIMEOUT, default 5 minutes, 0 = none)
+ *   stops the script and every browser it launched
+ *
+ * With --session <name>, the script runs in a named session of the persistent session
+ * server instead (lib/session-server.js), so pages and logins survive between calls;
+ * --list-sessions and --close-session <name|all> manage them.
+ *
+ * --trace <file> records helper calls as an action log (lib/trace.js); --replay <file>
+ * [--url <url>] runs a log again and --export-test <file> [--output <spec>] turns it into
+ * a standalone @playwright/test file.
+ *
+ * With --json, progress messages go to stderr and a single result object is printed to
+ * stdout when the script finishes (see buildResult() for the schema).
+ *
+ * Exits with the script's exit status, or 124 when the timeout is reached.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, spawn } = require('child_process');
+const { RESULT_VERSION } = require('./lib/recorder');
+const sessionClient = require('./lib/session-client');
+
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+// Time given to the script to close its browsers after SIGTERM
+const KILL_GRACE_PERIOD = 5000;
+// Time given to the session server to stop a script that timed out and answer
+const SESSION_STOP_GRACE = 10000;
+const TIMEOUT_EXIT_CODE = 124;
+const SANDBOX_PREFIX = 'playwright-skill-';
+
+// --json: stdout is reserved for the result object
+let jsonMode = false;
+
+/**
+ * Print a progress message (to stderr in --json mode)
+ */
+function info(...args) {
+  if (jsonMode) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
 
 // Change to skill directory for proper module resolution
 process.chdir(__dirname);
@@ -33,11 +76,12 @@ function checkPlaywrightInstalled() {
  * Install Playwright if missing
  */
 function installPlaywright() {
-  console.log('📦 Playwright not found. Installing...');
+  info('📦 Playwright not found. Installing...');
   try {
-    execSync('npm install', { stdio: 'inherit', cwd: __dirname });
-    execSync('npx playwright install chromium', { stdio: 'inherit', cwd: __dirname });
-    console.log('✅ Playwright installed successfully');
+    const stdio = jsonMode ? ['inherit', process.stderr, 'inherit'] : 'inherit';
+    execSync('npm install', { stdio, cwd: __dirname });
+    execSync('npx playwright install chromium', { stdio, cwd: __dirname });
+    info('✅ Playwright installed successfully');
     return true;
   } catch (e) {
     console.error('❌ Failed to install Playwright:', e.message);
@@ -47,27 +91,93 @@ function installPlaywright() {
 }
 
 /**
- * Get code to execute from various sources
+ * Remove a boolean flag from args
+ */
+function takeFlag(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return false;
+  args.splice(index, 1);
+  return true;
+}
+
+/**
+ * Remove `--name value` or `--name=value` from args
+ * @returns {string|undefined}
+ */
+function takeValue(args, name) {
+  const index = args.findIndex(arg => arg === name || arg.startsWith(`${name}=`));
+  if (index === -1) return undefined;
+  const [flag] = args.splice(index, 1);
+  if (flag.includes('=')) return flag.slice(flag.indexOf('=') + 1);
+  const [value] = args.splice(index, 1);
+  if (value === undefined) {
+    console.error(`❌ ${name} needs a value`);
+    process.exit(2);
+  }
+  return value;
+}
+
+/**
+ * Split run.js options from the script arguments
+ * @returns {{ timeout: number, json: boolean, session: string|undefined,
+ *   listSessions: boolean, closeSession: string|undefined, trace: string|undefined,
+ *   replay: string|undefined, url: string|undefined, exportTest: string|undefined,
+ *   output: string|undefined, args: string[] }}
  */
-function getCodeToExecute() {
-  const args = process.argv.slice(2);
+function parseOptions(argv) {
+  const args = [...argv];
+  const json = takeFlag(args, '--json');
+  const listSessions = takeFlag(args, '--list-sessions');
+  const session = takeValue(args, '--session');
+  const closeSession = takeValue(args, '--close-session');
+  const trace = takeValue(args, '--trace');
+  const replay = takeValue(args, '--replay');
+  const url = takeValue(args, '--url');
+  const exportTest = takeValue(args, '--export-test');
+  const output = takeValue(args, '--output');
+
+  let timeout = process.env.PW_RUN_TIMEOUT !== undefined ? Number(process.env.PW_RUN_TIMEOUT) : DEFAULT_TIMEOUT;
+  const timeoutValue = takeValue(args, '--timeout');
+  if (timeoutValue !== undefined) timeout = Number(timeoutValue);
+
+  if (!Number.isFinite(timeout) || timeout < 0) {
+    console.error('❌ Timeout must be a number of milliseconds (0 disables it)');
+    process.exit(2);
+  }
 
+  const sessionProblem = session !== undefined && sessionClient.validateSessionName(session);
+  const closeProblem = closeSession !== undefined && closeSession !== 'all' && sessionClient.validateSessionName(closeSession);
+  if (sessionProblem || closeProblem) {
+    console.error(`❌ ${sessionProblem || closeProblem}`);
+    process.exit(2);
+  }
+  if (url !== undefined && !/^https?:\/\/./.test(url)) {
+    console.error('❌ --url must be an http(s) URL');
+    process.exit(2);
+  }
+  return { timeout, json, session, listSessions, closeSession, trace, replay, url, exportTest, output, args };
+}
+
+/**
+ * Get code to execute from various sources
+ */
+function getCodeToExecute(args) {
   // Case 1: File path provided
   if (args.length > 0 && fs.existsSync(args[0])) {
     const filePath = path.resolve(args[0]);
-    console.log(`📄 Executing file: ${filePath}`);
+    info(`📄 Executing file: ${filePath}`);
     return fs.readFileSync(filePath, 'utf8');
   }
 
   // Case 2: Inline code provided as argument
   if (args.length > 0) {
-    console.log('⚡ Executing inline code');
+    info('⚡ Executing inline code');
     return args.join(' ');
   }
 
   // Case 3: Code from stdin
   if (!process.stdin.isTTY) {
-    console.log('📥 Reading from stdin');
+    info('📥 Reading from stdin');
     return fs.readFileSync(0, 'utf8');
   }
 
@@ -77,42 +187,379 @@ function getCodeToExecute() {
   console.error('  node run.js script.js          # Execute file');
   console.error('  node run.js "code here"        # Execute inline');
   console.error('  cat script.js | node run.js    # Execute from stdin');
+  console.error('  node run.js --timeout 60000 script.js   # Stop after 60s (default 5 min, 0 = none)');
+  console.error('  node run.js --json script.js   # Print a JSON result object');
+  console.error('  node run.js --session login "await page.goto(...)"   # Run in a persistent session');
+  console.error('  node run.js --list-sessions | --close-session <name|all>');
+  console.error('  node run.js --trace /tmp/actions.json script.js   # Record helper calls');
+  console.error('  node run.js --replay /tmp/actions.json [--url http://localhost:3000]');
+  console.error('  node run.js --export-test /tmp/actions.json [--output flow.spec.js]');
   process.exit(1);
 }
 
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
 /**
- * Clean up old temporary execution files from previous runs
+ * Clean up leftovers from previous runs: temp files written to the skill directory by
+ * older versions, and sandboxes whose executor was killed before it could remove them
  */
 function cleanupOldTempFiles() {
   try {
-    const files = fs.readdirSync(__dirname);
-    const tempFiles = files.filter(f => f.startsWith('.temp-execution-') && f.endsWith('.js'));
+    fs.readdirSync(__dirname)
+      .filter(f => f.startsWith('.temp-execution-') && f.endsWith('.js'))
+      .forEach(file => fs.rmSync(path.join(__dirname, file), { force: true }));
+  } catch (e) {
+    // Ignore errors - file might be in use or already deleted
+  }
+
+  try {
+    for (const entry of fs.readdirSync(os.tmpdir())) {
+      const match = entry.match(new RegExp(`^${SANDBOX_PREFIX}(\\d+)-`));
+      if (match && !isProcessAlive(Number(match[1]))) {
+        fs.rmSync(path.join(os.tmpdir(), entry), { recursive: true, force: true });
+      }
+    }
+  } catch (e) {
+    // Ignore errors - another executor may be removing the same sandbox
+  }
+}
+
+/**
+ * Create the sandbox directory for one run
+ * @returns {{ dir: string, script: string, tmp: string }}
+ */
+function createSandbox(code) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${SANDBOX_PREFIX}${process.pid}-`));
+  const tmp = path.join(dir, 'tmp');
+  fs.mkdirSync(tmp);
+
+  for (const name of ['lib', 'node_modules']) {
+    const target = path.join(__dirname, name);
+    if (fs.existsSync(target)) {
+      fs.symlinkSync(target, path.join(dir, name), 'junction');
+    }
+  }
+
+  const script = path.join(dir, 'script.js');
+  fs.writeFileSync(script, code, 'utf8');
+  return { dir, script, tmp };
+}
+
+/**
+ * Kill a process and, where supported, its whole process group
+ */
+function killTree(pid, signal) {
+  if (process.platform !== 'win32') {
+    try {
+      process.kill(-pid, signal);
+      return;
+    } catch (e) {
+      // Not a group leader - fall back to the process itself
+    }
+  }
+  try {
+    process.kill(pid, signal);
+  } catch (e) {
+    // Already gone
+  }
+}
+
+/**
+ * Run the script in a child process inside its sandbox
+ * @param {string} code - Wrapped script
+ * @param {{ timeout: number, json: boolean, trace?: string }} options
+ * @returns {Promise<{ exitCode: number, timedOut: boolean, durationMs: number,
+ *   recording: Object|null, stdout: string, stderr: string }>}
+ *   recording is what lib/recorder.js saved (--json only; null if the script was killed)
+ */
+function runInSandbox(code, options) {
+  const sandbox = createSandbox(code);
+  const browserPids = new Set();
+  let timedOut = false;
+  let interrupted = null;
+  let killTimer = null;
+  const resultFile = path.join(sandbox.dir, 'result.json');
+  const output = { stdout: '', stderr: '' };
+  const startedAt = Date.now();
+
+  const env = { ...process.env, TMPDIR: sandbox.tmp, TMP: sandbox.tmp, TEMP: sandbox.tmp, PW_SANDBOX_DIR: sandbox.dir };
+  if (options.json) env.PW_RESULT_FILE = resultFile;
+  if (options.trace) env.PW_TRACE = options.trace;
+
+  const child = spawn(process.execPath, [path.join(__dirname, 'lib', 'sandbox.js'), sandbox.script], {
+    cwd: __dirname,
+    // --json captures the script's own output into the result instead of mixing it into stdout
+    stdio: ['ignore', options.json ? 'pipe' : 'inherit', options.json ? 'pipe' : 'inherit', 'ipc'],
+    // Own process group, so the script and everything it started can be stopped together
+    detached: process.platform !== 'win32',
+    env,
+  });
+
+  if (options.json) {
+    child.stdout.setEncoding('utf8').on('data', (chunk) => { output.stdout += chunk; });
+    child.stderr.setEncoding('utf8').on('data', (chunk) => { output.stderr += chunk; });
+  }
+
+  child.on('message', (message) => {
+    if (message && message.type === 'browser') browserPids.add(message.pid);
+  });
+
+  const stop = () => {
+    if (killTimer) return;
+    killTree(child.pid, 'SIGTERM');
+    killTimer = setTimeout(() => {
+      killTree(child.pid, 'SIGKILL');
+      browserPids.forEach(pid => killTree(pid, 'SIGKILL'));
+    }, KILL_GRACE_PERIOD);
+  };
+
+  const timer = options.timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      console.error(`\n⏱️  Script exceeded the ${options.timeout / 1000}s timeout, stopping it...`);
+      stop();
+    }, options.timeout)
+    : null;
+
+  const onSignal = (signal) => {
+    interrupted = signal;
+    stop();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  return new Promise((resolve) => {
+    // 'close' waits for the piped output to be fully read
+    child.on('close', (exitCode, signal) => {
+      const durationMs = Date.now() - startedAt;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      process.removeListener('SIGINT', onSignal);
+      process.removeListener('SIGTERM', onSignal);
 
-    if (tempFiles.length > 0) {
-      tempFiles.forEach(file => {
-        const filePath = path.join(__dirname, file);
+      // Browsers normally exit with the script; make sure none outlive it
+      browserPids.forEach(pid => {
+        if (isProcessAlive(pid)) killTree(pid, 'SIGKILL');
+      });
+
+      let recording = null;
+      if (options.json && fs.existsSync(resultFile)) {
         try {
-          fs.unlinkSync(filePath);
+          recording = JSON.parse(fs.readFileSync(resultFile, 'utf8'));
         } catch (e) {
-          // Ignore errors - file might be in use or already deleted
+          // Partially written when the script was killed
         }
-      });
+      }
+
+      try {
+        fs.rmSync(sandbox.dir, { recursive: true, force: true });
+      } catch (e) {
+        console.error(`⚠️  Could not remove sandbox ${sandbox.dir}: ${e.message}`);
+      }
+
+      let status = exitCode === null ? 1 : exitCode;
+      if (timedOut) status = TIMEOUT_EXIT_CODE;
+      else if (interrupted) status = 128 + os.constants.signals[interrupted];
+      else if (signal) status = 128 + (os.constants.signals[signal] || 0);
+
+      resolve({ exitCode: status, timedOut, durationMs, recording, ...output });
+    });
+  });
+}
+
+/**
+ * Run the script in a named session of the session server (started if needed)
+ * @param {string} code - Script body; `session`, `context` and `page` are provided
+ * @param {{ session: string, timeout: number, json: boolean, trace?: string }} options
+ * @returns {Promise<Object>} Same shape as runInSandbox()
+ */
+async function runInSession(code, options) {
+  const state = await sessionClient.ensureServer();
+  const output = { stdout: '', stderr: '' };
+  const startedAt = Date.now();
+
+  let done;
+  try {
+    // The deadline counts from when the server starts the run, not while it waits behind other runs
+    done = await sessionClient.request(state, {
+      type: 'run',
+      session: options.session,
+      code,
+      timeout: options.timeout,
+      trace: options.trace,
+    }, (message) => {
+      if (message.type !== 'output') return;
+      if (options.json) {
+        output[message.stream] += message.text;
+      } else {
+        (message.stream === 'stderr' ? process.stderr : process.stdout).write(message.text);
+      }
+    }, { timeout: options.timeout > 0 ? options.timeout + SESSION_STOP_GRACE : 0, timeoutFrom: 'started' });
+  } catch (error) {
+    if (!error.timedOut) throw error;
+    // The server enforces the timeout itself unless the script blocks its event loop
+    sessionClient.stopServer(state);
+    console.error(`\n⏱️  Script exceeded the ${options.timeout / 1000}s timeout and the session server stopped responding; it was killed and all sessions were closed`);
+    return { exitCode: TIMEOUT_EXIT_CODE, timedOut: true, durationMs: Date.now() - startedAt, recording: null, ...output };
+  }
+
+  if (done.type === 'error') throw new Error(done.message);
+  if (done.timedOut) {
+    console.error(`\n⏱️  Script exceeded the ${options.timeout / 1000}s timeout, session "${options.session}" was closed`);
+  }
+  return {
+    exitCode: done.exitCode,
+    timedOut: done.timedOut,
+    durationMs: done.durationMs,
+    recording: done.recording,
+    ...output,
+  };
+}
+
+/**
+ * Print the sessions of the running session server
+ */
+async function listSessions(json) {
+  const state = await sessionClient.findServer();
+  const answer = state ? await sessionClient.request(state, { type: 'list' }) : { server: null, sessions: [] };
+  if (answer.type === 'error') throw new Error(answer.message);
+
+  if (json) {
+    process.stdout.write(`${JSON.stringify({ server: answer.server, sessions: answer.sessions }, null, 2)}\n`);
+    return;
+  }
+  if (!answer.server) {
+    console.log('No session server running');
+    return;
+  }
+
+  console.log(`🗂️  Session server pid ${answer.server.pid} (${answer.server.browser}, started ${answer.server.startedAt})`);
+  if (answer.sessions.length === 0) {
+    console.log('   No sessions');
+  }
+  for (const session of answer.sessions) {
+    console.log(`\n   ${session.name} (last used ${session.lastUsedAt})`);
+    for (const page of session.pages) {
+      console.log(`     ${page.name.padEnd(12)} ${page.url}${page.title ? `  "${page.title}"` : ''}`);
     }
-  } catch (e) {
-    // Ignore directory read errors
   }
 }
 
+/**
+ * Close one session, or all of them and the server
+ * @returns {Promise<number>} Exit status
+ */
+async function closeSessions(name, json) {
+  const state = await sessionClient.findServer();
+  const answer = state
+    ? await sessionClient.request(state, { type: 'close', session: name })
+    : { type: 'closed', sessions: [], server: false };
+  if (answer.type === 'error') throw new Error(answer.message);
+
+  const found = name === 'all' || answer.sessions.length > 0;
+  if (json) {
+    process.stdout.write(`${JSON.stringify({ closed: answer.sessions, server: answer.server }, null, 2)}\n`);
+  } else if (!state) {
+    console.log('No session server running');
+  } else if (!found) {
+    console.error(`❌ No session named "${name}"`);
+  } else {
+    answer.sessions.forEach(session => console.log(`🗑️  Closed session ${session}`));
+    if (answer.server) console.log('🛑 Session server stopped');
+  }
+  return found || !state ? 0 : 1;
+}
+
+/**
+ * Write an action log out as a @playwright/test spec
+ * @param {string} file - Action log recorded with --trace
+ * @param {string|undefined} output - Spec file (default: next to the log, ending in .spec.js)
+ */
+function writeExportedTest(file, output, json) {
+  // Loaded here: lib/trace.js starts tracing on load when PW_TRACE is set
+  const { readTrace, exportTest } = require('./lib/trace');
+  const logFile = path.resolve(file);
+  const log = readTrace(logFile);
+  const specFile = path.resolve(output || logFile.replace(/(\.json)?$/, '.spec.js'));
+
+  fs.writeFileSync(specFile, exportTest(log, { source: path.basename(logFile) }), 'utf8');
+  if (json) {
+    process.stdout.write(`${JSON.stringify({ file: specFile, actions: log.actions.length }, null, 2)}\n`);
+  } else {
+    console.log(`📝 Wrote ${specFile} (${log.actions.length} actions)`);
+  }
+}
+
+/**
+ * Build the --json result object
+ *
+ * {
+ *   "version": 1,
+ *   "ok": true,                 // exitCode === 0
+ *   "exitCode": 0,
+ *   "timedOut": false,
+ *   "durationMs": 1234,
+ *   "result": null,             // value returned by the script (wrapped scripts only)
+ *   "emitted": [],              // values passed to emit(), in order
+ *   "screenshots": [{ "path": "/tmp/home.png", "fullPage": true, "url": "...", "bytes": 48213 }],
+ *   "console": [{ "type": "error", "text": "...", "url": "..." }],   // browser console
+ *   "pageErrors": [{ "message": "...", "stack": "...", "url": "..." }],
+ *   "finalUrl": "http://localhost:3000/dashboard",                    // last main-frame navigation
+ *   "error": null,              // { "message", "stack" } when the script failed or timed out
+ *   "stdout": "",               // the script's own console output
+ *   "stderr": ""
+ * }
+ */
+function buildResult(run, options) {
+  const recording = run.recording || {};
+  let error = recording.error || null;
+  if (!error && run.timedOut) {
+    error = { message: `Script exceeded the ${options.timeout}ms timeout`, stack: null };
+  } else if (!error && run.exitCode !== 0) {
+    error = { message: `Script exited with status ${run.exitCode}`, stack: null };
+  }
+
+  return {
+    version: RESULT_VERSION,
+    ok: run.exitCode === 0,
+    exitCode: run.exitCode,
+    timedOut: run.timedOut,
+    durationMs: run.durationMs,
+    result: recording.result === undefined ? null : recording.result,
+    emitted: recording.emitted || [],
+    screenshots: recording.screenshots || [],
+    console: recording.console || [],
+    pageErrors: recording.pageErrors || [],
+    finalUrl: recording.finalUrl || null,
+    error,
+    stdout: run.stdout,
+    stderr: run.stderr,
+  };
+}
+
+/**
+ * Check if code already has require() and async structure
+ */
+function isCompleteScript(code) {
+  return code.includes('require(') && (code.includes('(async () => {') || code.includes('(async()=>{'));
+}
+
 /**
  * Wrap code in async IIFE if not already wrapped
  */
 function wrapCodeIfNeeded(code) {
-  // Check if code already has require() and async structure
   const hasRequire = code.includes('require(');
   const hasAsyncIIFE = code.includes('(async () => {') || code.includes('(async()=>{');
 
   // If it's already a complete script, return as-is
-  if (hasRequire && hasAsyncIIFE) {
+  if (isCompleteScript(code)) {
     return code;
   }
 
@@ -142,16 +589,10 @@ function getContextOptionsWithHeaders(options = {}) {
   };
 }
 
-(async () => {
-  try {
-    ${code}
-  } catch (error) {
-    console.error('❌ Automation error:', error.message);
-    if (error.stack) {
-      console.error(error.stack);
-    }
-    process.exit(1);
-  }
+// lib/sandbox.js awaits this promise: the resolved value becomes the run's result,
+// a rejection is reported as an automation error (exit status 1)
+module.exports = (async () => {
+  ${code}
 })();
 `;
   }
@@ -159,16 +600,10 @@ function getContextOptionsWithHeaders(options = {}) {
   // If has require but no async wrapper
   if (!hasAsyncIIFE) {
     return `
-(async () => {
-  try {
-    ${code}
-  } catch (error) {
-    console.error('❌ Automation error:', error.message);
-    if (error.stack) {
-      console.error(error.stack);
-    }
-    process.exit(1);
-  }
+// lib/sandbox.js awaits this promise: the resolved value becomes the run's result,
+// a rejection is reported as an automation error (exit status 1)
+module.exports = (async () => {
+  ${code}
 })();
 `;
   }
@@ -180,9 +615,31 @@ function getContextOptionsWithHeaders(options = {}) {
  * Main execution
  */
 async function main() {
-  console.log('🎭 Playwright Skill - Universal Executor\n');
+  const {
+    timeout, json, session, listSessions: list, closeSession, trace, replay, url, exportTest, output, args,
+  } = parseOptions(process.argv.slice(2));
+  jsonMode = json;
+
+  if (list) {
+    await listSessions(json);
+    return;
+  }
+  if (closeSession !== undefined) {
+    process.exitCode = await closeSessions(closeSession, json);
+    return;
+  }
+  if (exportTest !== undefined) {
+    writeExportedTest(exportTest, output, json);
+    return;
+  }
+  if (replay !== undefined && session) {
+    console.error('❌ --replay starts its own browser and cannot run in a session');
+    process.exit(2);
+  }
 
-  // Clean up old temp files from previous runs
+  info('🎭 Playwright Skill - Universal Executor\n');
+
+  // Clean up leftovers from previous runs
   cleanupOldTempFiles();
 
   // Check Playwright installation
@@ -194,31 +651,31 @@ async function main() {
   }
 
   // Get code to execute
-  const rawCode = getCodeToExecute();
-  const code = wrapCodeIfNeeded(rawCode);
-
-  // Create temporary file for execution
-  const tempFile = path.join(__dirname, `.temp-execution-${Date.now()}.js`);
-
-  try {
-    // Write code to temp file
-    fs.writeFileSync(tempFile, code, 'utf8');
-
-    // Execute the code
-    console.log('🚀 Starting automation...\n');
-    require(tempFile);
+  const rawCode = replay !== undefined
+    ? `return await require('./lib/trace').replayTrace(${JSON.stringify(path.resolve(replay))}, ${JSON.stringify({ url })});`
+    : getCodeToExecute(args);
+  const tracePath = trace && path.resolve(trace);
 
-    // Note: Temp file will be cleaned up on next run
-    // This allows long-running async operations to complete safely
-
-  } catch (error) {
-    console.error('❌ Execution failed:', error.message);
-    if (error.stack) {
-      console.error('\n📋 Stack trace:');
-      console.error(error.stack);
+  let run;
+  if (session) {
+    if (isCompleteScript(rawCode)) {
+      console.error('❌ --session runs code inside an existing browser: pass the script body only,');
+      console.error('   using the provided `page`, `context` and `session` instead of launching a browser');
+      process.exit(2);
     }
-    process.exit(1);
+    info(`🚀 Starting automation in session "${session}"...\n`);
+    run = await runInSession(rawCode, { session, timeout, json, trace: tracePath });
+  } else {
+    info('🚀 Starting automation...\n');
+    run = await runInSandbox(wrapCodeIfNeeded(rawCode), { timeout, json, trace: tracePath });
+  }
+  if (tracePath) {
+    info(`\n🧾 Action log: ${tracePath}`);
+  }
+  if (json) {
+    process.stdout.write(`${JSON.stringify(buildResult(run, { timeout }), null, 2)}\n`);
   }
+  process.exitCode = run.exitCode;
 }
 
 // Run main function